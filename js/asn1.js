@@ -0,0 +1,783 @@
+/**
+ * DevTools - ASN.1
+ * DER parser with OID names, PEM block extraction and summaries of
+ * X.509 certificates, CSRs and public/private keys
+ */
+
+(function() {
+  'use strict';
+
+  // Deeper nesting than this is never legitimate and would only exhaust the stack
+  const MAX_DEPTH = 64;
+
+  // Longest INTEGER shown in decimal; larger ones (moduli, serials) are shown in hex
+  const MAX_DECIMAL_BYTES = 6;
+
+  const CLASS_NAMES = ['UNIVERSAL', 'APPLICATION', 'CONTEXT', 'PRIVATE'];
+
+  const UNIVERSAL_TAGS = {
+    0: 'EOC', 1: 'BOOLEAN', 2: 'INTEGER', 3: 'BIT STRING', 4: 'OCTET STRING', 5: 'NULL',
+    6: 'OBJECT IDENTIFIER', 7: 'ObjectDescriptor', 8: 'EXTERNAL', 9: 'REAL', 10: 'ENUMERATED',
+    12: 'UTF8String', 13: 'RELATIVE-OID', 16: 'SEQUENCE', 17: 'SET', 18: 'NumericString',
+    19: 'PrintableString', 20: 'T61String', 21: 'VideotexString', 22: 'IA5String',
+    23: 'UTCTime', 24: 'GeneralizedTime', 25: 'GraphicString', 26: 'VisibleString',
+    27: 'GeneralString', 28: 'UniversalString', 30: 'BMPString'
+  };
+
+  const STRING_TAGS = [12, 18, 19, 20, 21, 22, 25, 26, 27, 28, 30];
+
+  // Friendly names: algorithms, X.500 attributes, extensions and curves
+  const OID_NAMES = {
+    // PKCS #1 / RSA
+    '1.2.840.113549.1.1.1': 'rsaEncryption',
+    '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+    '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+    '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+    '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+    '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+    '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+    '1.2.840.113549.1.1.14': 'sha224WithRSAEncryption',
+    // EC, DSA, EdDSA
+    '1.2.840.10045.2.1': 'ecPublicKey',
+    '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+    '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+    '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+    '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+    '1.2.840.10045.3.1.7': 'prime256v1',
+    '1.3.132.0.10': 'secp256k1',
+    '1.3.132.0.34': 'secp384r1',
+    '1.3.132.0.35': 'secp521r1',
+    '1.2.840.10040.4.1': 'dsa',
+    '1.2.840.10040.4.3': 'dsa-with-sha1',
+    '1.3.101.110': 'X25519',
+    '1.3.101.111': 'X448',
+    '1.3.101.112': 'Ed25519',
+    '1.3.101.113': 'Ed448',
+    // Digests and ciphers
+    '1.2.840.113549.2.5': 'md5',
+    '1.3.14.3.2.26': 'sha1',
+    '2.16.840.1.101.3.4.2.1': 'sha256',
+    '2.16.840.1.101.3.4.2.2': 'sha384',
+    '2.16.840.1.101.3.4.2.3': 'sha512',
+    '2.16.840.1.101.3.4.1.2': 'aes128-CBC',
+    '2.16.840.1.101.3.4.1.42': 'aes256-CBC',
+    '1.2.840.113549.2.9': 'hmacWithSHA256',
+    '1.2.840.113549.3.7': 'des-ede3-cbc',
+    // PKCS #5, #7, #9, #12
+    '1.2.840.113549.1.5.12': 'PBKDF2',
+    '1.2.840.113549.1.5.13': 'PBES2',
+    '1.2.840.113549.1.7.1': 'data',
+    '1.2.840.113549.1.7.2': 'signedData',
+    '1.2.840.113549.1.7.6': 'encryptedData',
+    '1.2.840.113549.1.9.1': 'emailAddress',
+    '1.2.840.113549.1.9.3': 'contentType',
+    '1.2.840.113549.1.9.4': 'messageDigest',
+    '1.2.840.113549.1.9.5': 'signingTime',
+    '1.2.840.113549.1.9.7': 'challengePassword',
+    '1.2.840.113549.1.9.14': 'extensionRequest',
+    // X.500 attribute types
+    '2.5.4.3': 'commonName',
+    '2.5.4.4': 'surname',
+    '2.5.4.5': 'serialNumber',
+    '2.5.4.6': 'countryName',
+    '2.5.4.7': 'localityName',
+    '2.5.4.8': 'stateOrProvinceName',
+    '2.5.4.9': 'streetAddress',
+    '2.5.4.10': 'organizationName',
+    '2.5.4.11': 'organizationalUnitName',
+    '2.5.4.12': 'title',
+    '2.5.4.15': 'businessCategory',
+    '2.5.4.17': 'postalCode',
+    '2.5.4.42': 'givenName',
+    '0.9.2342.19200300.100.1.1': 'userId',
+    '0.9.2342.19200300.100.1.25': 'domainComponent',
+    '1.3.6.1.4.1.311.60.2.1.3': 'jurisdictionCountryName',
+    // X.509 extensions
+    '2.5.29.14': 'subjectKeyIdentifier',
+    '2.5.29.15': 'keyUsage',
+    '2.5.29.17': 'subjectAltName',
+    '2.5.29.18': 'issuerAltName',
+    '2.5.29.19': 'basicConstraints',
+    '2.5.29.30': 'nameConstraints',
+    '2.5.29.31': 'cRLDistributionPoints',
+    '2.5.29.32': 'certificatePolicies',
+    '2.5.29.32.0': 'anyPolicy',
+    '2.5.29.35': 'authorityKeyIdentifier',
+    '2.5.29.37': 'extKeyUsage',
+    '1.3.6.1.5.5.7.1.1': 'authorityInfoAccess',
+    '1.3.6.1.5.5.7.48.1': 'ocsp',
+    '1.3.6.1.5.5.7.48.2': 'caIssuers',
+    '1.3.6.1.4.1.11129.2.4.2': 'signedCertificateTimestampList',
+    // Extended key usages and policies
+    '1.3.6.1.5.5.7.3.1': 'serverAuth',
+    '1.3.6.1.5.5.7.3.2': 'clientAuth',
+    '1.3.6.1.5.5.7.3.3': 'codeSigning',
+    '1.3.6.1.5.5.7.3.4': 'emailProtection',
+    '1.3.6.1.5.5.7.3.8': 'timeStamping',
+    '1.3.6.1.5.5.7.3.9': 'OCSPSigning',
+    '1.3.6.1.5.5.7.2.1': 'cps',
+    '2.23.140.1.1': 'ev-guidelines',
+    '2.23.140.1.2.1': 'domain-validated',
+    '2.23.140.1.2.2': 'organization-validated',
+    '2.23.140.1.2.3': 'individual-validated'
+  };
+
+  // Short forms used in distinguished names (RFC 4514 and common practice)
+  const DN_SHORT_NAMES = {
+    '2.5.4.3': 'CN', '2.5.4.6': 'C', '2.5.4.7': 'L', '2.5.4.8': 'ST', '2.5.4.9': 'STREET',
+    '2.5.4.10': 'O', '2.5.4.11': 'OU', '0.9.2342.19200300.100.1.1': 'UID',
+    '0.9.2342.19200300.100.1.25': 'DC', '1.2.840.113549.1.9.1': 'emailAddress'
+  };
+
+  const CURVE_BITS = {
+    '1.2.840.10045.3.1.7': 256, '1.3.132.0.10': 256, '1.3.132.0.34': 384, '1.3.132.0.35': 521
+  };
+
+  // Key algorithms with a fixed size
+  const FIXED_KEY_BITS = {
+    '1.3.101.110': 256, '1.3.101.111': 448, '1.3.101.112': 256, '1.3.101.113': 456
+  };
+
+  const KEY_USAGES = [
+    'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+    'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+  ];
+
+  /**
+   * Create a parse error; offset is the position of the offending byte
+   */
+  function asn1Error(message, offset) {
+    const err = new Error(message);
+    err.offset = offset;
+    return err;
+  }
+
+  /**
+   * Parse one TLV starting at offset; end bounds the enclosing value
+   */
+  function parseNode(bytes, offset, end, depth) {
+    if (depth > MAX_DEPTH) {
+      throw asn1Error(`Nesting deeper than ${MAX_DEPTH} levels at offset ${offset}`, offset);
+    }
+
+    const start = offset;
+    const first = bytes[offset++];
+    let tagNumber = first & 0x1f;
+
+    // High tag numbers continue in base-128 bytes
+    if (tagNumber === 0x1f) {
+      tagNumber = 0;
+      let b;
+      do {
+        if (offset >= end) throw asn1Error(`Truncated tag at offset ${start}`, start);
+        b = bytes[offset++];
+        tagNumber = tagNumber * 128 + (b & 0x7f);
+      } while (b & 0x80);
+    }
+
+    if (offset >= end) throw asn1Error(`Missing length at offset ${start}`, start);
+
+    const node = {
+      tagClass: first >> 6,
+      constructed: (first & 0x20) !== 0,
+      tagNumber,
+      offset: start,
+      headerLength: 0,
+      length: 0,
+      end: 0,
+      indefinite: false,
+      encapsulated: false,
+      children: null
+    };
+
+    let length = bytes[offset++];
+    if (length === 0x80) {
+      if (!node.constructed) {
+        throw asn1Error(`Indefinite length on a primitive value at offset ${start}`, start);
+      }
+      node.indefinite = true;
+    } else if (length & 0x80) {
+      const count = length & 0x7f;
+      if (count > 4) throw asn1Error(`Length of ${count} bytes at offset ${start} is not supported`, start);
+      if (offset + count > end) throw asn1Error(`Truncated length at offset ${start}`, start);
+      length = 0;
+      for (let i = 0; i < count; i++) {
+        length = length * 256 + bytes[offset++];
+      }
+    }
+
+    node.headerLength = offset - start;
+
+    if (node.indefinite) {
+      // Children run until an end-of-contents marker (00 00)
+      node.children = [];
+      while (true) {
+        if (offset + 2 > end) throw asn1Error(`Missing end-of-contents for value at offset ${start}`, start);
+        if (bytes[offset] === 0 && bytes[offset + 1] === 0) break;
+        const child = parseNode(bytes, offset, end, depth + 1);
+        node.children.push(child);
+        offset = child.end;
+      }
+      node.length = offset - start - node.headerLength;
+      node.end = offset + 2;
+      return node;
+    }
+
+    if (offset + length > end) {
+      throw asn1Error(`Length ${length} at offset ${start} runs past the end of the data`, start);
+    }
+
+    node.length = length;
+    node.end = offset + length;
+
+    if (node.constructed) {
+      node.children = parseChildren(bytes, offset, node.end, depth + 1);
+    } else if (node.tagClass === 0 && (tagNumber === 3 || tagNumber === 4)) {
+      parseEncapsulated(bytes, node, depth);
+    }
+
+    return node;
+  }
+
+  function parseChildren(bytes, offset, end, depth) {
+    const children = [];
+    while (offset < end) {
+      const child = parseNode(bytes, offset, end, depth);
+      children.push(child);
+      offset = child.end;
+    }
+    return children;
+  }
+
+  /**
+   * OCTET and BIT STRINGs often wrap DER (extension values, public keys). Take the
+   * contents as such only when they hold exactly one well-formed constructed value
+   * or string wrapper, so random bytes are rarely mistaken for structure.
+   */
+  function parseEncapsulated(bytes, node, depth) {
+    let start = node.offset + node.headerLength;
+    if (node.tagNumber === 3) {
+      // BIT STRING: the first content byte counts unused bits, which must be 0 here
+      if (node.length < 3 || bytes[start] !== 0) return;
+      start++;
+    } else if (node.length < 2) {
+      return;
+    }
+
+    const first = bytes[start];
+    const plausible = first === 0x30 || first === 0x31 || first === 0x02 || first === 0x03 || first === 0x04;
+    if (!plausible) return;
+
+    try {
+      const child = parseNode(bytes, start, node.end, depth + 1);
+      if (child.end !== node.end || child.indefinite) return;
+      node.children = [child];
+      node.encapsulated = true;
+    } catch (e) {
+      // Not DER after all; the value stays an opaque string
+    }
+  }
+
+  function contentOf(bytes, node) {
+    return bytes.subarray(node.offset + node.headerLength, node.offset + node.headerLength + node.length);
+  }
+
+  function isUniversal(node, tagNumber) {
+    return node && node.tagClass === 0 && node.tagNumber === tagNumber;
+  }
+
+  function isContext(node, tagNumber) {
+    return node && node.tagClass === 2 && node.tagNumber === tagNumber;
+  }
+
+  function hex(bytes, separator = '') {
+    return Array.from(bytes, b => b.toString(16).toUpperCase().padStart(2, '0')).join(separator);
+  }
+
+  function decodeOid(content) {
+    if (content.length === 0) throw new Error('Empty OBJECT IDENTIFIER');
+
+    const arcs = [];
+    let value = 0;
+    for (let i = 0; i < content.length; i++) {
+      value = value * 128 + (content[i] & 0x7f);
+      if (!(content[i] & 0x80)) {
+        arcs.push(value);
+        value = 0;
+      } else if (i === content.length - 1) {
+        throw new Error('Truncated OBJECT IDENTIFIER');
+      }
+    }
+
+    // The first subidentifier packs the first two arcs
+    const first = arcs.shift();
+    const top = first < 40 ? 0 : first < 80 ? 1 : 2;
+    return [top, first - top * 40].concat(arcs).join('.');
+  }
+
+  function decodeString(content, tagNumber) {
+    if (tagNumber === 12) return new TextDecoder('utf-8').decode(content);
+    if (tagNumber === 30) return new TextDecoder('utf-16be').decode(content);
+    if (tagNumber === 28) {
+      let text = '';
+      for (let i = 0; i + 3 < content.length; i += 4) {
+        text += String.fromCodePoint(((content[i] << 24) | (content[i + 1] << 16) | (content[i + 2] << 8) | content[i + 3]) >>> 0);
+      }
+      return text;
+    }
+    // The remaining string types are ASCII subsets (T61 is close enough to Latin-1)
+    return String.fromCharCode.apply(null, content);
+  }
+
+  function decodeTime(content, tagNumber) {
+    const text = String.fromCharCode.apply(null, content);
+    const match = tagNumber === 23
+      ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(Z|[+-]\d{4})$/.exec(text)
+      : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})?(\d{2})?(?:[.,]\d+)?(Z|[+-]\d{4})?$/.exec(text);
+    if (!match) return { text, date: null };
+
+    let year = parseInt(match[1], 10);
+    // UTCTime years 50-99 are 1950-1999 (RFC 5280)
+    if (tagNumber === 23) year += year < 50 ? 2000 : 1900;
+
+    let ms = Date.UTC(year, parseInt(match[2], 10) - 1, parseInt(match[3], 10),
+      parseInt(match[4], 10), parseInt(match[5] || '0', 10), parseInt(match[6] || '0', 10));
+    const zone = match[7];
+    if (zone && zone !== 'Z') {
+      const minutes = parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10);
+      ms -= (zone[0] === '+' ? 1 : -1) * minutes * 60000;
+    }
+
+    return { text, date: new Date(ms) };
+  }
+
+  /**
+   * Bit length of an unsigned big-endian integer, ignoring leading zero bytes
+   */
+  function bitLength(content) {
+    let i = 0;
+    while (i < content.length - 1 && content[i] === 0) i++;
+    if (content[i] === 0) return 0;
+    return (content.length - i - 1) * 8 + (32 - Math.clz32(content[i]));
+  }
+
+  function integerToString(content) {
+    if (content.length === 0) return '0';
+    if (content.length > MAX_DECIMAL_BYTES) {
+      return `0x${hex(content)}`;
+    }
+    let value = 0;
+    for (let i = 0; i < content.length; i++) {
+      value = value * 256 + content[i];
+    }
+    if (content[0] & 0x80) value -= Math.pow(2, content.length * 8);
+    return String(value);
+  }
+
+  // ----- Structure helpers for the summaries -----
+
+  function oidOf(bytes, node) {
+    if (!isUniversal(node, 6)) throw new Error('Expected an OBJECT IDENTIFIER');
+    return decodeOid(contentOf(bytes, node));
+  }
+
+  function expectSequence(node, minChildren) {
+    if (!isUniversal(node, 16) || node.children.length < minChildren) {
+      throw new Error('Unexpected structure');
+    }
+    return node.children;
+  }
+
+  function algorithmOf(bytes, node) {
+    return ASN1.oidName(oidOf(bytes, expectSequence(node, 1)[0]));
+  }
+
+  function nameToString(bytes, node) {
+    const parts = [];
+    expectSequence(node, 0).forEach(rdn => {
+      rdn.children.forEach(attribute => {
+        const [type, value] = expectSequence(attribute, 2);
+        const oid = oidOf(bytes, type);
+        const key = DN_SHORT_NAMES[oid] || OID_NAMES[oid] || oid;
+        parts.push(`${key}=${ASN1.valueToString(bytes, value)}`);
+      });
+    });
+    return parts.join(', ');
+  }
+
+  /**
+   * Describe a SubjectPublicKeyInfo: { algorithm, bits, curve }
+   */
+  function publicKeyInfo(bytes, spki) {
+    const [algorithm, key] = expectSequence(spki, 2);
+    // An EncryptedPrivateKeyInfo has the same outline with an OCTET STRING here
+    if (!isUniversal(key, 3)) throw new Error('Expected a BIT STRING');
+    const [algOid, params] = expectSequence(algorithm, 1);
+    const oid = oidOf(bytes, algOid);
+    const info = { algorithm: ASN1.oidName(oid), bits: 0, curve: null };
+
+    if (oid === '1.2.840.113549.1.1.1' || oid === '1.2.840.113549.1.1.10') {
+      // RSAPublicKey ::= SEQUENCE { modulus, publicExponent }
+      if (key.encapsulated) {
+        info.bits = bitLength(contentOf(bytes, key.children[0].children[0]));
+      }
+    } else if (oid === '1.2.840.10045.2.1') {
+      if (isUniversal(params, 6)) {
+        const curve = oidOf(bytes, params);
+        info.curve = ASN1.oidName(curve);
+        info.bits = CURVE_BITS[curve] || 0;
+      }
+    } else if (oid === '1.2.840.10040.4.1') {
+      // Dss-Parms ::= SEQUENCE { p, q, g }
+      if (params && isUniversal(params, 16)) {
+        info.bits = bitLength(contentOf(bytes, params.children[0]));
+      }
+    } else {
+      info.bits = FIXED_KEY_BITS[oid] || 0;
+    }
+
+    return info;
+  }
+
+  function generalNames(bytes, node) {
+    return expectSequence(node, 0).map(name => {
+      const content = contentOf(bytes, name);
+      switch (name.tagClass === 2 ? name.tagNumber : -1) {
+        case 1: return `email:${decodeString(content, 22)}`;
+        case 2: return `DNS:${decodeString(content, 22)}`;
+        case 6: return `URI:${decodeString(content, 22)}`;
+        case 7:
+          if (content.length === 4) return `IP:${Array.from(content).join('.')}`;
+          if (content.length === 16) {
+            const groups = [];
+            for (let i = 0; i < 16; i += 2) groups.push(((content[i] << 8) | content[i + 1]).toString(16));
+            return `IP:${groups.join(':')}`;
+          }
+          return `IP:${hex(content)}`;
+        case 4: return `DirName:${nameToString(bytes, name.children[0])}`;
+        default: return `[${name.tagNumber}]`;
+      }
+    });
+  }
+
+  /**
+   * Read the extensions we summarize from a SEQUENCE OF Extension
+   */
+  function readExtensions(bytes, node, summary) {
+    expectSequence(node, 0).forEach(extension => {
+      const fields = expectSequence(extension, 2);
+      const oid = oidOf(bytes, fields[0]);
+      const value = fields[fields.length - 1];
+      if (!value.encapsulated) return;
+      const inner = value.children[0];
+
+      if (oid === '2.5.29.17') {
+        summary.subjectAltNames = generalNames(bytes, inner);
+      } else if (oid === '2.5.29.19') {
+        const first = inner.children[0];
+        summary.isCA = !!first && isUniversal(first, 1) && contentOf(bytes, first)[0] !== 0;
+      } else if (oid === '2.5.29.15' && isUniversal(inner, 3)) {
+        const content = contentOf(bytes, inner);
+        summary.keyUsage = KEY_USAGES.filter((usage, i) => {
+          const byte = content[1 + (i >> 3)];
+          return byte !== undefined && (byte & (0x80 >> (i & 7))) !== 0;
+        });
+      } else if (oid === '2.5.29.37') {
+        summary.extKeyUsage = inner.children.map(child => ASN1.oidName(oidOf(bytes, child)));
+      }
+    });
+  }
+
+  function summarizeCertificate(bytes, root) {
+    const [tbs, signatureAlgorithm] = expectSequence(root, 3);
+    const fields = expectSequence(tbs, 6);
+    let i = 0;
+
+    let version = 1;
+    if (isContext(fields[0], 0)) {
+      version = parseInt(integerToString(contentOf(bytes, fields[0].children[0])), 10) + 1;
+      i++;
+    }
+
+    const serial = contentOf(bytes, fields[i++]);
+    i++; // signature, repeated in signatureAlgorithm
+    const issuer = nameToString(bytes, fields[i++]);
+    const [notBefore, notAfter] = expectSequence(fields[i++], 2);
+    const subject = nameToString(bytes, fields[i++]);
+    const publicKey = publicKeyInfo(bytes, fields[i++]);
+
+    const summary = {
+      kind: 'certificate',
+      version,
+      serialNumber: hex(serial, ':'),
+      signatureAlgorithm: algorithmOf(bytes, signatureAlgorithm),
+      issuer,
+      subject,
+      notBefore: decodeTime(contentOf(bytes, notBefore), notBefore.tagNumber).date,
+      notAfter: decodeTime(contentOf(bytes, notAfter), notAfter.tagNumber).date,
+      publicKey,
+      subjectAltNames: [],
+      isCA: false,
+      keyUsage: [],
+      extKeyUsage: []
+    };
+
+    for (; i < fields.length; i++) {
+      if (isContext(fields[i], 3) && fields[i].children.length > 0) {
+        readExtensions(bytes, fields[i].children[0], summary);
+      }
+    }
+
+    return summary;
+  }
+
+  function summarizeCsr(bytes, root) {
+    const [info, signatureAlgorithm] = expectSequence(root, 3);
+    const fields = expectSequence(info, 3);
+    const summary = {
+      kind: 'csr',
+      subject: nameToString(bytes, fields[1]),
+      publicKey: publicKeyInfo(bytes, fields[2]),
+      signatureAlgorithm: algorithmOf(bytes, signatureAlgorithm),
+      subjectAltNames: [],
+      isCA: false,
+      keyUsage: [],
+      extKeyUsage: []
+    };
+
+    // Requested extensions live in the extensionRequest attribute
+    const attributes = fields[3];
+    if (isContext(attributes, 0)) {
+      attributes.children.forEach(attribute => {
+        const [type, values] = expectSequence(attribute, 2);
+        if (oidOf(bytes, type) === '1.2.840.113549.1.9.14' && values.children.length > 0) {
+          readExtensions(bytes, values.children[0], summary);
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  function summarizePrivateKey(bytes, root, label) {
+    const fields = expectSequence(root, 2);
+
+    // EncryptedPrivateKeyInfo ::= SEQUENCE { encryptionAlgorithm, encryptedData }
+    if (isUniversal(fields[0], 16)) {
+      return { kind: 'encryptedPrivateKey', encryption: algorithmOf(bytes, fields[0]) };
+    }
+
+    // PKCS #8 PrivateKeyInfo ::= SEQUENCE { version, algorithm, privateKey, ... }
+    if (isUniversal(fields[1], 16) && fields.length >= 3) {
+      const [algOid, params] = expectSequence(fields[1], 1);
+      const oid = oidOf(bytes, algOid);
+      const publicKey = { algorithm: ASN1.oidName(oid), bits: FIXED_KEY_BITS[oid] || 0, curve: null };
+      const inner = fields[2].encapsulated ? fields[2].children[0] : null;
+
+      if (oid === '1.2.840.113549.1.1.1' && inner) {
+        publicKey.bits = bitLength(contentOf(bytes, expectSequence(inner, 2)[1]));
+      } else if (oid === '1.2.840.10045.2.1' && isUniversal(params, 6)) {
+        const curve = oidOf(bytes, params);
+        publicKey.curve = ASN1.oidName(curve);
+        publicKey.bits = CURVE_BITS[curve] || 0;
+      } else if (oid === '1.2.840.10040.4.1' && params && isUniversal(params, 16)) {
+        publicKey.bits = bitLength(contentOf(bytes, params.children[0]));
+      }
+      return { kind: 'privateKey', format: 'PKCS #8', publicKey };
+    }
+
+    // ECPrivateKey ::= SEQUENCE { version 1, privateKey OCTET STRING, [0] parameters, [1] publicKey }
+    if (label === 'EC PRIVATE KEY' || isUniversal(fields[1], 4)) {
+      const publicKey = { algorithm: 'ecPublicKey', bits: 0, curve: null };
+      const params = fields.find(field => isContext(field, 0));
+      if (params && isUniversal(params.children[0], 6)) {
+        const curve = oidOf(bytes, params.children[0]);
+        publicKey.curve = ASN1.oidName(curve);
+        publicKey.bits = CURVE_BITS[curve] || 0;
+      }
+      return { kind: 'privateKey', format: 'SEC 1', publicKey };
+    }
+
+    // RSAPrivateKey ::= SEQUENCE { version, modulus, publicExponent, privateExponent, ... }
+    if (fields.length >= 9) {
+      return {
+        kind: 'privateKey',
+        format: 'PKCS #1',
+        publicKey: { algorithm: 'rsaEncryption', bits: bitLength(contentOf(bytes, fields[1])), curve: null }
+      };
+    }
+
+    throw new Error('Unexpected structure');
+  }
+
+  const ASN1 = {
+    OID_NAMES,
+
+    /**
+     * Parse DER (BER indefinite lengths are tolerated). DER wrapped in OCTET and
+     * BIT STRINGs is parsed too and marked `encapsulated`.
+     * @param {Uint8Array} bytes - Encoded data
+     * @returns {Object} Root node: { tagClass, constructed, tagNumber, offset, headerLength,
+     *   length, end, indefinite, encapsulated, children }; offsets index into bytes and
+     *   children is null for primitive values
+     * @throws {Error} With an `offset` property when the encoding is malformed
+     */
+    parse(bytes) {
+      if (!bytes || bytes.length === 0) throw new Error('No data to parse');
+
+      const root = parseNode(bytes, 0, bytes.length, 0);
+      if (root.end !== bytes.length) {
+        throw asn1Error(`${bytes.length - root.end} bytes of trailing data after offset ${root.end}`, root.end);
+      }
+      return root;
+    },
+
+    /**
+     * Name of a node's tag, e.g. "SEQUENCE", "[0]" or "[APPLICATION 3]"
+     * @param {Object} node - Parsed node
+     * @returns {string}
+     */
+    tagName(node) {
+      if (node.tagClass === 0) return UNIVERSAL_TAGS[node.tagNumber] || `[UNIVERSAL ${node.tagNumber}]`;
+      if (node.tagClass === 2) return `[${node.tagNumber}]`;
+      return `[${CLASS_NAMES[node.tagClass]} ${node.tagNumber}]`;
+    },
+
+    /**
+     * Friendly name for an OID, or the dotted form when unknown
+     * @param {string} oid - Dotted OID
+     * @returns {string}
+     */
+    oidName(oid) {
+      return OID_NAMES[oid] || oid;
+    },
+
+    /**
+     * Readable value of a primitive node: numbers, OIDs with names, strings, times
+     * and a hex preview for binary content; empty for constructed nodes
+     * @param {Uint8Array} bytes - Data the node was parsed from
+     * @param {Object} node - Parsed node
+     * @param {number} [maxHexBytes=16] - How much of binary content to show
+     * @returns {string}
+     */
+    valueToString(bytes, node, maxHexBytes = 16) {
+      if (node.children && !node.encapsulated) return '';
+
+      const content = contentOf(bytes, node);
+      const preview = (data) => hex(data.subarray(0, maxHexBytes), ' ') + (data.length > maxHexBytes ? ' …' : '');
+
+      if (node.tagClass !== 0) {
+        // Implicitly tagged strings (dNSName, URI, ...) are usually readable text
+        const printable = content.length > 0 && content.every(b => b >= 0x20 && b <= 0x7e);
+        return printable ? decodeString(content, 22) : preview(content);
+      }
+
+      switch (node.tagNumber) {
+        case 1: return content[0] ? 'TRUE' : 'FALSE';
+        case 2:
+        case 10:
+          if (content.length > MAX_DECIMAL_BYTES) {
+            return `${bitLength(content)} bit · ${preview(content)}`;
+          }
+          return integerToString(content);
+        case 3: {
+          const bits = Math.max(0, (content.length - 1) * 8 - (content[0] || 0));
+          return node.encapsulated ? `${bits} bit` : `${bits} bit · ${preview(content.subarray(1))}`;
+        }
+        case 4: return node.encapsulated ? `${content.length} bytes` : preview(content);
+        case 5: return '';
+        case 6: {
+          const oid = decodeOid(content);
+          return OID_NAMES[oid] ? `${oid} ${OID_NAMES[oid]}` : oid;
+        }
+        case 23:
+        case 24: {
+          const { text, date } = decodeTime(content, node.tagNumber);
+          return date ? `${text} (${date.toISOString().replace('.000', '')})` : text;
+        }
+        default:
+          if (STRING_TAGS.includes(node.tagNumber)) return decodeString(content, node.tagNumber);
+          return preview(content);
+      }
+    },
+
+    /**
+     * Find PEM blocks in text. Headers such as Proc-Type/DEK-Info are skipped.
+     * @param {string} text - Text that may hold several -----BEGIN ...----- blocks
+     * @returns {Array<{label: string, bytes: Uint8Array|null, error: string|null, start: number, end: number}>}
+     *   start/end are character offsets of the block in text; a block whose body isn't
+     *   valid Base64 has bytes null and the reason in error
+     */
+    extractPem(text) {
+      const blocks = [];
+      const pattern = /-----BEGIN ([^-\r\n]+)-----([\s\S]*?)-----END \1-----/g;
+      let match;
+
+      while ((match = pattern.exec(text)) !== null) {
+        const body = match[2].split(/\r?\n/)
+          .filter(line => line.indexOf(':') === -1)
+          .join('\n');
+        const block = { label: match[1].trim(), bytes: null, error: null, start: match.index, end: pattern.lastIndex };
+        try {
+          block.bytes = DevTools.Base64.decodeToBytes(body);
+        } catch (e) {
+          block.error = e.message;
+        }
+        blocks.push(block);
+      }
+
+      return blocks;
+    },
+
+    /**
+     * Summarize a certificate, CSR or key. The PEM label picks the structure; without
+     * one (raw DER) certificate, CSR, public key and private key are tried in turn.
+     * @param {Uint8Array} bytes - Data the root was parsed from
+     * @param {Object} root - Result of parse()
+     * @param {string} [label] - PEM label, e.g. "CERTIFICATE"
+     * @returns {Object|null} { kind: 'certificate'|'csr'|'publicKey'|'privateKey'|'encryptedPrivateKey', ... };
+     *   null when the structure is none of these. publicKey is { algorithm, bits, curve }.
+     */
+    summarize(bytes, root, label = '') {
+      const byKind = {
+        certificate: () => summarizeCertificate(bytes, root),
+        csr: () => summarizeCsr(bytes, root),
+        publicKey: () => ({ kind: 'publicKey', publicKey: publicKeyInfo(bytes, root) }),
+        rsaPublicKey: () => ({
+          kind: 'publicKey',
+          publicKey: { algorithm: 'rsaEncryption', bits: bitLength(contentOf(bytes, expectSequence(root, 2)[0])), curve: null }
+        }),
+        privateKey: () => summarizePrivateKey(bytes, root, label)
+      };
+
+      const labels = {
+        'CERTIFICATE': 'certificate',
+        'X509 CERTIFICATE': 'certificate',
+        'TRUSTED CERTIFICATE': 'certificate',
+        'CERTIFICATE REQUEST': 'csr',
+        'NEW CERTIFICATE REQUEST': 'csr',
+        'PUBLIC KEY': 'publicKey',
+        'RSA PUBLIC KEY': 'rsaPublicKey',
+        'PRIVATE KEY': 'privateKey',
+        'RSA PRIVATE KEY': 'privateKey',
+        'EC PRIVATE KEY': 'privateKey',
+        'DSA PRIVATE KEY': 'privateKey',
+        'ENCRYPTED PRIVATE KEY': 'privateKey'
+      };
+
+      const kinds = labels[label] ? [labels[label]] : ['certificate', 'csr', 'publicKey', 'privateKey'];
+      for (const kind of kinds) {
+        try {
+          return byKind[kind]();
+        } catch (e) {
+          // Structure doesn't match this kind
+        }
+      }
+      return null;
+    }
+  };
+
+  // Export to global scope
+  window.ASN1 = ASN1;
+
+})();
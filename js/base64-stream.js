@@ -0,0 +1,268 @@
+/**
+ * DevTools - Streaming Base64 Core
+ * Incremental Base64 encoder/decoder and a chunked Blob transform,
+ * shared by the Base64 worker and the main-thread fallback.
+ * Output is collected as byte chunks, never one giant string. Must not touch the DOM.
+ */
+
+(function() {
+  'use strict';
+
+  // Multiple of 3 so whole chunks encode without carrying bytes over
+  const DEFAULT_CHUNK_SIZE = 3 * 1024 * 1024; // 3MB
+
+  const STANDARD_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const URL_SAFE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  const PAD = 0x3d; // '='
+
+  // Sextet value per ASCII byte; both alphabets decode, -1 is invalid, -2 is whitespace
+  const DECODE_TABLE = new Int8Array(256).fill(-1);
+  for (let i = 0; i < 64; i++) {
+    DECODE_TABLE[STANDARD_ALPHABET.charCodeAt(i)] = i;
+    DECODE_TABLE[URL_SAFE_ALPHABET.charCodeAt(i)] = i;
+  }
+  [0x09, 0x0a, 0x0d, 0x20].forEach(b => { DECODE_TABLE[b] = -2; });
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Read a Blob as ArrayBuffer (FileReader works in both window and worker)
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<ArrayBuffer>}
+   */
+  function readChunk(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Create a line wrapper for ASCII output; the column carries over between chunks
+   * and no line break follows the last character
+   * @param {number} width - Characters per line, 0 for no wrapping
+   * @param {string} lineEnding - '\n' or '\r\n'
+   * @returns {function(Uint8Array): Uint8Array}
+   */
+  function createLineWrapper(width, lineEnding) {
+    if (!width) return (chars) => chars;
+
+    const eol = Array.from(lineEnding, c => c.charCodeAt(0));
+    let column = 0;
+
+    return (chars) => {
+      const out = new Uint8Array(chars.length + Math.ceil(chars.length / width) * eol.length);
+      let j = 0;
+
+      for (let i = 0; i < chars.length; i++) {
+        if (column === width) {
+          for (let k = 0; k < eol.length; k++) out[j++] = eol[k];
+          column = 0;
+        }
+        out[j++] = chars[i];
+        column++;
+      }
+      return out.subarray(0, j);
+    };
+  }
+
+  /**
+   * Create an incremental encoder; bytes that don't fill a 3-byte group wait for the next chunk
+   * @param {Object} options - { urlSafe: boolean, lineLength: number, lineEnding: string }
+   *   URL-safe output is unpadded; lineLength 76 gives MIME and 64 gives PEM wrapping
+   * @returns {{update: function(Uint8Array): Uint8Array, finalize: function(): Uint8Array}} ASCII output
+   */
+  function createEncoder(options = {}) {
+    const urlSafe = !!options.urlSafe;
+    const wrap = createLineWrapper(options.lineLength || 0, options.lineEnding || '\n');
+    const alphabet = urlSafe ? URL_SAFE_ALPHABET : STANDARD_ALPHABET;
+    const table = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) table[i] = alphabet.charCodeAt(i);
+
+    const carry = new Uint8Array(2);
+    let carryLength = 0;
+
+    return {
+      update(bytes) {
+        let input = bytes;
+        if (carryLength > 0) {
+          input = new Uint8Array(carryLength + bytes.length);
+          input.set(carry.subarray(0, carryLength));
+          input.set(bytes, carryLength);
+        }
+
+        const whole = input.length - (input.length % 3);
+        const out = new Uint8Array((whole / 3) * 4);
+
+        for (let i = 0, j = 0; i < whole; i += 3, j += 4) {
+          const n = (input[i] << 16) | (input[i + 1] << 8) | input[i + 2];
+          out[j] = table[n >>> 18];
+          out[j + 1] = table[(n >>> 12) & 63];
+          out[j + 2] = table[(n >>> 6) & 63];
+          out[j + 3] = table[n & 63];
+        }
+
+        carryLength = input.length - whole;
+        carry.set(input.subarray(whole));
+        return wrap(out);
+      },
+
+      finalize() {
+        if (carryLength === 0) return new Uint8Array(0);
+
+        const n = (carry[0] << 16) | (carryLength === 2 ? carry[1] << 8 : 0);
+        const chars = [table[n >>> 18], table[(n >>> 12) & 63]];
+        if (carryLength === 2) chars.push(table[(n >>> 6) & 63]);
+        if (!urlSafe) {
+          while (chars.length < 4) chars.push(PAD);
+        }
+
+        carryLength = 0;
+        return wrap(new Uint8Array(chars));
+      }
+    };
+  }
+
+  /**
+   * Create an incremental decoder for ASCII Base64 (standard or URL-safe, padding optional,
+   * whitespace ignored); an incomplete 4-character group waits for the next chunk
+   * @returns {{update: function(Uint8Array): Uint8Array, finalize: function(): Uint8Array}} Binary output
+   */
+  function createDecoder() {
+    let buffer = 0;   // Pending sextets, most significant first
+    let pending = 0;  // Number of pending sextets (0-3)
+    let offset = 0;   // Position in the input, for error messages
+    let padded = false;
+
+    const fail = (byte, position) => {
+      const char = byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : `0x${byte.toString(16).padStart(2, '0')}`;
+      const err = new Error(`Invalid Base64 character "${char}" at offset ${position}`);
+      err.offset = position;
+      throw err;
+    };
+
+    return {
+      update(chars) {
+        // At most 3 bytes per 4 characters, plus up to 2 bytes completed from the carry
+        const out = new Uint8Array(Math.floor((chars.length + pending) * 3 / 4));
+        let j = 0;
+
+        for (let i = 0; i < chars.length; i++) {
+          const byte = chars[i];
+          const value = DECODE_TABLE[byte];
+
+          if (value === -2) continue;
+          if (byte === PAD) {
+            padded = true;
+            continue;
+          }
+          if (value < 0 || padded) fail(byte, offset + i);
+
+          buffer = (buffer << 6) | value;
+          if (++pending === 4) {
+            out[j++] = buffer >>> 16;
+            out[j++] = (buffer >>> 8) & 0xff;
+            out[j++] = buffer & 0xff;
+            buffer = 0;
+            pending = 0;
+          }
+        }
+
+        offset += chars.length;
+        return out.subarray(0, j);
+      },
+
+      finalize() {
+        let out;
+        switch (pending) {
+          case 0:
+            out = new Uint8Array(0);
+            break;
+          case 1:
+            throw new Error('Base64 input ends in the middle of a byte');
+          case 2:
+            out = new Uint8Array([buffer >>> 4]);
+            break;
+          default:
+            out = new Uint8Array([buffer >>> 10, (buffer >>> 2) & 0xff]);
+        }
+
+        buffer = 0;
+        pending = 0;
+        return out;
+      }
+    };
+  }
+
+  /**
+   * Run a Blob through an encoder or decoder chunk by chunk
+   * @param {Blob} blob - Input
+   * @param {Object} codec - { update, finalize }
+   * @param {Object} options - { chunkSize, type, onProgress({processed, total, elapsed}), isCancelled() }
+   * @returns {Promise<Blob|null>} Output Blob, or null when cancelled
+   */
+  async function transformBlob(blob, codec, options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const parts = [];
+    const startTime = now();
+    let processed = 0;
+
+    while (processed < blob.size) {
+      if (options.isCancelled && options.isCancelled()) return null;
+
+      const end = Math.min(processed + chunkSize, blob.size);
+      const chunk = new Uint8Array(await readChunk(blob.slice(processed, end)));
+      const out = codec.update(chunk);
+      if (out.length > 0) parts.push(out);
+
+      processed = end;
+
+      if (options.onProgress) {
+        options.onProgress({ processed, total: blob.size, elapsed: now() - startTime });
+      }
+    }
+
+    if (options.isCancelled && options.isCancelled()) return null;
+
+    const last = codec.finalize();
+    if (last.length > 0) parts.push(last);
+
+    return new Blob(parts, { type: options.type || '' });
+  }
+
+  const Base64Stream = {
+    DEFAULT_CHUNK_SIZE,
+
+    createEncoder,
+
+    createDecoder,
+
+    /**
+     * Encode a Blob to a Base64 text Blob
+     * @param {Blob} blob - Binary input
+     * @param {Object} options - { urlSafe, lineLength, lineEnding, chunkSize, onProgress, isCancelled }
+     * @returns {Promise<Blob|null>} null when cancelled
+     */
+    encodeBlob(blob, options = {}) {
+      return transformBlob(blob, createEncoder(options), { ...options, type: 'text/plain' });
+    },
+
+    /**
+     * Decode a Base64 text Blob to binary
+     * @param {Blob} blob - Base64 text (standard or URL-safe)
+     * @param {Object} options - { chunkSize, onProgress, isCancelled }
+     * @returns {Promise<Blob|null>} null when cancelled
+     */
+    decodeBlob(blob, options = {}) {
+      return transformBlob(blob, createDecoder(), { ...options, type: 'application/octet-stream' });
+    }
+  };
+
+  // Export to global scope (self is the window or the worker)
+  self.Base64Stream = Base64Stream;
+
+})();
@@ -0,0 +1,38 @@
+/**
+ * DevTools - Base64 Worker
+ * Streams a File through Base64Stream off the main thread.
+ *
+ * Messages in:  { mode: 'encode' | 'decode', file: Blob, urlSafe?: boolean,
+ *                lineLength?: number, lineEnding?: string, chunkSize?: number }
+ * Messages out: { type: 'progress', processed, total, elapsed }
+ *               { type: 'done', blob: Blob }
+ *               { type: 'error', message, offset? }  (offset of an invalid character)
+ *
+ * Cancellation is done by terminating the worker.
+ */
+
+importScripts('base64-stream.js');
+
+self.onmessage = async (e) => {
+  const { mode, file, urlSafe, lineLength, lineEnding, chunkSize } = e.data;
+
+  try {
+    const options = {
+      urlSafe,
+      lineLength,
+      lineEnding,
+      chunkSize,
+      onProgress: (progress) => {
+        self.postMessage({ type: 'progress', ...progress });
+      }
+    };
+
+    const blob = mode === 'decode'
+      ? await Base64Stream.decodeBlob(file, options)
+      : await Base64Stream.encodeBlob(file, options);
+
+    self.postMessage({ type: 'done', blob });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message, offset: err.offset });
+  }
+};
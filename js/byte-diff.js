@@ -0,0 +1,206 @@
+/**
+ * DevTools - Byte Diff
+ * Aligns two byte arrays (Myers' O(ND) difference algorithm) into equal, changed,
+ * inserted and deleted runs. DOM-free.
+ */
+
+(function() {
+  'use strict';
+
+  // Edit distance beyond which alignment is abandoned; the trace grows as its square
+  const MAX_EDIT_DISTANCE = 2000;
+
+  // Byte comparisons spent on alignment before falling back (keeps the page responsive)
+  const MAX_ALIGN_COST = 50000000;
+
+  /**
+   * Shortest edit script between a[aStart, aEnd) and b[bStart, bEnd)
+   * @returns {Array<{type: string, length: number}>|null} 'equal' / 'deleted' / 'inserted' runs
+   *   in order, or null when the budget runs out
+   */
+  function myers(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    const trace = [];
+    let cost = 0;
+
+    for (let d = 0; d <= limit; d++) {
+      // Furthest x reached on each diagonal k (= x - y) after d - 1 edits, for backtracking
+      trace.push(v.slice(offset - d, offset + d + 1));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        cost += x - startX + 1;
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) return backtrack(trace, n, m);
+      }
+
+      if (cost > MAX_ALIGN_COST) return null;
+    }
+    return null;
+  }
+
+  function backtrack(trace, n, m) {
+    const runs = [];
+    const push = (type, length) => {
+      if (length === 0) return;
+      const last = runs[runs.length - 1];
+      if (last && last.type === type) last.length += length;
+      else runs.push({ type, length });
+    };
+
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d]) ? k + 1 : k - 1;
+      const prevX = v[prevK + d];
+      const prevY = prevX - prevK;
+
+      // Walking backwards: the snake of equal bytes, then the edit that preceded it
+      push('equal', Math.min(x - prevX, y - prevY));
+      push(prevK === k + 1 ? 'inserted' : 'deleted', 1);
+      x = prevX;
+      y = prevY;
+    }
+    push('equal', x);
+
+    return runs.reverse();
+  }
+
+  /**
+   * Byte-by-byte comparison of equal-length ranges, for inputs too different to align
+   */
+  function compareInPlace(a, aStart, b, bStart, length, emit) {
+    let runStart = 0;
+    let runDiffers = length > 0 && a[aStart] !== b[bStart];
+    for (let i = 1; i <= length; i++) {
+      const differs = i < length && a[aStart + i] !== b[bStart + i];
+      if (i === length || differs !== runDiffers) {
+        emit(runDiffers ? 'changed' : 'equal', i - runStart, i - runStart);
+        runStart = i;
+        runDiffers = differs;
+      }
+    }
+  }
+
+  const ByteDiff = {
+    MAX_EDIT_DISTANCE,
+
+    /**
+     * Compare two byte arrays. Inserted/deleted bytes are found when the inputs differ by
+     * at most MAX_EDIT_DISTANCE edits (after their common prefix and suffix); otherwise
+     * they are compared offset by offset and the longer tail is reported as inserted or deleted.
+     * @param {Uint8Array} a - Left ("old") bytes
+     * @param {Uint8Array} b - Right ("new") bytes
+     * @returns {{ops: Array<{type: string, aStart: number, aEnd: number, bStart: number, bEnd: number}>,
+     *   differences: Array<{aStart: number, aEnd: number, bStart: number, bEnd: number, changed: number, inserted: number, deleted: number}>,
+     *   changed: number, inserted: number, deleted: number, aligned: boolean}}
+     *   ops cover both inputs in order; type is 'equal', 'changed' (same length on both sides),
+     *   'inserted' (b only) or 'deleted' (a only). differences groups adjacent non-equal ops.
+     *   aligned is false when the offset-by-offset fallback was used.
+     */
+    diff(a, b) {
+      const ops = [];
+      let ai = 0;
+      let bi = 0;
+
+      const emit = (type, aLength, bLength) => {
+        if (aLength === 0 && bLength === 0) return;
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+          last.aEnd += aLength;
+          last.bEnd += bLength;
+        } else {
+          ops.push({ type, aStart: ai, aEnd: ai + aLength, bStart: bi, bEnd: bi + bLength });
+        }
+        ai += aLength;
+        bi += bLength;
+      };
+
+      // Common prefix and suffix need no alignment
+      const minLength = Math.min(a.length, b.length);
+      let prefix = 0;
+      while (prefix < minLength && a[prefix] === b[prefix]) prefix++;
+      let suffix = 0;
+      while (suffix < minLength - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+      emit('equal', prefix, prefix);
+
+      const aEnd = a.length - suffix;
+      const bEnd = b.length - suffix;
+      const runs = myers(a, prefix, aEnd, b, prefix, bEnd);
+      const aligned = runs !== null;
+
+      if (runs) {
+        // A deletion next to an insertion is a change of the overlapping length
+        for (let i = 0; i < runs.length; i++) {
+          const run = runs[i];
+          if (run.type === 'equal') {
+            emit('equal', run.length, run.length);
+            continue;
+          }
+
+          let deleted = 0;
+          let inserted = 0;
+          for (; i < runs.length && runs[i].type !== 'equal'; i++) {
+            if (runs[i].type === 'deleted') deleted += runs[i].length;
+            else inserted += runs[i].length;
+          }
+          i--;
+
+          const changed = Math.min(deleted, inserted);
+          emit('changed', changed, changed);
+          emit('deleted', deleted - changed, 0);
+          emit('inserted', 0, inserted - changed);
+        }
+      } else {
+        const common = Math.min(aEnd, bEnd) - prefix;
+        compareInPlace(a, prefix, b, prefix, common, emit);
+        emit('deleted', aEnd - prefix - common, 0);
+        emit('inserted', 0, bEnd - prefix - common);
+      }
+
+      emit('equal', suffix, suffix);
+
+      // Group the runs between equal ones into differences
+      const differences = [];
+      const totals = { changed: 0, inserted: 0, deleted: 0 };
+      let current = null;
+      for (const op of ops) {
+        if (op.type === 'equal') {
+          current = null;
+          continue;
+        }
+        if (!current) {
+          current = { aStart: op.aStart, aEnd: op.aEnd, bStart: op.bStart, bEnd: op.bEnd, changed: 0, inserted: 0, deleted: 0 };
+          differences.push(current);
+        }
+        const length = op.type === 'inserted' ? op.bEnd - op.bStart : op.aEnd - op.aStart;
+        current.aEnd = op.aEnd;
+        current.bEnd = op.bEnd;
+        current[op.type] += length;
+        totals[op.type] += length;
+      }
+
+      return { ops, differences, ...totals, aligned };
+    }
+  };
+
+  // Export to global scope
+  window.ByteDiff = ByteDiff;
+
+})();
@@ -0,0 +1,469 @@
+/**
+ * DevTools - Byte Format
+ * Write bytes as dumps (xxd, hexdump -C), source code literals (C, Python, JavaScript,
+ * Go, Java, Rust) or hex strings, and read any of them back. DOM-free.
+ */
+
+(function() {
+  'use strict';
+
+  // Bytes per line in dumps and code literals (dumps as xxd/hexdump, code as xxd -i)
+  const DUMP_BYTES_PER_LINE = 16;
+  const CODE_BYTES_PER_LINE = 12;
+
+  // id -> label, in display order
+  const FORMATS = [
+    { id: 'xxd', label: 'xxd' },
+    { id: 'hexdump', label: 'hexdump -C' },
+    { id: 'c', label: 'C uint8_t[]' },
+    { id: 'python', label: "Python b''" },
+    { id: 'js', label: 'JavaScript Uint8Array' },
+    { id: 'go', label: 'Go []byte' },
+    { id: 'java', label: 'Java byte[]' },
+    { id: 'rust', label: 'Rust [u8; N]' },
+    { id: 'hex', label: 'Hex' },
+    { id: 'hex-spaced', label: 'Hex (spaced)' }
+  ];
+
+  const PYTHON_ESCAPES = { 0x09: '\\t', 0x0a: '\\n', 0x0d: '\\r', 0x5c: '\\\\', 0x27: "\\'" };
+
+  // Escapes shared by Python bytes and C-family character literals
+  const SIMPLE_ESCAPES = {
+    'a': 0x07, 'b': 0x08, 'f': 0x0c, 'n': 0x0a, 'r': 0x0d, 't': 0x09, 'v': 0x0b,
+    '\\': 0x5c, "'": 0x27, '"': 0x22, '0': 0x00
+  };
+
+  function hexByte(b, uppercase) {
+    const hex = b.toString(16).padStart(2, '0');
+    return uppercase ? hex.toUpperCase() : hex;
+  }
+
+  function printable(b) {
+    return b >= 0x20 && b <= 0x7e ? String.fromCharCode(b) : '.';
+  }
+
+  function offsetHex(offset, uppercase) {
+    const hex = offset.toString(16).padStart(8, '0');
+    return uppercase ? hex.toUpperCase() : hex;
+  }
+
+  function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Split bytes into lines of at most perLine
+   */
+  function chunk(bytes, perLine) {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += perLine) {
+      lines.push(bytes.subarray(i, i + perLine));
+    }
+    return lines;
+  }
+
+  // `00000000: 8950 4e47 0d0a 1a0a 0000 000d 4948 4452  .PNG........IHDR`
+  function formatXxd(bytes, { offset, uppercase }) {
+    const width = DUMP_BYTES_PER_LINE * 2 + DUMP_BYTES_PER_LINE / 2 - 1;
+    return chunk(bytes, DUMP_BYTES_PER_LINE).map((line, i) => {
+      let hex = '';
+      for (let j = 0; j < line.length; j++) {
+        if (j > 0 && j % 2 === 0) hex += ' ';
+        hex += hexByte(line[j], uppercase);
+      }
+      const ascii = Array.from(line, printable).join('');
+      return `${offsetHex(offset + i * DUMP_BYTES_PER_LINE, uppercase)}: ${hex.padEnd(width)}  ${ascii}`;
+    }).join('\n') + '\n';
+  }
+
+  // `00000000  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|`,
+  // repeated lines squeezed to `*` and the end offset on the last line, as hexdump does
+  function formatHexdump(bytes, { offset, uppercase }) {
+    const out = [];
+    let previous = null;
+    let squeezed = false;
+
+    chunk(bytes, DUMP_BYTES_PER_LINE).forEach((line, i) => {
+      if (previous && line.length === DUMP_BYTES_PER_LINE && sameBytes(line, previous)) {
+        if (!squeezed) out.push('*');
+        squeezed = true;
+        return;
+      }
+      previous = line;
+      squeezed = false;
+
+      let hex = '';
+      for (let j = 0; j < DUMP_BYTES_PER_LINE; j++) {
+        if (j === DUMP_BYTES_PER_LINE / 2) hex += ' ';
+        hex += j < line.length ? `${hexByte(line[j], uppercase)} ` : '   ';
+      }
+      const ascii = Array.from(line, printable).join('');
+      out.push(`${offsetHex(offset + i * DUMP_BYTES_PER_LINE, uppercase)}  ${hex} |${ascii}|`);
+    });
+
+    out.push(offsetHex(offset + bytes.length, uppercase));
+    return out.join('\n') + '\n';
+  }
+
+  function pythonLiteral(bytes, uppercase) {
+    let text = "b'";
+    for (const b of bytes) {
+      if (PYTHON_ESCAPES[b]) text += PYTHON_ESCAPES[b];
+      else if (b >= 0x20 && b <= 0x7e) text += String.fromCharCode(b);
+      else text += `\\x${hexByte(b, uppercase)}`;
+    }
+    return text + "'";
+  }
+
+  function formatPython(bytes, { name, uppercase }) {
+    if (bytes.length <= DUMP_BYTES_PER_LINE) return `${name} = ${pythonLiteral(bytes, uppercase)}\n`;
+
+    // Adjacent literals are concatenated, so long data can span lines
+    const lines = chunk(bytes, DUMP_BYTES_PER_LINE).map(line => `    ${pythonLiteral(line, uppercase)}`);
+    return `${name} = (\n${lines.join('\n')}\n)\n`;
+  }
+
+  /**
+   * Comma-separated values, CODE_BYTES_PER_LINE per line
+   */
+  function codeList(bytes, { indent, trailingComma, uppercase, item }) {
+    const lines = chunk(bytes, CODE_BYTES_PER_LINE)
+      .map(line => indent + Array.from(line, b => item(`0x${hexByte(b, uppercase)}`, b)).join(', '));
+    return lines.join(',\n') + (trailingComma && lines.length > 0 ? ',' : '');
+  }
+
+  const FORMATTERS = {
+    xxd: formatXxd,
+    hexdump: formatHexdump,
+    python: formatPython,
+
+    c: (bytes, { name, uppercase }) =>
+      `const uint8_t ${name}[${bytes.length}] = {\n${codeList(bytes, { indent: '  ', uppercase, item: v => v })}\n};\n`,
+
+    js: (bytes, { name, uppercase }) =>
+      `const ${name} = new Uint8Array([\n${codeList(bytes, { indent: '  ', uppercase, item: v => v })}\n]);\n`,
+
+    // gofmt indents with tabs and needs the trailing comma before a closing brace on its own line
+    go: (bytes, { name, uppercase }) =>
+      `${name} := []byte{\n${codeList(bytes, { indent: '\t', trailingComma: true, uppercase, item: v => v })}\n}\n`,
+
+    // Java bytes are signed, so values above 0x7F need a cast
+    java: (bytes, { name, uppercase }) =>
+      `byte[] ${name} = {\n${codeList(bytes, { indent: '    ', uppercase, item: (v, b) => b > 0x7f ? `(byte) ${v}` : v })}\n};\n`,
+
+    rust: (bytes, { name, uppercase }) =>
+      `const ${name.toUpperCase()}: [u8; ${bytes.length}] = [\n${codeList(bytes, { indent: '    ', trailingComma: true, uppercase, item: v => v })}\n];\n`,
+
+    hex: (bytes, { uppercase }) => Array.from(bytes, b => hexByte(b, uppercase)).join(''),
+
+    'hex-spaced': (bytes, { uppercase }) => Array.from(bytes, b => hexByte(b, uppercase)).join(' ')
+  };
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  /**
+   * Collects bytes while parsing; `*` lines in dumps repeat the previous line up to the next offset
+   */
+  function createDumpReader() {
+    const chunks = [];
+    let length = 0;
+    let base = -1;
+    let previous = null;
+    let squeezed = false;
+
+    return {
+      line(offset, bytes, lineNumber) {
+        if (base < 0) base = offset;
+        const position = offset - base;
+
+        if (squeezed) {
+          if (!previous || position < length || (position - length) % previous.length !== 0) {
+            throw new Error(`Line ${lineNumber}: offset does not follow the repeated line`);
+          }
+          while (length < position) {
+            chunks.push(previous);
+            length += previous.length;
+          }
+          squeezed = false;
+        } else if (position !== length) {
+          throw new Error(`Line ${lineNumber}: expected offset 0x${(base + length).toString(16)}, found 0x${offset.toString(16)}`);
+        }
+
+        if (bytes.length > 0) {
+          chunks.push(bytes);
+          length += bytes.length;
+          previous = bytes;
+        }
+      },
+      squeeze() {
+        squeezed = true;
+      },
+      finish() {
+        const out = new Uint8Array(length);
+        let position = 0;
+        for (const bytes of chunks) {
+          out.set(bytes, position);
+          position += bytes.length;
+        }
+        return out;
+      }
+    };
+  }
+
+  function hexPairs(text, lineNumber) {
+    const hex = text.replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+      throw new Error(`Line ${lineNumber}: invalid hex "${text.trim()}"`);
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  function parseDumpLines(text, parseLine) {
+    const reader = createDumpReader();
+    text.split(/\r?\n/).forEach((line, i) => {
+      const trimmed = line.trim();
+      if (trimmed === '') return;
+      if (trimmed === '*') {
+        reader.squeeze();
+        return;
+      }
+      parseLine(line, i + 1, reader);
+    });
+    return reader.finish();
+  }
+
+  function parseXxd(text) {
+    return parseDumpLines(text, (line, lineNumber, reader) => {
+      const match = /^\s*([0-9a-fA-F]+):(.*)$/.exec(line);
+      if (!match) throw new Error(`Line ${lineNumber}: not an xxd line`);
+
+      // Hex groups are separated by single spaces; two spaces start the text column
+      const groups = /^ ?([0-9a-fA-F]+(?: [0-9a-fA-F]+)*)?/.exec(match[2])[1] || '';
+      reader.line(parseInt(match[1], 16), hexPairs(groups, lineNumber), lineNumber);
+    });
+  }
+
+  function parseHexdump(text) {
+    return parseDumpLines(text, (line, lineNumber, reader) => {
+      const match = /^\s*([0-9a-fA-F]+)(?:\s+([^|]*))?/.exec(line);
+      if (!match) throw new Error(`Line ${lineNumber}: not a hexdump line`);
+      reader.line(parseInt(match[1], 16), hexPairs(match[2] || '', lineNumber), lineNumber);
+    });
+  }
+
+  /**
+   * Value of the escape sequence at text[i] (just after the backslash)
+   * @returns {{value: number, length: number}} length counts the characters after the backslash
+   */
+  function readEscape(text, i) {
+    const c = text[i];
+    if (c === 'x') {
+      const hex = /^[0-9a-fA-F]{2}/.exec(text.substr(i + 1, 2));
+      if (!hex) throw new Error(`Invalid \\x escape at character ${i}`);
+      return { value: parseInt(hex[0], 16), length: 3 };
+    }
+    const octal = /^[0-7]{1,3}/.exec(text.substr(i, 3));
+    if (octal) {
+      const value = parseInt(octal[0], 8);
+      if (value > 0xff) throw new Error(`Octal escape \\${octal[0]} is out of byte range`);
+      return { value, length: octal[0].length };
+    }
+    if (c in SIMPLE_ESCAPES) return { value: SIMPLE_ESCAPES[c], length: 1 };
+    throw new Error(`Unknown escape \\${c}`);
+  }
+
+  // One or more (adjacent, so concatenated) b'...' / b"..." literals
+  function parsePython(text) {
+    const out = [];
+    const literal = /([rR]?)[bB]([rR]?)('|")/g;
+    let found = false;
+    let match;
+
+    while ((match = literal.exec(text)) !== null) {
+      const raw = match[1] !== '' || match[2] !== '';
+      const quote = match[3];
+      let i = literal.lastIndex;
+      found = true;
+
+      for (; i < text.length && text[i] !== quote; i++) {
+        const c = text[i];
+        if (c === '\n') throw new Error('Unterminated bytes literal');
+        if (c === '\\' && !raw) {
+          if (text[i + 1] === '\n') {
+            i++;
+            continue;
+          }
+          const { value, length } = readEscape(text, i + 1);
+          out.push(value);
+          i += length;
+          continue;
+        }
+        const code = c.charCodeAt(0);
+        if (code > 0x7f) throw new Error(`Non-ASCII character "${c}" in a bytes literal`);
+        out.push(code);
+      }
+      if (i >= text.length) throw new Error('Unterminated bytes literal');
+      literal.lastIndex = i + 1;
+    }
+
+    if (!found) throw new Error('No bytes literal found');
+    return new Uint8Array(out);
+  }
+
+  // Comma-separated numbers in an array or slice literal, in any of the code formats
+  function parseCode(text) {
+    // Drop comments, then keep the value of the first assignment (xxd -i adds a length variable after it)
+    let body = text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '');
+    const assignment = body.indexOf('=');
+    if (assignment >= 0) {
+      body = body.slice(assignment + 1);
+      let depth = 0;
+      for (let i = 0; i < body.length; i++) {
+        const c = body[i];
+        if (c === '{' || c === '[' || c === '(') depth++;
+        else if (c === '}' || c === ']' || c === ')') depth--;
+        else if (c === ';' && depth <= 0) {
+          body = body.slice(0, i);
+          break;
+        }
+      }
+    }
+
+    // Identifiers (types, casts, `new Uint8Array`) are skipped; numbers may carry a Rust suffix
+    const token = /'((?:\\(?:x[0-9a-fA-F]{2}|[0-7]{1,3}|.)|[^\\']))'|[A-Za-z_]\w*|(-?)(0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+|\d+)(?:[ui]8)?/g;
+    const out = [];
+    let match;
+
+    while ((match = token.exec(body)) !== null) {
+      if (match[1] !== undefined) {
+        const char = match[1];
+        out.push(char[0] === '\\' ? readEscape(char, 1).value : char.charCodeAt(0));
+        continue;
+      }
+      if (match[3] === undefined) continue;
+
+      const literal = match[3];
+      const prefix = literal.slice(0, 2).toLowerCase();
+      let value = prefix === '0x' ? parseInt(literal.slice(2), 16)
+        : prefix === '0b' ? parseInt(literal.slice(2), 2)
+        : prefix === '0o' ? parseInt(literal.slice(2), 8)
+        : parseInt(literal, 10);
+      if (match[2]) value = -value;
+
+      if (value < -128 || value > 255) {
+        throw new Error(`Value out of byte range: ${match[0]}`);
+      }
+      out.push(value & 0xff);
+    }
+
+    if (out.length === 0) throw new Error('No byte values found');
+    return new Uint8Array(out);
+  }
+
+  /**
+   * Guess which format the text is in
+   * @param {string} text - Trimmed text
+   * @returns {string} Format id
+   */
+  function detect(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    if (/^[0-9a-fA-F]{7,}:\s/.test(firstLine)) return 'xxd';
+    if (/^[0-9a-fA-F]{8,}\s\s[0-9a-fA-F]{2}(\s|$)/.test(firstLine)) return 'hexdump';
+    if (/^(?:[A-Za-z_]\w*\s*=\s*)?\(?\s*[rR]?[bB][rR]?['"]/.test(text)) return 'python';
+    if (/^[0-9a-fA-F\s:]*$/.test(text)) return /\s/.test(text) ? 'hex-spaced' : 'hex';
+    if (/\[\]byte/.test(text)) return 'go';
+    if (/\bu8\b|[0-9a-fA-F][ui]8\b/.test(text)) return 'rust';
+    if (/\(byte\)|\bbyte\s*\[\]/.test(text)) return 'java';
+    if (/Uint8Array/.test(text)) return 'js';
+    return 'c';
+  }
+
+  const ByteFormat = {
+    /**
+     * Available formats in display order
+     * @returns {Array<{id: string, label: string}>}
+     */
+    list() {
+      return FORMATS.map(format => ({ ...format }));
+    },
+
+    /**
+     * Write bytes in a format
+     * @param {string} id - Format id, see list()
+     * @param {Uint8Array} bytes - Data
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - Offset of the first byte, shown in dumps
+     * @param {string} [options.name='data'] - Variable name in code literals
+     * @param {boolean} [options.uppercase=false] - Uppercase hex digits
+     * @returns {string} Empty for no bytes, in every format
+     */
+    format(id, bytes, options = {}) {
+      const formatter = FORMATTERS[id];
+      if (!formatter) {
+        throw new Error(`Unknown format: ${id}`);
+      }
+      // Nothing to write, as xxd and hexdump print nothing for empty input; a lone
+      // hexdump end offset or an empty literal would not read back as zero bytes
+      if (bytes.length === 0) return '';
+
+      return formatter(bytes, {
+        offset: options.offset || 0,
+        name: options.name || 'data',
+        uppercase: !!options.uppercase
+      });
+    },
+
+    /**
+     * Read bytes back from any of the formats, detected from the text. Dumps may start
+     * at any offset and may contain `*` lines; code literals may include the declaration.
+     * Plain hex may be separated by whitespace or colons.
+     * @param {string} text - Formatted bytes
+     * @returns {{bytes: Uint8Array, format: string}} format is the detected id
+     */
+    parse(text) {
+      const trimmed = text.trim();
+      if (trimmed === '') {
+        throw new Error('No data to import');
+      }
+
+      const format = detect(trimmed);
+      let bytes;
+      switch (format) {
+        case 'xxd':
+          bytes = parseXxd(trimmed);
+          break;
+        case 'hexdump':
+          bytes = parseHexdump(trimmed);
+          break;
+        case 'python':
+          bytes = parsePython(trimmed);
+          break;
+        case 'hex':
+        case 'hex-spaced': {
+          // Each separated group must be whole bytes, so `a b` is not read as 0xAB
+          const odd = trimmed.split(/[\s:]+/).find(group => group.length % 2 !== 0);
+          if (odd) throw new Error(`Incomplete byte in hex group "${odd}"`);
+          bytes = hexPairs(trimmed.replace(/:/g, ''), 1);
+          break;
+        }
+        default:
+          bytes = parseCode(trimmed);
+      }
+      return { bytes, format };
+    }
+  };
+
+  // Export to global scope
+  window.ByteFormat = ByteFormat;
+
+})();
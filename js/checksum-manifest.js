@@ -0,0 +1,288 @@
+/**
+ * DevTools - Checksum Manifest
+ * Parse and generate checksum manifests: GNU coreutils (sha256sum/md5sum),
+ * BSD tagged (`SHA256 (file) = ...`) and SFV (CRC32)
+ */
+
+(function() {
+  'use strict';
+
+  // Output length in hex characters -> default algorithm for untagged lines
+  const ALGORITHM_BY_HEX_LENGTH = {
+    8: 'CRC32',
+    32: 'MD5',
+    40: 'SHA-1',
+    56: 'SHA-224',
+    64: 'SHA-256',
+    96: 'SHA-384',
+    128: 'SHA-512'
+  };
+
+  // BSD tag <-> algorithm name
+  // (coreutils b2sum tags 512-bit BLAKE2b as plain "BLAKE2b"; parsing ignores case)
+  const BSD_TAGS = {
+    'MD5': 'MD5',
+    'SHA1': 'SHA-1',
+    'SHA224': 'SHA-224',
+    'SHA256': 'SHA-256',
+    'SHA384': 'SHA-384',
+    'SHA512': 'SHA-512',
+    'SHA512/256': 'SHA-512/256',
+    'SHA3-224': 'SHA3-224',
+    'SHA3-256': 'SHA3-256',
+    'SHA3-384': 'SHA3-384',
+    'SHA3-512': 'SHA3-512',
+    'Keccak-256': 'Keccak-256',
+    'RMD160': 'RIPEMD-160',
+    'BLAKE2b': 'BLAKE2b-512',
+    'BLAKE2b-256': 'BLAKE2b-256',
+    'BLAKE2b-512': 'BLAKE2b-512',
+    'BLAKE2s-256': 'BLAKE2s-256',
+    'BLAKE3': 'BLAKE3',
+    'CRC32': 'CRC32',
+    'ADLER32': 'Adler-32'
+  };
+
+  const BSD_TAGS_UPPER = Object.fromEntries(
+    Object.entries(BSD_TAGS).map(([tag, algorithm]) => [tag.toUpperCase(), algorithm])
+  );
+
+  // Manifest file name hints, checked in order (SHA3 and SHA-512/256 before SHA2)
+  const NAME_HINTS = [
+    [/sha3-?224/i, 'SHA3-224'],
+    [/sha3-?256/i, 'SHA3-256'],
+    [/sha3-?384/i, 'SHA3-384'],
+    [/sha3-?512/i, 'SHA3-512'],
+    [/keccak/i, 'Keccak-256'],
+    [/sha-?512[-_/]256/i, 'SHA-512/256'],
+    [/sha-?1(?!\d)/i, 'SHA-1'],
+    [/sha-?224/i, 'SHA-224'],
+    [/sha-?256/i, 'SHA-256'],
+    [/sha-?384/i, 'SHA-384'],
+    [/sha-?512/i, 'SHA-512'],
+    [/md5/i, 'MD5'],
+    [/rmd-?160|ripemd/i, 'RIPEMD-160'],
+    [/blake2s/i, 'BLAKE2s-256'],
+    [/blake2b-?256/i, 'BLAKE2b-256'],
+    [/b2sum|blake2b?/i, 'BLAKE2b-512'],
+    [/b3sum|blake3/i, 'BLAKE3'],
+    [/adler/i, 'Adler-32'],
+    [/\.sfv$/i, 'CRC32']
+  ];
+
+  const BSD_LINE = /^([A-Za-z0-9][A-Za-z0-9/-]*) ?\((.*)\) ?= ?([0-9a-fA-F]+)\s*$/;
+  // 8 hex digits and up: CRC32 and Adler-32 manifests are GNU-style too
+  const GNU_LINE = /^([0-9a-fA-F]{8,}) [ *](.+)$/;
+  const SFV_LINE = /^(.+?)\s+([0-9a-fA-F]{8})\s*$/;
+
+  const ChecksumManifest = {
+    /**
+     * Parse a manifest
+     * @param {string} text - Manifest content
+     * @param {string} manifestName - Manifest file name, used to pick the algorithm for untagged lines
+     * @returns {{entries: Array<Object>, errors: Array<Object>}}
+     *   entries: { name, expected (lowercase hex), algorithm (null if unknown), format, line }
+     *   errors: { line, text } for lines that match no format
+     */
+    parse(text, manifestName = '') {
+      const hint = this.detectAlgorithmFromName(manifestName);
+      const entries = [];
+      const errors = [];
+
+      text.split(/\r?\n/).forEach((rawLine, index) => {
+        // File names may end in spaces, so only the indentation goes
+        const line = rawLine.replace(/^\s+/, '');
+        const lineNo = index + 1;
+
+        // Blank lines and comments (# in coreutils output, ; in SFV)
+        if (!line || line.startsWith('#') || line.startsWith(';')) return;
+
+        // A leading backslash marks an escaped file name (coreutils)
+        const escaped = line.startsWith('\\');
+        const body = escaped ? line.slice(1) : line;
+
+        let match = body.match(BSD_LINE);
+        if (match) {
+          entries.push({
+            name: escaped ? this.unescapeName(match[2]) : match[2],
+            expected: match[3].toLowerCase(),
+            algorithm: BSD_TAGS_UPPER[match[1].toUpperCase()] || null,
+            format: 'bsd',
+            line: lineNo
+          });
+          return;
+        }
+
+        match = body.match(GNU_LINE);
+        if (match) {
+          entries.push({
+            name: escaped ? this.unescapeName(match[2]) : match[2],
+            expected: match[1].toLowerCase(),
+            algorithm: this.detectAlgorithm(match[1].length, hint),
+            format: 'gnu',
+            line: lineNo
+          });
+          return;
+        }
+
+        match = body.match(SFV_LINE);
+        if (match) {
+          entries.push({
+            name: match[1],
+            expected: match[2].toLowerCase(),
+            algorithm: 'CRC32',
+            format: 'sfv',
+            line: lineNo
+          });
+          return;
+        }
+
+        errors.push({ line: lineNo, text: rawLine });
+      });
+
+      return { entries, errors };
+    },
+
+    /**
+     * Pick the algorithm for an untagged digest
+     * @param {number} hexLength - Digest length in hex characters
+     * @param {string|null} hint - Algorithm suggested by the manifest name
+     * @returns {string|null}
+     */
+    detectAlgorithm(hexLength, hint) {
+      if (hint && HashStream.outputBits(hint) / 4 === hexLength) {
+        return hint;
+      }
+      return ALGORITHM_BY_HEX_LENGTH[hexLength] || null;
+    },
+
+    /**
+     * Guess the algorithm from a manifest file name (SHA256SUMS, foo.md5, bar.sfv)
+     * @param {string} manifestName - Manifest file name
+     * @returns {string|null}
+     */
+    detectAlgorithmFromName(manifestName) {
+      for (const [pattern, algorithm] of NAME_HINTS) {
+        if (pattern.test(manifestName)) return algorithm;
+      }
+      return null;
+    },
+
+    /**
+     * Match manifest entries to files by path, then by base name
+     * @param {Array<Object>} entries - Parsed entries
+     * @param {File[]} files - Candidate files
+     * @returns {{matched: Array<{entry, file}>, missing: Array<Object>, unlisted: File[]}}
+     */
+    match(entries, files) {
+      const byPath = new Map();
+      const byBase = new Map();
+
+      files.forEach(file => {
+        const path = this.normalizePath(file.webkitRelativePath || file.name);
+        byPath.set(path, file);
+
+        const base = this.baseName(path);
+        byBase.set(base, byBase.has(base) ? null : file); // null marks an ambiguous base name
+      });
+
+      const matched = [];
+      const missing = [];
+      const used = new Set();
+
+      entries.forEach(entry => {
+        const path = this.normalizePath(entry.name);
+        const file = byPath.get(path) || byBase.get(this.baseName(path));
+
+        if (file) {
+          matched.push({ entry, file });
+          used.add(file);
+        } else {
+          missing.push(entry);
+        }
+      });
+
+      const unlisted = files.filter(file => !used.has(file));
+      return { matched, missing, unlisted };
+    },
+
+    /**
+     * Generate a manifest
+     * @param {Array<{name: string, digest: Uint8Array}>} items - File names and digests
+     * @param {string} algorithm - Algorithm the digests were made with
+     * @param {string} style - 'gnu', 'bsd' or 'sfv'
+     * @returns {string}
+     */
+    format(items, algorithm, style = 'gnu') {
+      const lines = items.map(({ name, digest }) => {
+        const hex = Array.from(digest).map(b => b.toString(16).padStart(2, '0')).join('');
+
+        switch (style) {
+          case 'bsd': {
+            const tag = this.bsdTag(algorithm);
+            const needsEscape = /[\\\n]/.test(name);
+            return `${needsEscape ? '\\' : ''}${tag} (${needsEscape ? this.escapeName(name) : name}) = ${hex}`;
+          }
+          case 'sfv':
+            return `${name} ${hex.toUpperCase()}`;
+          default: {
+            const needsEscape = /[\\\n]/.test(name);
+            return `${needsEscape ? '\\' : ''}${hex}  ${needsEscape ? this.escapeName(name) : name}`;
+          }
+        }
+      });
+
+      return lines.join('\n') + (lines.length ? '\n' : '');
+    },
+
+    /**
+     * Get the BSD tag for an algorithm
+     * @param {string} algorithm - Algorithm name
+     * @returns {string}
+     */
+    bsdTag(algorithm) {
+      const tag = Object.keys(BSD_TAGS).find(key => BSD_TAGS[key] === algorithm);
+      return tag || algorithm.toUpperCase();
+    },
+
+    /**
+     * Escape a file name the way coreutils does (backslash and newline)
+     * @param {string} name - File name
+     * @returns {string}
+     */
+    escapeName(name) {
+      return name.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    },
+
+    /**
+     * Reverse escapeName
+     * @param {string} name - Escaped file name
+     * @returns {string}
+     */
+    unescapeName(name) {
+      return name.replace(/\\(\\|n|r)/g, (m, c) => (c === 'n' ? '\n' : c === 'r' ? '\r' : '\\'));
+    },
+
+    /**
+     * Normalize a manifest path: forward slashes, no leading ./
+     * @param {string} path - File path
+     * @returns {string}
+     */
+    normalizePath(path) {
+      return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    },
+
+    /**
+     * Get the last path segment
+     * @param {string} path - Normalized path
+     * @returns {string}
+     */
+    baseName(path) {
+      return path.slice(path.lastIndexOf('/') + 1);
+    }
+  };
+
+  // Export to global scope
+  window.ChecksumManifest = ChecksumManifest;
+
+})();
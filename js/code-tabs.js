@@ -460,7 +460,17 @@ async function sha256(message) {
 }
 
 // Usage
-const hash = await sha256('Hello, World!');`,
+const hash = await sha256('Hello, World!');
+
+// HMAC-SHA256 (e.g. verify a webhook signature)
+async function hmacSha256(secret, message) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const sig = await crypto.subtle.sign('HMAC', key, enc.encode(message));
+    return Array.from(new Uint8Array(sig)).map(b => b.toString(16).padStart(2, '0')).join('');
+}`,
 
       python: `import hashlib
 
@@ -477,7 +487,12 @@ sha256_hash = hashlib.sha256('Hello, World!'.encode()).hexdigest()
 sha512_hash = hashlib.sha512('Hello, World!'.encode()).hexdigest()
 
 # SHA-3 (256)
-sha3_hash = hashlib.sha3_256('Hello, World!'.encode()).hexdigest()`,
+sha3_hash = hashlib.sha3_256('Hello, World!'.encode()).hexdigest()
+
+# HMAC-SHA256 (e.g. verify a webhook signature)
+import hmac
+signature = hmac.new(b'secret', b'Hello, World!', hashlib.sha256).hexdigest()
+valid = hmac.compare_digest(signature, received_signature)`,
 
       java: `import java.security.MessageDigest;
 import java.nio.charset.StandardCharsets;
@@ -495,7 +510,15 @@ public String hash(String input, String algorithm) throws Exception {
 
 // Usage
 String md5 = hash("Hello, World!", "MD5");
-String sha256 = hash("Hello, World!", "SHA-256");`,
+String sha256 = hash("Hello, World!", "SHA-256");
+
+// HMAC-SHA256
+import javax.crypto.Mac;
+import javax.crypto.spec.SecretKeySpec;
+
+Mac mac = Mac.getInstance("HmacSHA256");
+mac.init(new SecretKeySpec("secret".getBytes(StandardCharsets.UTF_8), "HmacSHA256"));
+byte[] signature = mac.doFinal("Hello, World!".getBytes(StandardCharsets.UTF_8));`,
 
       swift: `import CryptoKit
 import Foundation
@@ -514,7 +537,12 @@ let sha512 = SHA512.hash(data: data)
 
 // MD5 (Insecure, for compatibility only)
 import var CommonCrypto.CC_MD5_DIGEST_LENGTH
-import func CommonCrypto.CC_MD5`,
+import func CommonCrypto.CC_MD5
+
+// HMAC-SHA256
+let key = SymmetricKey(data: "secret".data(using: .utf8)!)
+let mac = HMAC<SHA256>.authenticationCode(for: data, using: key)
+let macHex = mac.map { String(format: "%02x", $0) }.joined()`,
 
       go: `package main
 
@@ -544,6 +572,133 @@ func main() {
     // SHA-512
     sha512Hash := sha512.Sum512(data)
     sha512Hex := hex.EncodeToString(sha512Hash[:])
+
+    // HMAC-SHA256 (import "crypto/hmac")
+    mac := hmac.New(sha256.New, []byte("secret"))
+    mac.Write(data)
+    macHex := hex.EncodeToString(mac.Sum(nil))
+}`
+    },
+
+    kdf: {
+      javascript: `// PBKDF2-SHA256 (Web Crypto API)
+async function pbkdf2(password, salt, iterations = 600000, length = 32) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode(salt), iterations }, key, length * 8
+    );
+    return new Uint8Array(bits);
+}
+
+// HKDF-SHA256 (Web Crypto API)
+async function hkdf(ikm, salt, info, length = 32) {
+    const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8
+    );
+    return new Uint8Array(bits);
+}
+
+// scrypt (Node.js)
+const { scryptSync } = require('crypto');
+const derived = scryptSync('password', 'salt', 32, { N: 16384, r: 8, p: 1 });`,
+
+      python: `import hashlib
+
+# PBKDF2-SHA256
+key = hashlib.pbkdf2_hmac('sha256', b'password', b'salt', 600000, dklen=32)
+print(key.hex())
+
+# scrypt
+key = hashlib.scrypt(b'password', salt=b'salt', n=16384, r=8, p=1, dklen=32)
+
+# HKDF-SHA256 (pip install cryptography)
+from cryptography.hazmat.primitives import hashes
+from cryptography.hazmat.primitives.kdf.hkdf import HKDF
+
+key = HKDF(algorithm=hashes.SHA256(), length=32, salt=b'salt', info=b'session').derive(b'input key material')`,
+
+      java: `import javax.crypto.SecretKeyFactory;
+import javax.crypto.spec.PBEKeySpec;
+import java.nio.charset.StandardCharsets;
+
+// PBKDF2-SHA256 (key length in bits)
+PBEKeySpec spec = new PBEKeySpec("password".toCharArray(),
+        "salt".getBytes(StandardCharsets.UTF_8), 600000, 256);
+byte[] key = SecretKeyFactory.getInstance("PBKDF2WithHmacSHA256")
+        .generateSecret(spec).getEncoded();
+
+// HKDF and scrypt via Bouncy Castle
+import org.bouncycastle.crypto.digests.SHA256Digest;
+import org.bouncycastle.crypto.generators.HKDFBytesGenerator;
+import org.bouncycastle.crypto.generators.SCrypt;
+import org.bouncycastle.crypto.params.HKDFParameters;
+
+HKDFBytesGenerator hkdf = new HKDFBytesGenerator(new SHA256Digest());
+hkdf.init(new HKDFParameters(ikm, salt, info));
+byte[] sessionKey = new byte[32];
+hkdf.generateBytes(sessionKey, 0, 32);
+
+byte[] scryptKey = SCrypt.generate(password, salt, 16384, 8, 1, 32);`,
+
+      swift: `import CryptoKit
+import CommonCrypto
+import Foundation
+
+// HKDF-SHA256 (CryptoKit)
+let ikm = SymmetricKey(data: "input key material".data(using: .utf8)!)
+let sessionKey = HKDF<SHA256>.deriveKey(
+    inputKeyMaterial: ikm,
+    salt: "salt".data(using: .utf8)!,
+    info: "session".data(using: .utf8)!,
+    outputByteCount: 32
+)
+
+// PBKDF2-SHA256 (CommonCrypto)
+func pbkdf2(password: String, salt: Data, iterations: UInt32, length: Int) -> Data {
+    var derived = Data(count: length)
+    let passwordData = password.data(using: .utf8)!
+    _ = derived.withUnsafeMutableBytes { out in
+        salt.withUnsafeBytes { saltBytes in
+            CCKeyDerivationPBKDF(
+                CCPBKDFAlgorithm(kCCPBKDF2),
+                password, passwordData.count,
+                saltBytes.bindMemory(to: UInt8.self).baseAddress, salt.count,
+                CCPseudoRandomAlgorithm(kCCPRFHmacAlgSHA256), iterations,
+                out.bindMemory(to: UInt8.self).baseAddress, length
+            )
+        }
+    }
+    return derived
+}`,
+
+      go: `package main
+
+import (
+    "crypto/sha256"
+    "encoding/hex"
+    "io"
+
+    "golang.org/x/crypto/hkdf"
+    "golang.org/x/crypto/pbkdf2"
+    "golang.org/x/crypto/scrypt"
+)
+
+func main() {
+    password := []byte("password")
+    salt := []byte("salt")
+
+    // PBKDF2-SHA256
+    key := pbkdf2.Key(password, salt, 600000, 32, sha256.New)
+    keyHex := hex.EncodeToString(key)
+
+    // HKDF-SHA256
+    sessionKey := make([]byte, 32)
+    io.ReadFull(hkdf.New(sha256.New, []byte("input key material"), salt, []byte("session")), sessionKey)
+
+    // scrypt
+    scryptKey, err := scrypt.Key(password, salt, 16384, 8, 1, 32)
 }`
     },
 
@@ -124,6 +124,168 @@
     }
   };
 
+  // ============================================
+  // Character Encodings
+  // ============================================
+
+  /**
+   * Charsets the tools can encode and decode. Legacy encoders are built lazily
+   * from the browser's own (WHATWG) decoders, so no mapping tables ship with the site.
+   *   lead/trail: byte ranges of double-byte sequences
+   *   singles: extra single bytes above 0x7F
+   *   lateLeads: lead bytes that only map characters no earlier pointer covers
+   *   lastWins: code points whose encoder uses the last pointer instead of the first
+   *   extra: encoder-only mappings from the WHATWG spec
+   */
+  const CHARSETS = [
+    { id: 'utf-8', label: 'UTF-8', group: 'Unicode' },
+    { id: 'utf-16le', label: 'UTF-16LE', group: 'Unicode' },
+    { id: 'utf-16be', label: 'UTF-16BE', group: 'Unicode' },
+    { id: 'ascii', label: 'ASCII', group: '西欧' },
+    { id: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)', group: '西欧' },
+    { id: 'windows-1250', label: 'Windows-1250 (中欧)', group: 'Windows', singleByte: true },
+    { id: 'windows-1251', label: 'Windows-1251 (西里尔)', group: 'Windows', singleByte: true },
+    { id: 'windows-1252', label: 'Windows-1252 (西欧)', group: 'Windows', singleByte: true },
+    { id: 'windows-1253', label: 'Windows-1253 (希腊)', group: 'Windows', singleByte: true },
+    { id: 'windows-1254', label: 'Windows-1254 (土耳其)', group: 'Windows', singleByte: true },
+    { id: 'windows-1255', label: 'Windows-1255 (希伯来)', group: 'Windows', singleByte: true },
+    { id: 'windows-1256', label: 'Windows-1256 (阿拉伯)', group: 'Windows', singleByte: true },
+    { id: 'windows-1257', label: 'Windows-1257 (波罗的海)', group: 'Windows', singleByte: true },
+    { id: 'windows-1258', label: 'Windows-1258 (越南)', group: 'Windows', singleByte: true },
+    {
+      id: 'gbk', label: 'GBK', group: '中日韩',
+      singles: [[0x80, 0x80]],
+      lead: [[0x81, 0xfe]],
+      trail: [[0x40, 0x7e], [0x80, 0xfe]]
+    },
+    {
+      id: 'big5', label: 'Big5', group: '中日韩',
+      lead: [[0xa1, 0xfe]],
+      trail: [[0x40, 0x7e], [0xa1, 0xfe]],
+      lastWins: [0x2550, 0x255e, 0x2561, 0x256a, 0x5341, 0x5345]
+    },
+    {
+      id: 'shift_jis', label: 'Shift_JIS', group: '中日韩',
+      singles: [[0x80, 0x80], [0xa1, 0xdf]],
+      lead: [[0x81, 0x9f], [0xe0, 0xfc]],
+      lateLeads: [0xed, 0xee],
+      trail: [[0x40, 0x7e], [0x80, 0xfc]],
+      extra: { 0xa5: [0x5c], 0x203e: [0x7e] }
+    },
+    {
+      id: 'euc-kr', label: 'EUC-KR', group: '中日韩',
+      lead: [[0x81, 0xfe]],
+      trail: [[0x41, 0xfe]]
+    }
+  ];
+
+  const CHARSET_BY_ID = new Map(CHARSETS.map(charset => [charset.id, charset]));
+
+  // Code point -> bytes, per legacy charset, built on first use
+  const encodeTables = new Map();
+
+  /**
+   * Look up a charset definition
+   * @param {string} id - Charset id, see Utils.charsets()
+   * @returns {Object}
+   */
+  function getCharset(id) {
+    const charset = CHARSET_BY_ID.get(String(id).toLowerCase());
+    if (!charset) {
+      throw new Error(`Unsupported charset: ${id}`);
+    }
+    return charset;
+  }
+
+  /**
+   * Expand [from, to] byte ranges
+   * @param {Array<number[]>} ranges - Inclusive ranges
+   * @returns {number[]}
+   */
+  function expandRanges(ranges = []) {
+    const bytes = [];
+    ranges.forEach(([from, to]) => {
+      for (let b = from; b <= to; b++) bytes.push(b);
+    });
+    return bytes;
+  }
+
+  /**
+   * Build the encoder table for a legacy charset by decoding every byte sequence it defines
+   * @param {Object} charset - Charset definition
+   * @returns {Map<number, number[]>}
+   */
+  function getEncodeTable(charset) {
+    if (encodeTables.has(charset.id)) {
+      return encodeTables.get(charset.id);
+    }
+
+    const decoder = new TextDecoder(charset.id, { fatal: true });
+    const lastWins = new Set(charset.lastWins || []);
+    const table = new Map();
+
+    const add = (bytes) => {
+      let text;
+      try {
+        text = decoder.decode(new Uint8Array(bytes));
+      } catch (e) {
+        return;
+      }
+
+      const codePoint = text.codePointAt(0);
+      if (text.length !== String.fromCodePoint(codePoint).length || codePoint < 0x80) return;
+      if (!table.has(codePoint) || lastWins.has(codePoint)) {
+        table.set(codePoint, bytes);
+      }
+    };
+
+    const singles = charset.singleByte ? expandRanges([[0x80, 0xff]]) : expandRanges(charset.singles);
+    singles.forEach(b => add([b]));
+
+    const lateLeads = charset.lateLeads || [];
+    const leads = expandRanges(charset.lead).filter(b => !lateLeads.includes(b)).concat(lateLeads);
+    const trails = expandRanges(charset.trail);
+    leads.forEach(lead => trails.forEach(trail => add([lead, trail])));
+
+    Object.entries(charset.extra || {}).forEach(([codePoint, bytes]) => {
+      table.set(Number(codePoint), bytes);
+    });
+
+    encodeTables.set(charset.id, table);
+    return table;
+  }
+
+  /**
+   * Encode one code point; null when the charset can't represent it
+   * @param {Object} charset - Charset definition
+   * @param {number} codePoint - Unicode code point
+   * @returns {number[]|null}
+   */
+  function encodeCodePoint(charset, codePoint) {
+    switch (charset.id) {
+      case 'ascii':
+        return codePoint < 0x80 ? [codePoint] : null;
+      case 'iso-8859-1':
+        return codePoint <= 0xff ? [codePoint] : null;
+      case 'utf-16le':
+      case 'utf-16be': {
+        if (codePoint >= 0xd800 && codePoint <= 0xdfff) return null;
+        const units = codePoint > 0xffff
+          ? [0xd800 + ((codePoint - 0x10000) >> 10), 0xdc00 + ((codePoint - 0x10000) & 0x3ff)]
+          : [codePoint];
+        const bytes = [];
+        units.forEach(unit => {
+          if (charset.id === 'utf-16le') bytes.push(unit & 0xff, unit >> 8);
+          else bytes.push(unit >> 8, unit & 0xff);
+        });
+        return bytes;
+      }
+      default:
+        if (codePoint < 0x80) return [codePoint];
+        return getEncodeTable(charset).get(codePoint) || null;
+    }
+  }
+
   // ============================================
   // Utility Functions
   // ============================================
@@ -171,6 +333,87 @@
       return new TextDecoder().decode(bytes);
     },
 
+    /**
+     * Charsets supported by encodeText/decodeText
+     * @returns {Array<{id: string, label: string, group: string}>}
+     */
+    charsets() {
+      return CHARSETS.map(({ id, label, group }) => ({ id, label, group }));
+    },
+
+    /**
+     * Encode text in a charset; characters it can't represent become "?"
+     * @param {string} text - Text to encode
+     * @param {string} [charset='utf-8'] - Charset id, see charsets()
+     * @returns {{bytes: Uint8Array, unmappable: Array<{index: number, char: string}>}}
+     *   unmappable lists each replaced character with its UTF-16 index in text
+     */
+    encodeText(text, charset = 'utf-8') {
+      const definition = getCharset(charset);
+      const unmappable = [];
+
+      if (definition.id === 'utf-8') {
+        // TextEncoder turns lone surrogates into U+FFFD
+        let index = 0;
+        for (const char of text) {
+          const codePoint = char.codePointAt(0);
+          if (codePoint >= 0xd800 && codePoint <= 0xdfff) {
+            unmappable.push({ index, char });
+          }
+          index += char.length;
+        }
+        return { bytes: new TextEncoder().encode(text), unmappable };
+      }
+
+      const replacement = encodeCodePoint(definition, 0x3f);
+      const bytes = [];
+      let index = 0;
+      for (const char of text) {
+        let encoded = encodeCodePoint(definition, char.codePointAt(0));
+        if (!encoded) {
+          unmappable.push({ index, char });
+          encoded = replacement;
+        }
+        for (let i = 0; i < encoded.length; i++) bytes.push(encoded[i]);
+        index += char.length;
+      }
+
+      return { bytes: new Uint8Array(bytes), unmappable };
+    },
+
+    /**
+     * Decode bytes in a charset; invalid sequences become U+FFFD
+     * @param {Uint8Array} bytes - Bytes to decode
+     * @param {string} [charset='utf-8'] - Charset id, see charsets()
+     * @returns {{text: string, replaced: number}} replaced counts the U+FFFD substitutions
+     */
+    decodeText(bytes, charset = 'utf-8') {
+      const definition = getCharset(charset);
+
+      // TextDecoder treats both of these labels as windows-1252, so decode them by hand
+      if (definition.id === 'ascii' || definition.id === 'iso-8859-1') {
+        const limit = definition.id === 'ascii' ? 0x7f : 0xff;
+        let text = '';
+        let replaced = 0;
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          const codes = Array.from(bytes.subarray(i, i + 0x8000), b => {
+            if (b <= limit) return b;
+            replaced++;
+            return 0xfffd;
+          });
+          text += String.fromCharCode.apply(null, codes);
+        }
+        return { text, replaced };
+      }
+
+      try {
+        return { text: new TextDecoder(definition.id, { fatal: true }).decode(bytes), replaced: 0 };
+      } catch (e) {
+        const text = new TextDecoder(definition.id).decode(bytes);
+        return { text, replaced: (text.match(/\uFFFD/g) || []).length };
+      }
+    },
+
     /**
      * Convert Uint8Array to hex string
      */
@@ -192,12 +435,10 @@
     },
 
     /**
-     * Escape HTML special characters
+     * Escape HTML special characters, quotes included so the result also fits in attributes
      */
     escapeHtml(str) {
-      const div = document.createElement('div');
-      div.textContent = str;
-      return div.innerHTML;
+      return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     },
 
     /**
@@ -211,21 +452,70 @@
   };
 
   // ============================================
-  // Hash Functions (Web Crypto API)
+  // Hash Functions (registry in hash-stream.js)
   // ============================================
 
+  // Algorithms Web Crypto can sign natively for HMAC
+  const WEB_CRYPTO_ALGORITHMS = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'];
+
+  /**
+   * Get the hash registry; pages that hash load crypto-js.min.js, hash-algorithms.js and hash-stream.js
+   */
+  function getRegistry() {
+    if (typeof HashStream === 'undefined') {
+      throw new Error('hash-stream.js is required for DevTools.Hash');
+    }
+    return HashStream;
+  }
+
   const Hash = {
     /**
-     * Calculate hash using Web Crypto API
-     * Supports: SHA-1, SHA-256, SHA-384, SHA-512
+     * Register a hash algorithm so every page (dropdowns, files, HMAC, UUID) can use it
+     * Algorithms registered at runtime exist on this page only; files are then hashed
+     * on the main thread instead of the worker.
+     * @param {string} name - Algorithm name
+     * @param {Object} spec - Implementation
+     * @param {number} spec.outputBits - Digest length in bits
+     * @param {function(Uint8Array): Promise<Uint8Array>} [spec.digest] - One-shot digest
+     * @param {function(): {update: function(Uint8Array), finalize: function(): Uint8Array}} [spec.streaming] -
+     *   Incremental hasher factory; required for file hashing and HMAC
+     * @param {number} [spec.blockSize] - Block size in bytes for HMAC (omit for checksums)
+     * @param {string} [spec.group] - Group label in algorithm dropdowns
      */
-    async calculate(algorithm, data) {
-      const buffer = typeof data === 'string'
-        ? Utils.stringToBytes(data)
-        : data;
+    register(name, spec) {
+      getRegistry().register(name, {
+        outputBits: spec.outputBits,
+        blockSize: spec.blockSize,
+        group: spec.group,
+        create: spec.streaming,
+        digest: spec.digest
+      });
+    },
+
+    /**
+     * List registered algorithms in display order
+     * @returns {Array<{name: string, outputBits: number, group: string|null, streaming: boolean, hmac: boolean, builtin: boolean}>}
+     */
+    list() {
+      return getRegistry().list();
+    },
 
-      const hashBuffer = await crypto.subtle.digest(algorithm, buffer);
-      return new Uint8Array(hashBuffer);
+    /**
+     * Hash data with any registered algorithm
+     * @param {string} algorithm - Algorithm name, see list()
+     * @param {Uint8Array|string} data - Bytes, or a string taken as UTF-8
+     * @returns {Promise<Uint8Array>}
+     */
+    async digest(algorithm, data) {
+      const bytes = typeof data === 'string' ? Utils.stringToBytes(data) : data;
+      return getRegistry().digest(algorithm, bytes);
+    },
+
+    /**
+     * Calculate hash (same as digest)
+     */
+    async calculate(algorithm, data) {
+      return this.digest(algorithm, data);
     },
 
     async sha1(data) {
@@ -242,6 +532,51 @@
 
     async sha512(data) {
       return this.calculate('SHA-512', data);
+    },
+
+    async keccak256(data) {
+      return this.calculate('Keccak-256', data);
+    },
+
+    async ripemd160(data) {
+      return this.calculate('RIPEMD-160', data);
+    },
+
+    async blake2b(data) {
+      return this.calculate('BLAKE2b-512', data);
+    },
+
+    async blake3(data) {
+      return this.calculate('BLAKE3', data);
+    },
+
+    async crc32(data) {
+      return this.calculate('CRC32', data);
+    },
+
+    /**
+     * Calculate HMAC
+     * SHA-1/SHA-2 use Web Crypto; other algorithms use the generic RFC 2104 construction in HashStream
+     * @param {string} algorithm - Any streaming algorithm with a block size (not CRC32 or Adler-32)
+     * @param {Uint8Array|string} key - Key bytes, or a string taken as UTF-8
+     * @param {Uint8Array|string} data - Message bytes, or a string taken as UTF-8
+     * @returns {Promise<Uint8Array>}
+     */
+    async hmac(algorithm, key, data) {
+      const keyBytes = typeof key === 'string' ? Utils.stringToBytes(key) : key;
+      const dataBytes = typeof data === 'string' ? Utils.stringToBytes(data) : data;
+
+      if (WEB_CRYPTO_ALGORITHMS.includes(algorithm) && keyBytes.length > 0 && crypto.subtle) {
+        const cryptoKey = await crypto.subtle.importKey(
+          'raw', keyBytes, { name: 'HMAC', hash: algorithm }, false, ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', cryptoKey, dataBytes);
+        return new Uint8Array(signature);
+      }
+
+      const mac = getRegistry().createHmac(algorithm, keyBytes);
+      mac.update(dataBytes);
+      return mac.finalize();
     }
   };
 
@@ -249,6 +584,26 @@
   // Base64 Functions
   // ============================================
 
+  const BASE64_STANDARD = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  // Sextet per character code; '-' and '_' share the values of '+' and '/'
+  const BASE64_VALUES = new Map();
+  for (let i = 0; i < 64; i++) BASE64_VALUES.set(BASE64_STANDARD[i], i);
+  BASE64_VALUES.set('-', 62);
+  BASE64_VALUES.set('_', 63);
+
+  /**
+   * Error for input the lenient decoder can't repair
+   * @param {string} message - Error message
+   * @param {number} [offset] - Position of the offending character in the input
+   * @returns {Error}
+   */
+  function base64Error(message, offset) {
+    const err = new Error(message);
+    if (offset !== undefined) err.offset = offset;
+    return err;
+  }
+
   const Base64 = {
     /**
      * Encode string to Base64
@@ -262,11 +617,13 @@
      * Encode bytes to Base64
      */
     encodeBytes(bytes, urlSafe = false) {
-      let binary = '';
-      for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
+      // btoa slices of a multiple of 3 bytes concatenate without padding in between
+      const SLICE = 0x7ffe;
+      const parts = [];
+      for (let i = 0; i < bytes.length; i += SLICE) {
+        parts.push(btoa(String.fromCharCode.apply(null, bytes.subarray(i, i + SLICE))));
       }
-      let base64 = btoa(binary);
+      let base64 = parts.join('');
 
       if (urlSafe) {
         base64 = base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
@@ -275,6 +632,23 @@
       return base64;
     },
 
+    /**
+     * Break encoded text into lines, e.g. 76 columns for MIME or 64 for PEM
+     * @param {string} text - Encoded text without line breaks
+     * @param {number} width - Characters per line
+     * @param {string} [lineEnding] - '\n' or '\r\n'
+     * @returns {string}
+     */
+    wrap(text, width, lineEnding = '\n') {
+      if (!width || text.length <= width) return text;
+
+      const lines = [];
+      for (let i = 0; i < text.length; i += width) {
+        lines.push(text.slice(i, i + width));
+      }
+      return lines.join(lineEnding);
+    },
+
     /**
      * Decode Base64 to string
      */
@@ -284,23 +658,629 @@
     },
 
     /**
-     * Decode Base64 to bytes
+     * Decode Base64 to bytes; standard and URL-safe input are both accepted (see analyze)
+     * @param {string} base64 - Base64 text
+     * @param {boolean} [urlSafe] - Kept for compatibility, the alphabet is detected
+     * @returns {Uint8Array}
      */
     decodeToBytes(base64, urlSafe = false) {
-      if (urlSafe) {
-        base64 = base64.replace(/-/g, '+').replace(/_/g, '/');
-        // Add padding if needed
-        while (base64.length % 4) {
-          base64 += '=';
+      return this.analyze(base64).bytes;
+    },
+
+    /**
+     * Decode Base64 leniently and describe what had to be tolerated: whitespace and line
+     * wrapping are skipped, the standard or URL-safe alphabet is detected, padding is optional
+     * @param {string} text - Base64 text
+     * @returns {{bytes: Uint8Array, urlSafe: boolean, whitespace: number, lineLength: number, padded: boolean, paddingMissing: boolean}}
+     *   lineLength is the wrap width when every line but the last has the same length, else 0
+     * @throws {Error} With an `offset` property when a character is invalid or misplaced
+     */
+    analyze(text) {
+      const bytes = new Uint8Array(Math.floor(text.length * 3 / 4) + 3);
+      let length = 0;
+      let buffer = 0;
+      let pending = 0;
+      let padding = 0;
+      let whitespace = 0;
+      let standardAt = -1;
+      let urlSafeAt = -1;
+      const lineLengths = [];
+      let lineLength = 0;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\n') {
+          lineLengths.push(lineLength);
+          lineLength = 0;
+          whitespace++;
+          continue;
+        }
+        if (char === ' ' || char === '\t' || char === '\r') {
+          whitespace++;
+          continue;
+        }
+        lineLength++;
+
+        if (char === '=') {
+          padding++;
+          continue;
+        }
+
+        const value = BASE64_VALUES.get(char);
+        if (value === undefined) {
+          const shown = String.fromCodePoint(text.codePointAt(i));
+          throw base64Error(`Invalid Base64 character "${shown}" at offset ${i}`, i);
+        }
+        if (padding > 0) {
+          throw base64Error(`Base64 data after padding at offset ${i}`, i);
+        }
+
+        if (char === '+' || char === '/') {
+          if (standardAt === -1) standardAt = i;
+          if (urlSafeAt !== -1) {
+            throw base64Error(`Standard Base64 character "${char}" in URL-safe input at offset ${i}`, i);
+          }
+        } else if (char === '-' || char === '_') {
+          if (urlSafeAt === -1) urlSafeAt = i;
+          if (standardAt !== -1) {
+            throw base64Error(`URL-safe Base64 character "${char}" in standard input at offset ${i}`, i);
+          }
+        }
+
+        buffer = (buffer << 6) | value;
+        if (++pending === 4) {
+          bytes[length++] = buffer >>> 16;
+          bytes[length++] = (buffer >>> 8) & 0xff;
+          bytes[length++] = buffer & 0xff;
+          buffer = 0;
+          pending = 0;
         }
       }
 
-      const binary = atob(base64);
-      const bytes = new Uint8Array(binary.length);
-      for (let i = 0; i < binary.length; i++) {
-        bytes[i] = binary.charCodeAt(i);
+      if (pending === 1) {
+        throw base64Error('Base64 input ends in the middle of a byte');
       }
-      return bytes;
+      if (pending === 2) {
+        bytes[length++] = buffer >>> 4;
+      } else if (pending === 3) {
+        bytes[length++] = buffer >>> 10;
+        bytes[length++] = (buffer >>> 2) & 0xff;
+      }
+
+      lineLengths.push(lineLength);
+      while (lineLengths.length > 1 && lineLengths[lineLengths.length - 1] === 0) lineLengths.pop();
+      const width = lineLengths[0];
+      const wrapped = lineLengths.length > 1 &&
+        lineLengths.every((len, i) => i === lineLengths.length - 1 ? len <= width : len === width);
+
+      return {
+        bytes: bytes.slice(0, length),
+        urlSafe: urlSafeAt !== -1,
+        whitespace,
+        lineLength: wrapped ? width : 0,
+        padded: padding > 0,
+        paddingMissing: pending > 0 && padding !== 4 - pending
+      };
+    }
+  };
+
+  // ============================================
+  // Binary-to-Text Codecs
+  // ============================================
+
+  const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const BASE32HEX_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+  const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  const Z85_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+  const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+  // Base58/Base62 are big-number conversions, quadratic in the input length
+  const BASE_X_MAX_BYTES = 32 * 1024;
+
+  /**
+   * Map each alphabet character to its value
+   * @param {string} alphabet - Codec alphabet
+   * @param {boolean} [caseInsensitive] - Also accept lowercase for uppercase letters
+   * @returns {Map<string, number>}
+   */
+  function alphabetMap(alphabet, caseInsensitive = false) {
+    const map = new Map();
+    for (let i = 0; i < alphabet.length; i++) {
+      map.set(alphabet[i], i);
+      if (caseInsensitive) map.set(alphabet[i].toLowerCase(), i);
+    }
+    return map;
+  }
+
+  /**
+   * Error for a character outside the alphabet
+   * @param {string} name - Codec name
+   * @param {string} char - Offending character
+   * @param {number} index - Position in the input
+   * @returns {Error}
+   */
+  function invalidCharError(name, char, index) {
+    return new Error(`Invalid ${name} character "${char}" at offset ${index}`);
+  }
+
+  /**
+   * RFC 4648 Base32 with the given alphabet; decoding ignores whitespace, case and padding
+   * @param {string} name - Codec name for errors
+   * @param {string} alphabet - 32 characters
+   */
+  function createBase32(name, alphabet) {
+    const values = alphabetMap(alphabet, true);
+
+    return {
+      encode(bytes) {
+        let out = '';
+        let buffer = 0;
+        let bits = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+          buffer = (buffer << 8) | bytes[i];
+          bits += 8;
+          while (bits >= 5) {
+            out += alphabet[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+          }
+        }
+        if (bits > 0) {
+          out += alphabet[(buffer << (5 - bits)) & 31];
+        }
+
+        while (out.length % 8) out += '=';
+        return out;
+      },
+
+      decode(text) {
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        let padded = false;
+
+        for (let i = 0; i < text.length; i++) {
+          const char = text[i];
+          if (/\s/.test(char)) continue;
+          if (char === '=') {
+            padded = true;
+            continue;
+          }
+
+          const value = values.get(char);
+          if (value === undefined || padded) throw invalidCharError(name, char, i);
+
+          buffer = ((buffer << 5) | value) & 0xfff;
+          bits += 5;
+          if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+          }
+        }
+
+        return new Uint8Array(bytes);
+      }
+    };
+  }
+
+  /**
+   * Base58/Base62 style big-number codec; leading zero bytes become leading zero digits
+   * @param {string} name - Codec name for errors
+   * @param {string} alphabet - Digits, zero first
+   */
+  function createBaseX(name, alphabet) {
+    const radix = alphabet.length;
+    const values = alphabetMap(alphabet);
+
+    // Work in limbs of radix^6 (encode) or 2^16 (decode) so products stay below 2^53
+    const DIGITS_PER_LIMB = 6;
+    const LIMB = Math.pow(radix, DIGITS_PER_LIMB);
+
+    const checkSize = (length, limit) => {
+      if (length > limit) {
+        throw new Error(`${name} input is limited to ${BASE_X_MAX_BYTES / 1024} KB`);
+      }
+    };
+
+    return {
+      encode(bytes) {
+        checkSize(bytes.length, BASE_X_MAX_BYTES);
+
+        let zeros = 0;
+        while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+        // Little-endian limbs in base radix^6, fed 16 bits at a time
+        const limbs = [];
+        const odd = (bytes.length - zeros) % 2;
+        for (let i = zeros; i < bytes.length; i += (i === zeros && odd ? 1 : 2)) {
+          const single = i === zeros && odd;
+          let carry = single ? bytes[i] : (bytes[i] << 8) | bytes[i + 1];
+          const factor = single ? 256 : 65536;
+
+          for (let j = 0; j < limbs.length; j++) {
+            carry += limbs[j] * factor;
+            limbs[j] = carry % LIMB;
+            carry = Math.floor(carry / LIMB);
+          }
+          while (carry > 0) {
+            limbs.push(carry % LIMB);
+            carry = Math.floor(carry / LIMB);
+          }
+        }
+
+        let digits = '';
+        for (let j = 0; j < limbs.length; j++) {
+          let limb = limbs[j];
+          for (let k = 0; k < DIGITS_PER_LIMB; k++) {
+            digits = alphabet[limb % radix] + digits;
+            limb = Math.floor(limb / radix);
+          }
+        }
+
+        return alphabet[0].repeat(zeros) + digits.replace(new RegExp(`^${alphabet[0]}+`), '');
+      },
+
+      decode(text) {
+        const input = text.replace(/\s+/g, '');
+        checkSize(input.length, BASE_X_MAX_BYTES * 2);
+
+        let zeros = 0;
+        while (zeros < input.length && input[zeros] === alphabet[0]) zeros++;
+
+        // Little-endian limbs in base 2^16, fed up to 6 digits at a time
+        const limbs = [];
+        let i = zeros;
+        while (i < input.length) {
+          const count = Math.min(DIGITS_PER_LIMB, input.length - i);
+          let carry = 0;
+          for (let k = 0; k < count; k++, i++) {
+            const value = values.get(input[i]);
+            if (value === undefined) throw invalidCharError(name, input[i], i);
+            carry = carry * radix + value;
+          }
+
+          const factor = Math.pow(radix, count);
+          for (let j = 0; j < limbs.length; j++) {
+            carry += limbs[j] * factor;
+            limbs[j] = carry % 65536;
+            carry = Math.floor(carry / 65536);
+          }
+          while (carry > 0) {
+            limbs.push(carry % 65536);
+            carry = Math.floor(carry / 65536);
+          }
+        }
+
+        const body = [];
+        for (let j = limbs.length - 1; j >= 0; j--) {
+          body.push(limbs[j] >>> 8, limbs[j] & 0xff);
+        }
+        while (body.length > 0 && body[0] === 0) body.shift();
+
+        const bytes = new Uint8Array(zeros + body.length);
+        bytes.set(body, zeros);
+        return bytes;
+      }
+    };
+  }
+
+  /**
+   * Double SHA-256 checksum for Base58Check (synchronous, via the hash registry)
+   * @param {Uint8Array} bytes - Payload
+   * @returns {Uint8Array} First 4 bytes of SHA-256(SHA-256(payload))
+   */
+  function base58Checksum(bytes) {
+    if (typeof HashStream === 'undefined') {
+      throw new Error('hash-stream.js is required for Base58Check');
+    }
+
+    const sha256 = (data) => {
+      const hasher = HashStream.create('SHA-256');
+      hasher.update(data);
+      return hasher.finalize();
+    };
+    return sha256(sha256(bytes)).slice(0, 4);
+  }
+
+  /**
+   * Ascii85 (Adobe flavour without the "<~ ~>" delimiters on output);
+   * decoding accepts delimiters, whitespace and the "z" shorthand
+   */
+  const Ascii85 = {
+    encode(bytes) {
+      let out = '';
+      for (let i = 0; i < bytes.length; i += 4) {
+        const count = Math.min(4, bytes.length - i);
+        let value = 0;
+        for (let k = 0; k < 4; k++) {
+          value = value * 256 + (k < count ? bytes[i + k] : 0);
+        }
+
+        if (value === 0 && count === 4) {
+          out += 'z';
+          continue;
+        }
+
+        const chars = new Array(5);
+        for (let k = 4; k >= 0; k--) {
+          chars[k] = String.fromCharCode(33 + (value % 85));
+          value = Math.floor(value / 85);
+        }
+        out += chars.slice(0, count + 1).join('');
+      }
+      return out;
+    },
+
+    decode(text) {
+      let input = text.replace(/\s+/g, '');
+      if (input.startsWith('<~')) input = input.slice(2);
+      if (input.endsWith('~>')) input = input.slice(0, -2);
+
+      const bytes = [];
+      let group = [];
+
+      const flush = (count) => {
+        let value = 0;
+        for (let k = 0; k < 5; k++) {
+          value = value * 85 + (k < group.length ? group[k] : 84);
+        }
+        if (value > 0xffffffff) {
+          throw new Error('Ascii85 group out of range');
+        }
+        for (let k = 0; k < count; k++) {
+          bytes.push(Math.floor(value / Math.pow(256, 3 - k)) % 256);
+        }
+        group = [];
+      };
+
+      for (let i = 0; i < input.length; i++) {
+        const code = input.charCodeAt(i);
+        if (input[i] === 'z' && group.length === 0) {
+          bytes.push(0, 0, 0, 0);
+          continue;
+        }
+        if (code < 33 || code > 117) throw invalidCharError('Ascii85', input[i], i);
+
+        group.push(code - 33);
+        if (group.length === 5) flush(4);
+      }
+
+      if (group.length === 1) {
+        throw new Error('Ascii85 input ends with a single character');
+      }
+      if (group.length > 0) flush(group.length - 1);
+
+      return new Uint8Array(bytes);
+    }
+  };
+
+  /**
+   * Z85 (ZeroMQ RFC 32); input lengths must be multiples of 4 bytes / 5 characters
+   */
+  const Z85 = (() => {
+    const values = alphabetMap(Z85_ALPHABET);
+
+    return {
+      encode(bytes) {
+        if (bytes.length % 4 !== 0) {
+          throw new Error('Z85 input length must be a multiple of 4 bytes');
+        }
+
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 4) {
+          let value = ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+          let chunk = '';
+          for (let k = 0; k < 5; k++) {
+            chunk = Z85_ALPHABET[value % 85] + chunk;
+            value = Math.floor(value / 85);
+          }
+          out += chunk;
+        }
+        return out;
+      },
+
+      decode(text) {
+        const input = text.replace(/\s+/g, '');
+        if (input.length % 5 !== 0) {
+          throw new Error('Z85 input length must be a multiple of 5 characters');
+        }
+
+        const bytes = new Uint8Array(input.length / 5 * 4);
+        for (let i = 0; i < input.length; i += 5) {
+          let value = 0;
+          for (let k = 0; k < 5; k++) {
+            const digit = values.get(input[i + k]);
+            if (digit === undefined) throw invalidCharError('Z85', input[i + k], i + k);
+            value = value * 85 + digit;
+          }
+          if (value > 0xffffffff) {
+            throw new Error(`Z85 group at offset ${i} out of range`);
+          }
+
+          const j = i / 5 * 4;
+          bytes[j] = value >>> 24;
+          bytes[j + 1] = (value >>> 16) & 0xff;
+          bytes[j + 2] = (value >>> 8) & 0xff;
+          bytes[j + 3] = value & 0xff;
+        }
+        return bytes;
+      }
+    };
+  })();
+
+  /**
+   * Base45 (RFC 9285), as used in EU Digital COVID Certificate QR codes
+   */
+  const Base45 = (() => {
+    const values = alphabetMap(BASE45_ALPHABET);
+
+    return {
+      encode(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 2) {
+          if (i + 1 < bytes.length) {
+            const n = bytes[i] * 256 + bytes[i + 1];
+            out += BASE45_ALPHABET[n % 45] + BASE45_ALPHABET[Math.floor(n / 45) % 45] + BASE45_ALPHABET[Math.floor(n / 2025)];
+          } else {
+            out += BASE45_ALPHABET[bytes[i] % 45] + BASE45_ALPHABET[Math.floor(bytes[i] / 45)];
+          }
+        }
+        return out;
+      },
+
+      // Space is part of the alphabet, so only line breaks are ignored
+      decode(text) {
+        const input = text.replace(/[\r\n]+/g, '');
+        if (input.length % 3 === 1) {
+          throw new Error('Base45 input length is invalid');
+        }
+
+        const bytes = [];
+        for (let i = 0; i < input.length; i += 3) {
+          const digits = [];
+          for (let k = i; k < Math.min(i + 3, input.length); k++) {
+            const value = values.get(input[k]);
+            if (value === undefined) throw invalidCharError('Base45', input[k], k);
+            digits.push(value);
+          }
+
+          const n = digits[0] + digits[1] * 45 + (digits.length === 3 ? digits[2] * 2025 : 0);
+          if (digits.length === 3) {
+            if (n > 0xffff) throw new Error(`Base45 group at offset ${i} out of range`);
+            bytes.push(n >>> 8, n & 0xff);
+          } else {
+            if (n > 0xff) throw new Error(`Base45 group at offset ${i} out of range`);
+            bytes.push(n);
+          }
+        }
+        return new Uint8Array(bytes);
+      }
+    };
+  })();
+
+  const base58 = createBaseX('Base58', BASE58_ALPHABET);
+
+  // id -> { label, description, alphabet, encode(bytes, options), decode(text, options) }, in display order
+  const CODECS = new Map([
+    ['base64', {
+      label: 'Base64',
+      description: 'RFC 4648，最通用；URL Safe 变体用于 URL 和文件名',
+      alphabet: 'A-Z a-z 0-9 + / (URL Safe: - _)',
+      encode: (bytes, options = {}) => Base64.encodeBytes(bytes, !!options.urlSafe),
+      decode: (text) => Base64.decodeToBytes(text)
+    }],
+    ['base32', {
+      label: 'Base32',
+      description: 'RFC 4648，不区分大小写，常见于 TOTP 密钥',
+      alphabet: BASE32_ALPHABET,
+      ...createBase32('Base32', BASE32_ALPHABET)
+    }],
+    ['base32hex', {
+      label: 'Base32hex',
+      description: 'RFC 4648 扩展十六进制字母表，编码后保持排序',
+      alphabet: BASE32HEX_ALPHABET,
+      ...createBase32('Base32hex', BASE32HEX_ALPHABET)
+    }],
+    ['base58', {
+      label: 'Base58',
+      description: '比特币字母表，去掉易混淆的 0 O I l',
+      alphabet: BASE58_ALPHABET,
+      ...base58
+    }],
+    ['base58check', {
+      label: 'Base58Check',
+      description: 'Base58 + 4 字节双重 SHA-256 校验和，用于比特币地址，解码时校验',
+      alphabet: BASE58_ALPHABET,
+      encode(bytes) {
+        const withChecksum = new Uint8Array(bytes.length + 4);
+        withChecksum.set(bytes);
+        withChecksum.set(base58Checksum(bytes), bytes.length);
+        return base58.encode(withChecksum);
+      },
+      decode(text) {
+        const bytes = base58.decode(text);
+        if (bytes.length < 4) {
+          throw new Error('Base58Check input is too short for a checksum');
+        }
+
+        const payload = bytes.slice(0, -4);
+        const expected = base58Checksum(payload);
+        if (!expected.every((b, i) => b === bytes[payload.length + i])) {
+          throw new Error('Base58Check checksum mismatch');
+        }
+        return payload;
+      }
+    }],
+    ['base62', {
+      label: 'Base62',
+      description: '仅含字母和数字，常用于短链接和 ID',
+      alphabet: BASE62_ALPHABET,
+      ...createBaseX('Base62', BASE62_ALPHABET)
+    }],
+    ['ascii85', {
+      label: 'Ascii85',
+      description: 'Adobe 变体，4 字节编码为 5 个字符；解码可带 <~ ~> 定界符',
+      alphabet: '! - u (z = 4 个 0 字节)',
+      ...Ascii85
+    }],
+    ['z85', {
+      label: 'Z85',
+      description: 'ZeroMQ 变体，可安全嵌入源码；长度须为 4 字节的倍数',
+      alphabet: Z85_ALPHABET,
+      ...Z85
+    }],
+    ['base45', {
+      label: 'Base45',
+      description: 'RFC 9285，适合二维码字母数字模式',
+      alphabet: BASE45_ALPHABET,
+      ...Base45
+    }]
+  ]);
+
+  /**
+   * Look up a codec
+   * @param {string} id - Codec id, see Codec.list()
+   * @returns {Object}
+   */
+  function getCodec(id) {
+    const codec = CODECS.get(id);
+    if (!codec) {
+      throw new Error(`Unknown codec: ${id}`);
+    }
+    return codec;
+  }
+
+  const Codec = {
+    /**
+     * Available codecs in display order
+     * @returns {Array<{id: string, label: string, description: string, alphabet: string}>}
+     */
+    list() {
+      return Array.from(CODECS, ([id, { label, description, alphabet }]) => ({ id, label, description, alphabet }));
+    },
+
+    /**
+     * Encode bytes
+     * @param {string} id - Codec id
+     * @param {Uint8Array} bytes - Data
+     * @param {Object} [options] - { urlSafe } for Base64
+     * @returns {string}
+     */
+    encode(id, bytes, options = {}) {
+      return getCodec(id).encode(bytes, options);
+    },
+
+    /**
+     * Decode text; throws on characters outside the alphabet or a bad Base58Check checksum
+     * @param {string} id - Codec id
+     * @param {string} text - Encoded text
+     * @param {Object} [options] - { urlSafe } for Base64
+     * @returns {Uint8Array}
+     */
+    decode(id, text, options = {}) {
+      return getCodec(id).decode(text, options);
     }
   };
 
@@ -323,47 +1303,38 @@
     },
 
     /**
-     * Generate UUID v3 (MD5 based) - requires crypto-js
+     * Generate UUID v3 (MD5 based)
      */
     async v3(namespace, name) {
-      if (typeof CryptoJS === 'undefined') {
-        throw new Error('CryptoJS is required for UUID v3');
-      }
-
-      const nsBytes = this.parse(namespace);
-      const nameBytes = Utils.stringToBytes(name);
-      const combined = new Uint8Array(nsBytes.length + nameBytes.length);
-      combined.set(nsBytes);
-      combined.set(nameBytes, nsBytes.length);
-
-      // MD5 hash
-      const wordArray = CryptoJS.lib.WordArray.create(combined);
-      const hash = CryptoJS.MD5(wordArray);
-      const bytes = this.wordArrayToBytes(hash);
-
-      // Set version (3) and variant (10xx)
-      bytes[6] = (bytes[6] & 0x0f) | 0x30;
-      bytes[8] = (bytes[8] & 0x3f) | 0x80;
-
-      return this.format(bytes);
+      return this.nameBased(3, 'MD5', namespace, name);
     },
 
     /**
      * Generate UUID v5 (SHA-1 based)
      */
     async v5(namespace, name) {
+      return this.nameBased(5, 'SHA-1', namespace, name);
+    },
+
+    /**
+     * Name-based UUID (RFC 4122 4.3): hash namespace + name, keep 16 bytes
+     * @param {number} version - 3 or 5
+     * @param {string} algorithm - Registered hash algorithm
+     * @param {string} namespace - Namespace UUID
+     * @param {string} name - Name
+     */
+    async nameBased(version, algorithm, namespace, name) {
       const nsBytes = this.parse(namespace);
       const nameBytes = Utils.stringToBytes(name);
       const combined = new Uint8Array(nsBytes.length + nameBytes.length);
       combined.set(nsBytes);
       combined.set(nameBytes, nsBytes.length);
 
-      // SHA-1 hash
-      const hashBytes = await Hash.sha1(combined);
+      const hashBytes = await Hash.digest(algorithm, combined);
       const bytes = hashBytes.slice(0, 16);
 
-      // Set version (5) and variant (10xx)
-      bytes[6] = (bytes[6] & 0x0f) | 0x50;
+      // Set version and variant (10xx)
+      bytes[6] = (bytes[6] & 0x0f) | (version << 4);
       bytes[8] = (bytes[8] & 0x3f) | 0x80;
 
       return this.format(bytes);
@@ -395,15 +1366,7 @@
      * Convert CryptoJS WordArray to Uint8Array
      */
     wordArrayToBytes(wordArray) {
-      const words = wordArray.words;
-      const sigBytes = wordArray.sigBytes;
-      const bytes = new Uint8Array(sigBytes);
-
-      for (let i = 0; i < sigBytes; i++) {
-        bytes[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
-      }
-
-      return bytes;
+      return getRegistry().wordArrayToBytes(wordArray);
     },
 
     // Standard namespaces
@@ -453,6 +1416,7 @@
     Utils,
     Hash,
     Base64,
+    Codec,
     UUID
   };
 
@@ -0,0 +1,111 @@
+/**
+ * DevTools - File Base64
+ * Streaming, cancellable Base64 encoding and decoding of files in a Web Worker
+ */
+
+(function() {
+  'use strict';
+
+  class FileBase64 {
+    /**
+     * Create a FileBase64 instance
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+      this.options = {
+        chunkSize: options.chunkSize || Base64Stream.DEFAULT_CHUNK_SIZE,
+        workerUrl: options.workerUrl || WorkerJob.scriptUrl('base64-worker.js'),
+        onProgress: options.onProgress || null,
+        ...options
+      };
+
+      this.job = new WorkerJob({
+        workerUrl: this.options.workerUrl,
+        resultKey: 'blob',
+        onProgress: (progress) => this.reportProgress(progress),
+        busyMessage: 'FileBase64: A conversion is already in progress',
+        abortMessage: 'Base64 conversion cancelled',
+        failMessage: 'Base64 worker failed'
+      });
+    }
+
+    /**
+     * Encode a file to Base64
+     * @param {Blob} file - File or Blob to encode
+     * @param {Object} options - { urlSafe: boolean, lineLength: number, lineEnding: string }
+     * @returns {Promise<Blob>} Base64 text as a text/plain Blob
+     */
+    encode(file, options = {}) {
+      return this.run('encode', file, options);
+    }
+
+    /**
+     * Decode Base64 text (standard or URL-safe, whitespace ignored) to bytes
+     * @param {Blob} file - File or Blob holding the Base64 text
+     * @returns {Promise<Blob>} Decoded bytes
+     */
+    decode(file) {
+      return this.run('decode', file, {});
+    }
+
+    /**
+     * Run an encode or decode in the worker, falling back to the main thread
+     * @param {string} mode - 'encode' or 'decode'
+     * @param {Blob} file - Input
+     * @param {Object} options - { urlSafe, lineLength, lineEnding }
+     * @returns {Promise<Blob>} Rejects with an offset on the error for an invalid character
+     */
+    run(mode, file, options) {
+      const streamOptions = {
+        urlSafe: !!options.urlSafe,
+        lineLength: options.lineLength || 0,
+        lineEnding: options.lineEnding || '\n',
+        chunkSize: this.options.chunkSize
+      };
+
+      return this.job.run(
+        { mode, file, ...streamOptions },
+        (isCancelled, onProgress) => {
+          const fallbackOptions = { ...streamOptions, onProgress, isCancelled };
+          return mode === 'decode'
+            ? Base64Stream.decodeBlob(file, fallbackOptions)
+            : Base64Stream.encodeBlob(file, fallbackOptions);
+        }
+      );
+    }
+
+    /**
+     * Forward progress to the onProgress callback
+     * @param {Object} progress - { processed, total, elapsed }
+     */
+    reportProgress(progress) {
+      if (this.options.onProgress) {
+        this.options.onProgress({
+          processed: progress.processed,
+          total: progress.total,
+          elapsed: progress.elapsed
+        });
+      }
+    }
+
+    /**
+     * Cancel the running conversion; the pending promise rejects with an AbortError
+     * and a new conversion can start right away
+     */
+    cancel() {
+      this.job.cancel();
+    }
+
+    /**
+     * Check whether a conversion is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+      return this.job.isRunning();
+    }
+  }
+
+  // Export to global scope
+  window.FileBase64 = FileBase64;
+
+})();
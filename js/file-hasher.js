@@ -0,0 +1,86 @@
+/**
+ * DevTools - File Hasher
+ * Streaming, cancellable multi-algorithm file hashing in a Web Worker
+ */
+
+(function() {
+  'use strict';
+
+  class FileHasher {
+    /**
+     * Create a FileHasher instance
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+      this.options = {
+        chunkSize: options.chunkSize || HashStream.DEFAULT_CHUNK_SIZE,
+        workerUrl: options.workerUrl || WorkerJob.scriptUrl('hash-worker.js'),
+        onProgress: options.onProgress || null,
+        ...options
+      };
+
+      this.job = new WorkerJob({
+        workerUrl: this.options.workerUrl,
+        resultKey: 'results',
+        onProgress: (progress) => this.reportProgress(progress),
+        busyMessage: 'FileHasher: A hash is already in progress',
+        abortMessage: 'Hashing cancelled',
+        failMessage: 'Hash worker failed'
+      });
+    }
+
+    /**
+     * Hash a file with several algorithms in one pass
+     * @param {Blob} file - File or Blob to hash
+     * @param {string[]} algorithms - Algorithm names
+     * @param {Object} options - { hmacKey: Uint8Array } to compute HMACs instead of digests
+     * @returns {Promise<Object<string, Uint8Array>>} Digest per algorithm
+     */
+    hash(file, algorithms, options = {}) {
+      const { chunkSize } = this.options;
+      const { hmacKey } = options;
+
+      return this.job.run(
+        { file, algorithms, chunkSize, hmacKey },
+        (isCancelled, onProgress) => HashStream.hashBlob(file, algorithms, { chunkSize, hmacKey, onProgress, isCancelled }),
+        // The worker only knows the built-in algorithms, not ones registered on this page
+        { mainThread: !algorithms.every(algo => HashStream.isBuiltin(algo)) }
+      );
+    }
+
+    /**
+     * Forward progress to the onProgress callback
+     * @param {Object} progress - { processed, total, elapsed, timings }
+     */
+    reportProgress(progress) {
+      if (this.options.onProgress) {
+        this.options.onProgress({
+          processed: progress.processed,
+          total: progress.total,
+          elapsed: progress.elapsed,
+          timings: progress.timings
+        });
+      }
+    }
+
+    /**
+     * Cancel the running hash; the pending promise rejects with an AbortError
+     * and a new hash can start right away
+     */
+    cancel() {
+      this.job.cancel();
+    }
+
+    /**
+     * Check whether a hash is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+      return this.job.isRunning();
+    }
+  }
+
+  // Export to global scope
+  window.FileHasher = FileHasher;
+
+})();
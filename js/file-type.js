@@ -0,0 +1,482 @@
+/**
+ * DevTools - File Type Detection
+ * Identify binary data by its magic numbers and read basic details from the header
+ * (image dimensions, executable architecture, Office document kind, ...)
+ */
+
+(function() {
+  'use strict';
+
+  // Enough for JPEG frame headers behind EXIF data and for the text heuristics
+  const HEADER_SIZE = 64 * 1024;
+
+  // Extensions that say nothing about the content and may be replaced
+  const GENERIC_EXTENSIONS = ['bin', 'dat', 'raw', 'tmp', 'out'];
+
+  const ELF_MACHINES = {
+    0x03: 'x86', 0x08: 'MIPS', 0x14: 'PowerPC', 0x15: 'PowerPC64', 0x28: 'ARM',
+    0x3e: 'x86-64', 0xb7: 'AArch64', 0xf3: 'RISC-V', 0x102: 'LoongArch'
+  };
+
+  const ELF_TYPES = {
+    1: { label: '可重定位目标文件', ext: 'o' },
+    2: { label: '可执行文件', ext: '' },
+    3: { label: '共享库/PIE 可执行文件', ext: 'so' },
+    4: { label: 'core dump', ext: '' }
+  };
+
+  const PE_MACHINES = {
+    0x014c: 'x86', 0x8664: 'x86-64', 0x01c0: 'ARM', 0x01c4: 'ARMv7', 0xaa64: 'ARM64'
+  };
+
+  const MACH_O_CPUS = {
+    7: 'x86', 0x01000007: 'x86-64', 12: 'ARM', 0x0100000c: 'ARM64', 18: 'PowerPC'
+  };
+
+  // Brands of ISO base media files ("ftyp" box)
+  const FTYP_BRANDS = {
+    'heic': { mime: 'image/heic', ext: 'heic', label: 'HEIC 图像' },
+    'heix': { mime: 'image/heic', ext: 'heic', label: 'HEIC 图像' },
+    'mif1': { mime: 'image/heif', ext: 'heif', label: 'HEIF 图像' },
+    'avif': { mime: 'image/avif', ext: 'avif', label: 'AVIF 图像' },
+    'qt  ': { mime: 'video/quicktime', ext: 'mov', label: 'QuickTime 视频' },
+    'M4A ': { mime: 'audio/mp4', ext: 'm4a', label: 'M4A 音频' },
+    '3gp4': { mime: 'video/3gpp', ext: '3gp', label: '3GP 视频' },
+    '3gp5': { mime: 'video/3gpp', ext: '3gp', label: '3GP 视频' }
+  };
+
+  // First entries that identify ZIP-based formats
+  const ZIP_KINDS = [
+    { marker: 'mimetypeapplication/epub+zip', mime: 'application/epub+zip', ext: 'epub', label: 'EPUB 电子书' },
+    { marker: 'mimetypeapplication/vnd.oasis.opendocument.text', mime: 'application/vnd.oasis.opendocument.text', ext: 'odt', label: 'OpenDocument 文本' },
+    { marker: 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet', mime: 'application/vnd.oasis.opendocument.spreadsheet', ext: 'ods', label: 'OpenDocument 表格' },
+    { marker: 'word/', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx', label: 'Word 文档 (DOCX)' },
+    { marker: 'xl/', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx', label: 'Excel 工作簿 (XLSX)' },
+    { marker: 'ppt/', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', ext: 'pptx', label: 'PowerPoint 演示文稿 (PPTX)' },
+    { marker: 'AndroidManifest.xml', mime: 'application/vnd.android.package-archive', ext: 'apk', label: 'Android 应用 (APK)' },
+    { marker: 'META-INF/MANIFEST.MF', mime: 'application/java-archive', ext: 'jar', label: 'Java 归档 (JAR)' }
+  ];
+
+  function u16le(b, i) { return b[i] | (b[i + 1] << 8); }
+  function u16be(b, i) { return (b[i] << 8) | b[i + 1]; }
+  function u32le(b, i) { return (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> 0; }
+  function u32be(b, i) { return ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0; }
+
+  /**
+   * Latin-1 view of a byte range, for matching ASCII markers
+   * @param {Uint8Array} bytes - Data
+   * @param {number} start - First byte
+   * @param {number} end - End (exclusive)
+   * @returns {string}
+   */
+  function ascii(bytes, start, end) {
+    let str = '';
+    for (let i = start; i < Math.min(end, bytes.length); i++) {
+      str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+  }
+
+  function dimensions(width, height) {
+    return width > 0 && height > 0 ? `${width}×${height}` : null;
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker
+  function jpegDetails(b) {
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xff) return [];
+      const marker = b[i + 1];
+      if (marker === 0xff) {
+        i++;
+        continue;
+      }
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+        i += 2;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        const details = [dimensions(u16be(b, i + 7), u16be(b, i + 5))];
+        if (marker === 0xc2) details.push('渐进式');
+        return details;
+      }
+      i += 2 + u16be(b, i + 2);
+    }
+    return [];
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X) header
+  function webpDetails(b) {
+    const chunk = ascii(b, 12, 16);
+    if (chunk === 'VP8 ' && b.length >= 30) {
+      return [dimensions(u16le(b, 26) & 0x3fff, u16le(b, 28) & 0x3fff), '有损'];
+    }
+    if (chunk === 'VP8L' && b.length >= 25) {
+      const width = 1 + (((b[22] & 0x3f) << 8) | b[21]);
+      const height = 1 + (((b[24] & 0x0f) << 10) | (b[23] << 2) | ((b[22] & 0xc0) >> 6));
+      return [dimensions(width, height), '无损'];
+    }
+    if (chunk === 'VP8X' && b.length >= 30) {
+      const width = 1 + (b[24] | (b[25] << 8) | (b[26] << 16));
+      const height = 1 + (b[27] | (b[28] << 8) | (b[29] << 16));
+      return [dimensions(width, height), (b[20] & 0x02) ? '动画' : null];
+    }
+    return [];
+  }
+
+  // ELF: word size, type and machine from the identification and header fields
+  function elfDetails(b) {
+    const littleEndian = b[5] !== 2;
+    const u16 = littleEndian ? u16le : u16be;
+    const type = ELF_TYPES[u16(b, 16)];
+    const machine = ELF_MACHINES[u16(b, 18)];
+
+    return {
+      label: `ELF ${type ? type.label : '文件'}`,
+      ext: type ? type.ext : '',
+      details: [b[4] === 2 ? '64 位' : '32 位', machine, littleEndian ? null : '大端']
+    };
+  }
+
+  // PE: follow e_lfanew from the DOS header to the COFF header
+  function peDetails(b) {
+    const pe = b.length >= 0x40 ? u32le(b, 0x3c) : 0;
+    if (pe === 0 || pe + 26 > b.length || ascii(b, pe, pe + 4) !== 'PE\0\0') {
+      return { label: 'DOS 可执行文件', ext: 'exe', details: [] };
+    }
+
+    const dll = (u16le(b, pe + 22) & 0x2000) !== 0;
+    const magic = u16le(b, pe + 24);
+    const subsystem = pe + 94 <= b.length ? u16le(b, pe + 92) : 0;
+
+    return {
+      label: dll ? 'Windows DLL' : 'Windows 可执行文件',
+      ext: dll ? 'dll' : 'exe',
+      details: [
+        magic === 0x20b ? 'PE32+' : 'PE32',
+        PE_MACHINES[u16le(b, pe + 4)],
+        { 2: '图形界面', 3: '控制台' }[subsystem]
+      ]
+    };
+  }
+
+  // 0xCAFEBABE is both a Java class file and a universal Mach-O binary
+  function cafebabeDetails(b) {
+    const count = u32be(b, 4);
+    if (count > 0 && count < 30) {
+      return { mime: 'application/x-mach-binary', ext: '', label: 'Mach-O 通用二进制', details: [`${count} 种架构`] };
+    }
+    return { mime: 'application/java-vm', ext: 'class', label: 'Java 类文件', details: [`版本 ${u16be(b, 6)}.${u16be(b, 4)}`] };
+  }
+
+  function machODetails(b) {
+    const littleEndian = b[0] === 0xce || b[0] === 0xcf;
+    const cpu = (littleEndian ? u32le : u32be)(b, 4);
+    return { details: [b[0] === 0xcf || b[3] === 0xcf ? '64 位' : '32 位', MACH_O_CPUS[cpu]] };
+  }
+
+  // ZIP: name the container by the entries near the start
+  function zipDetails(b) {
+    const names = ascii(b, 0, b.length);
+    const kind = ZIP_KINDS.find(k => names.includes(k.marker));
+    return kind ? { mime: kind.mime, ext: kind.ext, label: kind.label, details: [], weak: false } : {};
+  }
+
+  // GZIP: the original file name is stored when FNAME is set
+  function gzipDetails(b) {
+    const flags = b[3];
+    if (!(flags & 0x08) || b.length < 10) return {};
+
+    let i = 10;
+    if (flags & 0x04) i += 2 + u16le(b, 10);
+    let name = '';
+    while (i < b.length && b[i] !== 0 && name.length < 256) {
+      name += String.fromCharCode(b[i++]);
+    }
+    return name ? { details: [`原文件名 ${name}`] } : {};
+  }
+
+  function isoMediaDetails(b) {
+    const brand = ascii(b, 8, 12);
+    const known = FTYP_BRANDS[brand];
+    return known ? { ...known, details: [] } : { details: [`brand ${brand.trim()}`] };
+  }
+
+  /**
+   * Magic numbers, checked in order. `at` is the offset of `bytes`; `also` is a second
+   * pattern at `alsoAt`; `inspect` reads details and may refine mime/ext/label
+   */
+  const SIGNATURES = [
+    { bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], mime: 'image/png', ext: 'png', label: 'PNG 图像',
+      inspect: b => ({ details: [b.length >= 24 ? dimensions(u32be(b, 16), u32be(b, 20)) : null] }) },
+    { bytes: [0xff, 0xd8, 0xff], mime: 'image/jpeg', ext: 'jpg', label: 'JPEG 图像',
+      inspect: b => ({ details: jpegDetails(b) }) },
+    { bytes: [0x47, 0x49, 0x46, 0x38], mime: 'image/gif', ext: 'gif', label: 'GIF 图像',
+      inspect: b => ({ details: [b.length >= 10 ? dimensions(u16le(b, 6), u16le(b, 8)) : null] }) },
+    { bytes: [0x52, 0x49, 0x46, 0x46], also: [0x57, 0x45, 0x42, 0x50], alsoAt: 8, mime: 'image/webp', ext: 'webp', label: 'WebP 图像',
+      inspect: b => ({ details: webpDetails(b) }) },
+    { bytes: [0x52, 0x49, 0x46, 0x46], also: [0x57, 0x41, 0x56, 0x45], alsoAt: 8, mime: 'audio/wav', ext: 'wav', label: 'WAV 音频',
+      inspect: b => ({ details: b.length >= 32 ? [`${u16le(b, 22)} 声道`, `${u32le(b, 24)} Hz`] : [] }) },
+    { bytes: [0x52, 0x49, 0x46, 0x46], also: [0x41, 0x56, 0x49, 0x20], alsoAt: 8, mime: 'video/x-msvideo', ext: 'avi', label: 'AVI 视频' },
+    { bytes: [0x42, 0x4d], mime: 'image/bmp', ext: 'bmp', label: 'BMP 图像',
+      inspect: b => ({ details: [b.length >= 26 ? dimensions(u32le(b, 18) | 0, Math.abs(u32le(b, 22) | 0)) : null] }),
+      // "BM" alone is too common; require the header size field of a known DIB header
+      check: b => b.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(u32le(b, 14)) },
+    { bytes: [0x00, 0x00, 0x01, 0x00], mime: 'image/x-icon', ext: 'ico', label: 'ICO 图标',
+      check: b => b.length >= 6 && u16le(b, 4) > 0 && u16le(b, 4) < 256,
+      inspect: b => ({ details: [`${u16le(b, 4)} 个图标`, b.length >= 8 ? dimensions(b[6] || 256, b[7] || 256) : null] }) },
+    { bytes: [0x49, 0x49, 0x2a, 0x00], mime: 'image/tiff', ext: 'tif', label: 'TIFF 图像' },
+    { bytes: [0x4d, 0x4d, 0x00, 0x2a], mime: 'image/tiff', ext: 'tif', label: 'TIFF 图像' },
+    { bytes: [0x38, 0x42, 0x50, 0x53], mime: 'image/vnd.adobe.photoshop', ext: 'psd', label: 'Photoshop 文档',
+      inspect: b => ({ details: [b.length >= 22 ? dimensions(u32be(b, 18), u32be(b, 14)) : null] }) },
+    { bytes: [0x25, 0x50, 0x44, 0x46, 0x2d], mime: 'application/pdf', ext: 'pdf', label: 'PDF 文档',
+      inspect: b => ({ details: [(ascii(b, 5, 8).match(/^\d\.\d/) || [])[0]] }) },
+    { bytes: [0x49, 0x44, 0x33], mime: 'audio/mpeg', ext: 'mp3', label: 'MP3 音频',
+      inspect: b => ({ details: [`ID3v2.${b[3]}`] }) },
+    { bytes: [0x4f, 0x67, 0x67, 0x53], mime: 'audio/ogg', ext: 'ogg', label: 'Ogg 媒体' },
+    { bytes: [0x66, 0x4c, 0x61, 0x43], mime: 'audio/flac', ext: 'flac', label: 'FLAC 音频' },
+    { bytes: [0x66, 0x74, 0x79, 0x70], at: 4, mime: 'video/mp4', ext: 'mp4', label: 'MP4 视频',
+      inspect: isoMediaDetails },
+    { bytes: [0x1a, 0x45, 0xdf, 0xa3], mime: 'video/webm', ext: 'webm', label: 'WebM/Matroska 视频',
+      inspect: b => ascii(b, 0, 64).includes('matroska') ? { mime: 'video/x-matroska', ext: 'mkv', label: 'Matroska 视频' } : {} },
+    { bytes: [0x77, 0x4f, 0x46, 0x46], mime: 'font/woff', ext: 'woff', label: 'WOFF 字体' },
+    { bytes: [0x77, 0x4f, 0x46, 0x32], mime: 'font/woff2', ext: 'woff2', label: 'WOFF2 字体' },
+    { bytes: [0x00, 0x01, 0x00, 0x00, 0x00], mime: 'font/ttf', ext: 'ttf', label: 'TrueType 字体' },
+    { bytes: [0x4f, 0x54, 0x54, 0x4f], mime: 'font/otf', ext: 'otf', label: 'OpenType 字体' },
+    { bytes: [0x50, 0x4b, 0x03, 0x04], mime: 'application/zip', ext: 'zip', label: 'ZIP 压缩包', weak: true,
+      inspect: zipDetails },
+    { bytes: [0x50, 0x4b, 0x05, 0x06], mime: 'application/zip', ext: 'zip', label: 'ZIP 压缩包（空）' },
+    { bytes: [0x1f, 0x8b], mime: 'application/gzip', ext: 'gz', label: 'GZIP 压缩数据',
+      inspect: gzipDetails },
+    { bytes: [0x42, 0x5a, 0x68], mime: 'application/x-bzip2', ext: 'bz2', label: 'BZIP2 压缩数据' },
+    { bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], mime: 'application/x-xz', ext: 'xz', label: 'XZ 压缩数据' },
+    { bytes: [0x28, 0xb5, 0x2f, 0xfd], mime: 'application/zstd', ext: 'zst', label: 'Zstandard 压缩数据' },
+    { bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], mime: 'application/x-7z-compressed', ext: '7z', label: '7-Zip 压缩包' },
+    { bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], mime: 'application/vnd.rar', ext: 'rar', label: 'RAR 压缩包' },
+    { bytes: [0x75, 0x73, 0x74, 0x61, 0x72], at: 257, mime: 'application/x-tar', ext: 'tar', label: 'TAR 归档' },
+    { bytes: [0x7f, 0x45, 0x4c, 0x46], mime: 'application/x-elf', ext: '', label: 'ELF 文件',
+      inspect: elfDetails },
+    { bytes: [0x4d, 0x5a], mime: 'application/vnd.microsoft.portable-executable', ext: 'exe', label: 'Windows 可执行文件',
+      inspect: peDetails },
+    { bytes: [0xca, 0xfe, 0xba, 0xbe], mime: 'application/java-vm', ext: 'class', label: 'Java 类文件',
+      inspect: cafebabeDetails },
+    { bytes: [0xcf, 0xfa, 0xed, 0xfe], mime: 'application/x-mach-binary', ext: '', label: 'Mach-O 二进制', inspect: machODetails },
+    { bytes: [0xce, 0xfa, 0xed, 0xfe], mime: 'application/x-mach-binary', ext: '', label: 'Mach-O 二进制', inspect: machODetails },
+    { bytes: [0xfe, 0xed, 0xfa, 0xcf], mime: 'application/x-mach-binary', ext: '', label: 'Mach-O 二进制', inspect: machODetails },
+    { bytes: [0xfe, 0xed, 0xfa, 0xce], mime: 'application/x-mach-binary', ext: '', label: 'Mach-O 二进制', inspect: machODetails },
+    { bytes: [0x00, 0x61, 0x73, 0x6d], mime: 'application/wasm', ext: 'wasm', label: 'WebAssembly 模块',
+      inspect: b => ({ details: [b.length >= 8 ? `版本 ${u32le(b, 4)}` : null] }) },
+    { bytes: Array.from('SQLite format 3\0', c => c.charCodeAt(0)), mime: 'application/vnd.sqlite3', ext: 'sqlite', label: 'SQLite 数据库',
+      inspect: b => b.length >= 18 ? { details: [`页大小 ${u16be(b, 16) === 1 ? 65536 : u16be(b, 16)}`] } : {} },
+    { bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], mime: 'application/x-ole-storage', ext: 'doc', label: 'Office 97-2003 文档 (OLE)' },
+    { bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66], mime: 'application/rtf', ext: 'rtf', label: 'RTF 文档' },
+    { bytes: [0x30, 0x82], mime: 'application/pkix-cert', ext: 'der', label: 'DER 编码数据（ASN.1）', weak: true,
+      check: b => b.length >= 4 && (b[4] === 0x30 || b[4] === 0x02) }
+  ];
+
+  function matches(bytes, pattern, offset = 0) {
+    if (bytes.length < offset + pattern.length) return false;
+    for (let i = 0; i < pattern.length; i++) {
+      if (bytes[offset + i] !== pattern[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Plain-text formats, tried when no signature matches
+   * @param {Uint8Array} bytes - Header
+   * @param {boolean} complete - Whether the header is the whole file
+   * @returns {Object|null}
+   */
+  function detectText(bytes, complete) {
+    let encoding = 'UTF-8';
+    let start = 0;
+    if (matches(bytes, [0xef, 0xbb, 0xbf])) {
+      start = 3;
+    } else if (matches(bytes, [0xff, 0xfe]) || matches(bytes, [0xfe, 0xff])) {
+      encoding = bytes[0] === 0xff ? 'UTF-16LE' : 'UTF-16BE';
+      start = 2;
+    }
+
+    let text;
+    try {
+      // stream: a multi-byte character cut off at the end of the header is not an error
+      text = new TextDecoder(encoding.toLowerCase(), { fatal: true }).decode(bytes.subarray(start), { stream: !complete });
+    } catch (e) {
+      return null;
+    }
+    if (/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(text)) return null;
+
+    const note = start > 0 ? `${encoding}（带 BOM）` : encoding;
+    const head = text.replace(/^\s+/, '').slice(0, 256);
+    const lower = head.toLowerCase();
+
+    if (lower.startsWith('<svg') || (lower.startsWith('<?xml') && text.includes('<svg'))) {
+      return { mime: 'image/svg+xml', ext: 'svg', label: 'SVG 图像', details: [] };
+    }
+    if (lower.startsWith('<!doctype html') || lower.startsWith('<html')) {
+      return { mime: 'text/html', ext: 'html', label: 'HTML 文档', details: [note], weak: true };
+    }
+    if (lower.startsWith('<?xml')) {
+      return { mime: 'application/xml', ext: 'xml', label: 'XML 文档', details: [note], weak: true };
+    }
+    const pem = head.match(/^-----BEGIN ([A-Z0-9 ]+)-----/);
+    if (pem) {
+      return { mime: 'application/x-pem-file', ext: 'pem', label: 'PEM 文件', details: [pem[1]] };
+    }
+    if (head.startsWith('#!')) {
+      return { mime: 'text/plain', ext: '', label: '脚本', details: [head.split('\n')[0].slice(0, 64)], weak: true };
+    }
+    if (complete && (head.startsWith('{') || head.startsWith('['))) {
+      try {
+        JSON.parse(text);
+        return { mime: 'application/json', ext: 'json', label: 'JSON 数据', details: [note], weak: true };
+      } catch (e) {
+        // Not JSON, plain text below
+      }
+    }
+    return { mime: 'text/plain', ext: 'txt', label: '文本', details: [note], weak: true };
+  }
+
+  /**
+   * Protocol Buffers wire format heuristic: every field must have a valid tag and fit,
+   * and there must be a few of them. Plenty of short binary blobs parse by accident,
+   * so the result is marked as a guess.
+   * @param {Uint8Array} bytes - Header
+   * @param {boolean} complete - Whether the header is the whole file
+   * @returns {Object|null}
+   */
+  function detectProtobuf(bytes, complete) {
+    const readVarint = (i) => {
+      let value = 0;
+      for (let shift = 0; shift < 35 && i < bytes.length; shift += 7) {
+        const byte = bytes[i++];
+        value += (byte & 0x7f) * Math.pow(2, shift);
+        if (!(byte & 0x80)) return { value, next: i };
+      }
+      return null;
+    };
+
+    let i = 0;
+    let fields = 0;
+    while (i < bytes.length) {
+      const tag = readVarint(i);
+      if (!tag) {
+        // A tag cut off by the end of the header is fine, a malformed one is not
+        if (complete || bytes.length - i >= 5) return null;
+        break;
+      }
+
+      const field = Math.floor(tag.value / 8);
+      const wireType = tag.value % 8;
+      if (field === 0 || field > 0xffff) return null;
+
+      let next;
+      if (wireType === 0) {
+        const v = readVarint(tag.next);
+        next = v ? v.next : bytes.length + 1;
+      } else if (wireType === 1) {
+        next = tag.next + 8;
+      } else if (wireType === 2) {
+        const len = readVarint(tag.next);
+        next = len ? len.next + len.value : bytes.length + 1;
+      } else if (wireType === 5) {
+        next = tag.next + 4;
+      } else {
+        return null;
+      }
+
+      if (next > bytes.length && complete) return null;
+      i = next;
+      fields++;
+    }
+
+    return fields >= 3 ? { mime: 'application/x-protobuf', ext: 'pb', label: 'Protocol Buffers 消息（推测）', details: [], weak: true } : null;
+  }
+
+  const FileType = {
+    HEADER_SIZE,
+
+    /**
+     * Detect the type of data from its first bytes
+     * @param {Uint8Array} bytes - The data, or at least its first HEADER_SIZE bytes
+     * @param {number} [totalSize] - Size of the whole data when bytes is only the header
+     * @returns {{mime: string, ext: string, label: string, summary: string, weak: boolean}|null}
+     *   ext has no dot and may be empty (e.g. ELF executables); weak marks guesses that
+     *   shouldn't override a declared type (text, plain ZIP, protobuf); null when unknown
+     */
+    detect(bytes, totalSize = bytes.length) {
+      if (bytes.length === 0) return null;
+
+      const complete = totalSize <= bytes.length;
+      let result = null;
+
+      for (const sig of SIGNATURES) {
+        if (!matches(bytes, sig.bytes, sig.at)) continue;
+        if (sig.also && !matches(bytes, sig.also, sig.alsoAt)) continue;
+        if (sig.check && !sig.check(bytes)) continue;
+
+        result = { mime: sig.mime, ext: sig.ext, label: sig.label, details: [], weak: !!sig.weak };
+        if (sig.inspect) Object.assign(result, sig.inspect(bytes));
+        break;
+      }
+
+      if (!result) result = detectText(bytes, complete);
+
+      // MP3 frames without an ID3 tag start with an 11-bit frame sync; checked after text
+      // so a UTF-16LE byte order mark (FF FE) isn't taken for one
+      if (!result && bytes.length > 1 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+        result = { mime: 'audio/mpeg', ext: 'mp3', label: 'MP3 音频', details: [] };
+      }
+
+      if (!result && bytes.length >= 4) result = detectProtobuf(bytes, complete);
+      if (!result) return null;
+
+      const details = (result.details || []).filter(Boolean);
+      return {
+        mime: result.mime,
+        ext: result.ext,
+        label: result.label,
+        summary: [result.label].concat(details).join(' · '),
+        weak: !!result.weak
+      };
+    },
+
+    /**
+     * Detect the type of a Blob or File from its header
+     * @param {Blob} blob - Data
+     * @returns {Promise<Object|null>} See detect()
+     */
+    detectBlob(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(FileType.detect(new Uint8Array(reader.result), blob.size));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob.slice(0, HEADER_SIZE));
+      });
+    },
+
+    /**
+     * Propose a file name for detected content: add the extension when the name has none
+     * or only a generic one (.bin, .dat, ...); an existing specific extension is kept
+     * @param {string} name - Current name
+     * @param {Object|null} type - Result of detect()
+     * @returns {string}
+     */
+    suggestName(name, type) {
+      if (!type || !type.ext) return name;
+
+      const dot = name.lastIndexOf('.');
+      const current = dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+      if (current === type.ext || (current === 'jpeg' && type.ext === 'jpg')) return name;
+
+      if (!current) return `${name}.${type.ext}`;
+      if (GENERIC_EXTENSIONS.includes(current)) return `${name.slice(0, dot)}.${type.ext}`;
+      return name;
+    }
+  };
+
+  // Export to global scope
+  window.FileType = FileType;
+
+})();
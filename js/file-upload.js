@@ -1,11 +1,24 @@
 /**
  * DevTools - File Upload Component
- * Drag and drop file upload with size validation
+ * Drag and drop file upload with size validation; shows the detected file type
+ * when file-type.js is loaded. In multiple mode it keeps a file list, takes whole
+ * folders and can run a per-file processing queue
  */
 
 (function() {
   'use strict';
 
+  const STATUS_LABELS = {
+    idle: '', // listed, not queued
+    pending: 'Waiting',
+    running: 'Processing',
+    done: 'Done',
+    error: 'Failed',
+    cancelled: 'Cancelled'
+  };
+
+  let nextItemId = 0;
+
   class FileUpload {
     /**
      * Create a FileUpload instance
@@ -25,15 +38,27 @@
         maxSize: options.maxSize || 50 * 1024 * 1024, // 50MB default
         accept: options.accept || '*/*',
         multiple: options.multiple || false,
+        readData: options.readData !== false, // false: pass only the File, e.g. for streaming
+        detectType: options.detectType !== false, // describe the file with FileType if available
         dropText: options.dropText || 'Drag and drop a file here',
         browseText: options.browseText || 'or click to browse',
         onFile: options.onFile || null,
+        onFiles: options.onFiles || null, // multiple mode: (files, added) whenever the list changes (not read)
+        onRemove: options.onRemove || null, // the Remove button was clicked
         onError: options.onError || null,
+        folders: options.folders || false, // multiple mode: offer a folder picker and walk dropped folders
+        folderText: options.folderText || 'Choose a folder',
+        processFile: options.processFile || null, // multiple mode: async (file, task) run for each added file
+        concurrency: options.concurrency || 2, // files processed at the same time
+        onQueueDone: options.onQueueDone || null, // (items) once the queue has run dry
         ...options
       };
 
       this.file = null;
       this.fileData = null;
+      this.files = [];
+      this.items = []; // multiple mode: { id, file, path, status, progress, result, error }
+      this.queue = null;
 
       this.init();
     }
@@ -55,15 +80,26 @@
           <div class="file-upload-icon">&#128206;</div>
           <p>${this.options.dropText}</p>
           <p class="file-upload-hint">${this.options.browseText}</p>
-          <p class="file-upload-hint">Max size: ${this.formatSize(this.options.maxSize)}</p>
+          <p class="file-upload-hint">${this.formatMaxSize(this.options.maxSize)}</p>
           <input type="file"
                  accept="${this.options.accept}"
                  ${this.options.multiple ? 'multiple' : ''}>
+          ${this.usesFolders() ? `
+          <button type="button" class="btn btn-sm btn-secondary file-upload-folder">${this.options.folderText}</button>
+          <input type="file" class="file-upload-folder-input" webkitdirectory multiple>` : ''}
+        </div>
+        <div class="file-list hidden">
+          <div class="file-list-header">
+            <span class="file-list-summary" aria-live="polite"></span>
+            <button type="button" class="btn btn-sm btn-secondary file-list-clear">Remove all</button>
+          </div>
+          <ul class="file-list-items"></ul>
         </div>
         <div class="file-info hidden">
           <div>
             <div class="file-info-name"></div>
             <div class="file-info-size"></div>
+            <div class="file-info-type"></div>
           </div>
           <button class="btn btn-sm btn-secondary file-remove">Remove</button>
         </div>
@@ -71,9 +107,15 @@
 
       this.dropZone = this.container.querySelector('.file-upload');
       this.fileInput = this.container.querySelector('input[type="file"]');
+      this.folderBtn = this.container.querySelector('.file-upload-folder');
+      this.folderInput = this.container.querySelector('.file-upload-folder-input');
+      this.fileList = this.container.querySelector('.file-list');
+      this.fileListSummary = this.container.querySelector('.file-list-summary');
+      this.fileListItems = this.container.querySelector('.file-list-items');
       this.fileInfo = this.container.querySelector('.file-info');
       this.fileNameEl = this.container.querySelector('.file-info-name');
       this.fileSizeEl = this.container.querySelector('.file-info-size');
+      this.fileTypeEl = this.container.querySelector('.file-info-type');
       this.removeBtn = this.container.querySelector('.file-remove');
     }
 
@@ -97,10 +139,34 @@
       // File input change
       this.fileInput.addEventListener('change', (e) => {
         if (e.target.files && e.target.files.length > 0) {
-          this.handleFile(e.target.files[0]);
+          this.handleSelection(e.target.files);
         }
       });
 
+      // Folder picker; its files carry webkitRelativePath
+      if (this.folderInput) {
+        this.folderBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.folderInput.click();
+        });
+
+        this.folderBtn.addEventListener('keydown', (e) => {
+          e.stopPropagation();
+        });
+
+        this.folderInput.addEventListener('click', (e) => {
+          e.stopPropagation();
+        });
+
+        this.folderInput.addEventListener('change', (e) => {
+          const files = Array.from(e.target.files || []).filter(file => this.matchesAccept(file));
+          e.target.value = '';
+          if (files.length > 0) {
+            this.handleFiles(files);
+          }
+        });
+      }
+
       // Drag and drop
       this.dropZone.addEventListener('dragover', (e) => {
         e.preventDefault();
@@ -119,17 +185,490 @@
         e.stopPropagation();
         this.dropZone.classList.remove('dragover');
 
-        if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-          this.handleFile(e.dataTransfer.files[0]);
+        if (this.usesFolders() && e.dataTransfer.items && e.dataTransfer.items.length > 0) {
+          this.handleDrop(e.dataTransfer.items);
+        } else if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+          this.handleSelection(e.dataTransfer.files);
+        }
+      });
+
+      // File list: remove one file or all of them
+      this.fileListItems.addEventListener('click', (e) => {
+        const button = e.target.closest('.file-list-remove');
+        if (button) {
+          this.removeItem(Number(button.closest('.file-list-item').dataset.id));
+        }
+      });
+
+      this.container.querySelector('.file-list-clear').addEventListener('click', () => {
+        this.clear();
+        if (this.options.onRemove) {
+          this.options.onRemove();
         }
       });
 
       // Remove button
       this.removeBtn.addEventListener('click', () => {
         this.clear();
+        if (this.options.onRemove) {
+          this.options.onRemove();
+        }
+      });
+    }
+
+    /**
+     * Route a FileList to single or multiple handling
+     * @param {FileList} fileList - Selected or dropped files
+     */
+    handleSelection(fileList) {
+      if (this.options.multiple) {
+        const files = Array.from(fileList);
+        // Let the same file be picked again after it was removed from the list
+        this.fileInput.value = '';
+        this.handleFiles(files);
+      } else {
+        this.handleFile(fileList[0]);
+      }
+    }
+
+    /**
+     * Whether folders can be picked and dropped
+     * @returns {boolean}
+     */
+    usesFolders() {
+      return this.options.multiple && this.options.folders;
+    }
+
+    /**
+     * Collect the files of a drop, walking any folders in it
+     * @param {DataTransferItemList} dataItems - Dropped items
+     */
+    async handleDrop(dataItems) {
+      // The item list is emptied once the drop event returns, so take every source now
+      const sources = Array.from(dataItems)
+        .filter(item => item.kind === 'file')
+        .map(item => ({
+          handle: item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null,
+          entry: item.webkitGetAsEntry ? item.webkitGetAsEntry() : null,
+          file: item.getAsFile()
+        }));
+
+      try {
+        const files = [];
+        for (const source of sources) {
+          const handle = source.handle ? await source.handle : null;
+          if (handle) {
+            await this.readHandle(handle, '', files);
+          } else if (source.entry) {
+            await this.readEntry(source.entry, '', files);
+          } else if (source.file) {
+            files.push(source.file);
+          }
+        }
+
+        if (files.length > 0) {
+          this.handleFiles(files);
+        }
+      } catch (err) {
+        this.showError('Failed to read the dropped folder');
+        if (this.options.onError) {
+          this.options.onError(err);
+        }
+      }
+    }
+
+    /**
+     * Add the files under a File System Access handle
+     * @param {FileSystemHandle} handle - File or directory handle
+     * @param {string} prefix - Path of the parent folder, "" or ending in "/"
+     * @param {File[]} files - Collected files
+     */
+    async readHandle(handle, prefix, files) {
+      if (handle.kind === 'file') {
+        const file = await handle.getFile();
+        if (!prefix || this.matchesAccept(file)) {
+          files.push(this.withPath(file, prefix + handle.name));
+        }
+        return;
+      }
+
+      const children = handle.values();
+      for (let step = await children.next(); !step.done; step = await children.next()) {
+        await this.readHandle(step.value, `${prefix}${handle.name}/`, files);
+      }
+    }
+
+    /**
+     * Add the files under a FileSystemEntry
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {string} prefix - Path of the parent folder, "" or ending in "/"
+     * @param {File[]} files - Collected files
+     */
+    async readEntry(entry, prefix, files) {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        if (!prefix || this.matchesAccept(file)) {
+          files.push(this.withPath(file, prefix + entry.name));
+        }
+        return;
+      }
+
+      // readEntries hands out the children in batches until it returns an empty one
+      const reader = entry.createReader();
+      const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      for (let batch = await readBatch(); batch.length > 0; batch = await readBatch()) {
+        for (const child of batch) {
+          await this.readEntry(child, `${prefix}${entry.name}/`, files);
+        }
+      }
+    }
+
+    /**
+     * Give a file found in a dropped folder the relative path a folder picker would set
+     * @param {File} file - File read from a handle or entry
+     * @param {string} path - Path from the dropped folder, e.g. "assets/app.js"
+     * @returns {File}
+     */
+    withPath(file, path) {
+      if (path !== file.name && !file.webkitRelativePath) {
+        Object.defineProperty(file, 'webkitRelativePath', { value: path });
+      }
+      return file;
+    }
+
+    /**
+     * Check a file from a folder against the accept option; the browser only
+     * filters what is picked in the file dialog
+     * @param {File} file - File to check
+     * @returns {boolean}
+     */
+    matchesAccept(file) {
+      const patterns = this.options.accept.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+      const name = file.name.toLowerCase();
+      const type = (file.type || '').toLowerCase();
+
+      return patterns.length === 0 || patterns.some(pattern => {
+        if (pattern === '*/*') return true;
+        if (pattern.startsWith('.')) return name.endsWith(pattern);
+        if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+        return type === pattern;
       });
     }
 
+    /**
+     * Handle multiple file selection: add the files to the list, skipping ones
+     * already listed, and queue them when processFile is set
+     * @param {File[]} files - Selected files
+     */
+    handleFiles(files) {
+      const accepted = files.filter(file => file.size <= this.options.maxSize);
+      const rejected = files.length - accepted.length;
+
+      if (rejected > 0) {
+        const error = `${rejected} file(s) exceed the maximum allowed size (${DevTools.Utils.formatFileSize(this.options.maxSize)})`;
+        this.showError(error);
+        if (this.options.onError) {
+          this.options.onError(new Error(error));
+        }
+      }
+
+      const known = new Set(this.items.map(item => this.itemKey(item.file)));
+      const added = accepted
+        .filter(file => {
+          const key = this.itemKey(file);
+          if (known.has(key)) return false;
+          known.add(key);
+          return true;
+        })
+        .sort((a, b) => {
+          const pathA = a.webkitRelativePath || a.name;
+          const pathB = b.webkitRelativePath || b.name;
+          return pathA < pathB ? -1 : pathA > pathB ? 1 : 0;
+        });
+
+      if (added.length === 0) return;
+
+      const items = added.map(file => ({
+        id: nextItemId++,
+        file,
+        path: file.webkitRelativePath || file.name,
+        status: 'idle',
+        progress: 0,
+        result: undefined,
+        error: null,
+        cancelCallbacks: []
+      }));
+
+      this.items = this.items.concat(items);
+      this.syncFiles();
+      this.fileListItems.insertAdjacentHTML('beforeend', items.map(item => this.renderItem(item)).join(''));
+      this.fileList.classList.remove('hidden');
+      this.updateSummary();
+
+      if (this.options.onFiles) {
+        this.options.onFiles(this.files, added);
+      }
+
+      if (this.options.processFile) {
+        this.enqueue(items);
+      }
+    }
+
+    /**
+     * Key that identifies a file already in the list
+     * @param {File} file - File
+     * @returns {string}
+     */
+    itemKey(file) {
+      return `${file.webkitRelativePath || file.name}\0${file.size}\0${file.lastModified}`;
+    }
+
+    /**
+     * Keep files and file in step with the list
+     */
+    syncFiles() {
+      this.files = this.items.map(item => item.file);
+      this.file = this.files[0] || null;
+    }
+
+    /**
+     * Render one row of the file list
+     * @param {Object} item - List item
+     * @returns {string} HTML
+     */
+    renderItem(item) {
+      const path = DevTools.Utils.escapeHtml(item.path);
+      return `
+        <li class="file-list-item" data-id="${item.id}">
+          <span class="file-list-name" title="${path}">${path}</span>
+          <span class="file-list-size">${DevTools.Utils.formatFileSize(item.file.size)}</span>
+          <span class="file-list-status ${item.status}">${STATUS_LABELS[item.status]}</span>
+          <button type="button" class="file-list-remove" aria-label="Remove ${path}" title="Remove">&times;</button>
+        </li>
+      `;
+    }
+
+    /**
+     * Update the status cell of a list row
+     * @param {Object} item - List item
+     */
+    renderStatus(item) {
+      const row = this.fileListItems.querySelector(`.file-list-item[data-id="${item.id}"]`);
+      if (!row) return;
+
+      const statusEl = row.querySelector('.file-list-status');
+      statusEl.className = `file-list-status ${item.status}`;
+      statusEl.textContent = item.status === 'running' && item.progress > 0
+        ? `${STATUS_LABELS.running} ${Math.floor(item.progress * 100)}%`
+        : STATUS_LABELS[item.status];
+      statusEl.title = item.status === 'error' && item.error ? item.error.message : '';
+    }
+
+    /**
+     * Set an item's status and show it
+     * @param {Object} item - List item
+     * @param {string} status - idle, pending, running, done, error or cancelled
+     */
+    setItemStatus(item, status) {
+      item.status = status;
+      item.progress = 0;
+      this.renderStatus(item);
+      this.updateSummary();
+    }
+
+    /**
+     * Show the file count, total size and how far the queue has got
+     */
+    updateSummary() {
+      const count = this.items.length;
+      const total = this.items.reduce((sum, item) => sum + item.file.size, 0);
+      const done = this.items.filter(item => item.status === 'done').length;
+      const failed = this.items.filter(item => item.status === 'error').length;
+
+      let summary = `${count} ${count === 1 ? 'file' : 'files'} · ${DevTools.Utils.formatFileSize(total)}`;
+      if (done > 0) summary += ` · ${done} done`;
+      if (failed > 0) summary += ` · ${failed} failed`;
+      this.fileListSummary.textContent = summary;
+    }
+
+    /**
+     * Remove one file from the list; a queued run skips it, cancels it if it is
+     * running and drops its result
+     * @param {number} id - Item id
+     */
+    removeItem(id) {
+      const index = this.items.findIndex(item => item.id === id);
+      if (index < 0) return;
+
+      this.cancelTask(this.items[index]);
+      this.items.splice(index, 1);
+      this.syncFiles();
+
+      const row = this.fileListItems.querySelector(`.file-list-item[data-id="${id}"]`);
+      if (row) row.remove();
+
+      if (this.items.length === 0) {
+        this.clear();
+        if (this.options.onRemove) {
+          this.options.onRemove();
+        }
+        return;
+      }
+
+      this.updateSummary();
+      if (this.options.onFiles) {
+        this.options.onFiles(this.files, []);
+      }
+      if (this.queue) {
+        this.pumpQueue(this.queue);
+      }
+    }
+
+    /**
+     * Process the listed files with at most `concurrency` running at once.
+     * Files added while the queue runs join it when they were queued by processFile
+     * @param {Function} handler - async (file, task) => result; task is { path, progress(fraction),
+     *   onCancel(callback) } and the callback runs if the file is removed or the queue cancelled
+     * @param {Object} options - { all: true } to redo files that are already done
+     * @returns {Promise<Object[]>} The list items, each with status, result and error;
+     *   rejects with an AbortError when cancelled or superseded by another run
+     */
+    runQueue(handler = this.options.processFile, options = {}) {
+      this.cancelQueue();
+
+      const items = this.items.filter(item => options.all || item.status !== 'done');
+      items.forEach(item => {
+        item.result = undefined;
+        item.error = null;
+        this.setItemStatus(item, 'pending');
+      });
+
+      const queue = { handler, items, next: 0, active: 0 };
+      queue.promise = new Promise((resolve, reject) => {
+        queue.resolve = resolve;
+        queue.reject = reject;
+      });
+
+      this.queue = queue;
+      this.pumpQueue(queue);
+      return queue.promise;
+    }
+
+    /**
+     * Queue newly added files with processFile
+     * @param {Object[]} items - Added list items
+     */
+    enqueue(items) {
+      if (this.queue && this.queue.handler === this.options.processFile) {
+        this.queue.items = this.queue.items.concat(items);
+        this.pumpQueue(this.queue);
+        return;
+      }
+
+      // Nobody awaits an automatic run; cancellation is reported in the list
+      this.runQueue().catch(() => {});
+    }
+
+    /**
+     * Start queued files while there is a free slot; settle the run once all are finished
+     * @param {Object} queue - Running queue
+     */
+    pumpQueue(queue) {
+      while (this.queue === queue && queue.active < this.options.concurrency && queue.next < queue.items.length) {
+        const item = queue.items[queue.next++];
+        if (!this.items.includes(item)) continue;
+
+        queue.active++;
+        this.processItem(queue, item).then(() => {
+          queue.active--;
+          this.pumpQueue(queue);
+        });
+      }
+
+      if (this.queue === queue && queue.active === 0 && queue.next >= queue.items.length) {
+        this.queue = null;
+        if (this.options.onQueueDone) {
+          this.options.onQueueDone(this.items);
+        }
+        queue.resolve(this.items);
+      }
+    }
+
+    /**
+     * Run the handler for one item and record the outcome
+     * @param {Object} queue - Running queue
+     * @param {Object} item - List item
+     */
+    async processItem(queue, item) {
+      this.setItemStatus(item, 'running');
+
+      const current = () => this.queue === queue && this.items.includes(item);
+      const task = {
+        path: item.path,
+        progress: (fraction) => {
+          if (!current()) return;
+          item.progress = Math.max(0, Math.min(1, fraction));
+          this.renderStatus(item);
+        },
+        onCancel: (callback) => {
+          item.cancelCallbacks.push(callback);
+        }
+      };
+
+      item.cancelCallbacks = [];
+      try {
+        const result = await queue.handler(item.file, task);
+        item.cancelCallbacks = [];
+        if (!current()) return;
+        item.result = result;
+        this.setItemStatus(item, 'done');
+      } catch (err) {
+        item.cancelCallbacks = [];
+        if (!current()) return;
+        item.error = err;
+        this.setItemStatus(item, 'error');
+      }
+    }
+
+    /**
+     * Stop the work running for an item through the callbacks its task registered
+     * @param {Object} item - List item
+     */
+    cancelTask(item) {
+      const callbacks = item.cancelCallbacks || [];
+      item.cancelCallbacks = [];
+      callbacks.forEach(callback => callback());
+    }
+
+    /**
+     * Stop the queue: running tasks are cancelled through their onCancel callbacks,
+     * waiting files are marked cancelled and the run rejects with an AbortError
+     */
+    cancelQueue() {
+      const queue = this.queue;
+      if (!queue) return;
+
+      this.queue = null;
+      queue.items.forEach(item => {
+        if (item.status === 'pending' || item.status === 'running') {
+          this.cancelTask(item);
+          this.setItemStatus(item, 'cancelled');
+        }
+      });
+
+      const err = new Error('File queue cancelled');
+      err.name = 'AbortError';
+      queue.reject(err);
+    }
+
+    /**
+     * Check whether the queue is running
+     * @returns {boolean}
+     */
+    isProcessing() {
+      return this.queue !== null;
+    }
+
     /**
      * Handle file selection
      * @param {File} file - Selected file
@@ -137,7 +676,7 @@
     async handleFile(file) {
       // Validate size
       if (file.size > this.options.maxSize) {
-        const error = `File size (${this.formatSize(file.size)}) exceeds the maximum allowed size (${this.formatSize(this.options.maxSize)})`;
+        const error = `File size (${DevTools.Utils.formatFileSize(file.size)}) exceeds the maximum allowed size (${DevTools.Utils.formatFileSize(this.options.maxSize)})`;
         this.showError(error);
         if (this.options.onError) {
           this.options.onError(new Error(error));
@@ -149,13 +688,14 @@
 
       // Update UI
       this.fileNameEl.textContent = file.name;
-      this.fileSizeEl.textContent = this.formatSize(file.size);
+      this.fileSizeEl.textContent = DevTools.Utils.formatFileSize(file.size);
       this.dropZone.classList.add('hidden');
       this.fileInfo.classList.remove('hidden');
+      this.describeFile(file);
 
       // Read file data
       try {
-        this.fileData = await this.readFile(file);
+        this.fileData = this.options.readData ? await this.readFile(file) : null;
 
         if (this.options.onFile) {
           this.options.onFile(file, this.fileData);
@@ -168,6 +708,25 @@
       }
     }
 
+    /**
+     * Show the detected type in the info bar; only the header is read
+     * @param {File} file - Selected file
+     */
+    async describeFile(file) {
+      this.fileTypeEl.textContent = '';
+      if (!this.options.detectType || typeof FileType === 'undefined') return;
+
+      try {
+        const type = await FileType.detectBlob(file);
+        // Another file may have been picked while the header was read
+        if (this.file === file && type) {
+          this.fileTypeEl.textContent = type.summary;
+        }
+      } catch (err) {
+        // Unreadable header: leave the type out, reading the file reports the error
+      }
+    }
+
     /**
      * Read file as ArrayBuffer
      * @param {File} file - File to read
@@ -236,9 +795,14 @@
      * Clear the selected file
      */
     clear() {
+      this.cancelQueue();
       this.file = null;
       this.fileData = null;
+      this.files = [];
+      this.items = [];
       this.fileInput.value = '';
+      this.fileListItems.innerHTML = '';
+      this.fileList.classList.add('hidden');
       this.dropZone.classList.remove('hidden');
       this.fileInfo.classList.add('hidden');
     }
@@ -265,18 +829,12 @@
     }
 
     /**
-     * Format file size
-     * @param {number} bytes - Size in bytes
-     * @returns {string} Formatted size
+     * Format the max size hint
+     * @param {number} maxSize - Max size in bytes, Infinity for no limit
+     * @returns {string}
      */
-    formatSize(bytes) {
-      if (bytes === 0) return '0 Bytes';
-
-      const k = 1024;
-      const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
-
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    formatMaxSize(maxSize) {
+      return isFinite(maxSize) ? `Max size: ${DevTools.Utils.formatFileSize(maxSize)}` : 'No size limit';
     }
 
     /**
@@ -287,6 +845,22 @@
       return this.file;
     }
 
+    /**
+     * Get the selected files (multiple mode)
+     * @returns {File[]}
+     */
+    getFiles() {
+      return this.files;
+    }
+
+    /**
+     * Get the file list with each file's queue status and result (multiple mode)
+     * @returns {Object[]} { id, file, path, status, progress, result, error }
+     */
+    getItems() {
+      return this.items;
+    }
+
     /**
      * Get the file data as ArrayBuffer
      * @returns {ArrayBuffer|null}
@@ -320,7 +894,7 @@
       this.options.maxSize = maxSize;
       const hintEl = this.container.querySelector('.file-upload-hint:last-of-type');
       if (hintEl) {
-        hintEl.textContent = `Max size: ${this.formatSize(maxSize)}`;
+        hintEl.textContent = this.formatMaxSize(maxSize);
       }
     }
   }
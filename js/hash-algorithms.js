@@ -0,0 +1,724 @@
+/**
+ * DevTools - Pure JavaScript Hash Algorithms
+ * Keccak/SHA-3, BLAKE2b, BLAKE2s, BLAKE3, CRC-32 and Adler-32 for what
+ * neither Web Crypto nor crypto-js provide. Must not touch the DOM, so the
+ * hash worker can load it too.
+ *
+ * Every factory returns an incremental hasher:
+ *   { update(Uint8Array): void, finalize(): Uint8Array }
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Keccak / SHA-3 (FIPS 202)
+  // ============================================
+
+  // Round constants as [lo, hi] 32-bit halves
+  const KECCAK_RC = [
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+    0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+    0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+    0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+    0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+    0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+  ];
+
+  // Rho rotation offsets and pi lane order
+  const KECCAK_ROTC = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+  const KECCAK_PILN = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+  // Word offsets of lanes x + 1 and x + 2 within a row (two words per lane)
+  const KECCAK_CHI1 = [2, 3, 4, 5, 6, 7, 8, 9, 0, 1];
+  const KECCAK_CHI2 = [4, 5, 6, 7, 8, 9, 0, 1, 2, 3];
+  const keccakBC = new Uint32Array(10);
+
+  /**
+   * Keccak-f[1600] permutation; lane i is s[2i] (low) and s[2i + 1] (high)
+   * @param {Uint32Array} s - 50-word state
+   */
+  function keccakF(s) {
+    const bc = keccakBC;
+
+    for (let round = 0; round < 24; round++) {
+      // Theta
+      for (let x = 0; x < 10; x++) {
+        bc[x] = s[x] ^ s[x + 10] ^ s[x + 20] ^ s[x + 30] ^ s[x + 40];
+      }
+      for (let x = 0; x < 10; x += 2) {
+        const x1 = KECCAK_CHI1[x];
+        const x4 = (x + 8) % 10;
+        const tLo = bc[x4] ^ ((bc[x1] << 1) | (bc[x1 + 1] >>> 31));
+        const tHi = bc[x4 + 1] ^ ((bc[x1 + 1] << 1) | (bc[x1] >>> 31));
+        for (let y = 0; y < 50; y += 10) {
+          s[y + x] ^= tLo;
+          s[y + x + 1] ^= tHi;
+        }
+      }
+
+      // Rho and pi
+      let lo = s[2];
+      let hi = s[3];
+      for (let i = 0; i < 24; i++) {
+        const j = KECCAK_PILN[i] * 2;
+        const nextLo = s[j];
+        const nextHi = s[j + 1];
+        const r = KECCAK_ROTC[i];
+        if (r < 32) {
+          s[j] = (lo << r) | (hi >>> (32 - r));
+          s[j + 1] = (hi << r) | (lo >>> (32 - r));
+        } else {
+          s[j] = (hi << (r - 32)) | (lo >>> (64 - r));
+          s[j + 1] = (lo << (r - 32)) | (hi >>> (64 - r));
+        }
+        lo = nextLo;
+        hi = nextHi;
+      }
+
+      // Chi
+      for (let y = 0; y < 50; y += 10) {
+        for (let x = 0; x < 10; x++) {
+          bc[x] = s[y + x];
+        }
+        for (let x = 0; x < 10; x++) {
+          s[y + x] ^= ~bc[KECCAK_CHI1[x]] & bc[KECCAK_CHI2[x]];
+        }
+      }
+
+      // Iota
+      s[0] ^= KECCAK_RC[round * 2];
+      s[1] ^= KECCAK_RC[round * 2 + 1];
+    }
+  }
+
+  /**
+   * Keccak sponge
+   * @param {number} rate - Rate in bytes (200 - 2 * output bytes)
+   * @param {number} outputBytes - Digest length
+   * @param {number} suffix - Domain padding byte: 0x06 for SHA-3, 0x01 for original Keccak
+   */
+  function keccak(rate, outputBytes, suffix) {
+    const state = new Uint32Array(50);
+    let pos = 0;
+
+    function absorbByte(byte) {
+      state[pos >> 2] ^= byte << ((pos & 3) * 8);
+      if (++pos === rate) {
+        keccakF(state);
+        pos = 0;
+      }
+    }
+
+    return {
+      update(bytes) {
+        let i = 0;
+
+        // Byte-wise until word aligned, then whole 32-bit words
+        while (i < bytes.length && (pos & 3) !== 0) {
+          absorbByte(bytes[i++]);
+        }
+        while (i + 4 <= bytes.length) {
+          state[pos >> 2] ^= bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+          i += 4;
+          pos += 4;
+          if (pos === rate) {
+            keccakF(state);
+            pos = 0;
+          }
+        }
+        while (i < bytes.length) {
+          absorbByte(bytes[i++]);
+        }
+      },
+
+      finalize() {
+        state[pos >> 2] ^= suffix << ((pos & 3) * 8);
+        state[(rate - 1) >> 2] ^= 0x80 << (((rate - 1) & 3) * 8);
+        keccakF(state);
+
+        const out = new Uint8Array(outputBytes);
+        for (let i = 0; i < outputBytes; i++) {
+          out[i] = state[i >> 2] >>> ((i & 3) * 8);
+        }
+        return out;
+      }
+    };
+  }
+
+  // ============================================
+  // BLAKE2b (RFC 7693)
+  // ============================================
+
+  // IV as [lo, hi] 32-bit halves
+  const BLAKE2B_IV = [
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+  ];
+
+  const BLAKE2_SIGMA = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+    11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+    7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+    9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+    2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+    12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+    13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+    6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+    10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0
+  ];
+
+  /**
+   * Read 32-bit little-endian words from a block
+   * @param {Uint8Array} block - Source bytes
+   * @param {Uint32Array} words - Destination words
+   */
+  function readWordsLE(block, words) {
+    for (let i = 0; i < words.length; i++) {
+      const j = i * 4;
+      words[i] = block[j] | (block[j + 1] << 8) | (block[j + 2] << 16) | (block[j + 3] << 24);
+    }
+  }
+
+  /**
+   * Write 32-bit words as little-endian bytes
+   * @param {Uint32Array|number[]} words - Source words
+   * @param {number} length - Number of bytes to write
+   * @returns {Uint8Array}
+   */
+  function writeWordsLE(words, length) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      out[i] = words[i >> 2] >>> ((i & 3) * 8);
+    }
+    return out;
+  }
+
+  /**
+   * BLAKE2b
+   * @param {number} outputBytes - Digest length, 1 to 64
+   * @param {Uint8Array} key - Optional key, up to 64 bytes
+   */
+  function blake2b(outputBytes, key = null) {
+    const keyLength = key ? key.length : 0;
+    const h = new Uint32Array(BLAKE2B_IV);
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+    const block = new Uint8Array(128);
+    let blockLength = 0;
+    let counter = 0;
+
+    h[0] ^= 0x01010000 ^ (keyLength << 8) ^ outputBytes;
+
+    // 64-bit add of v[b] into v[a]
+    function add64(a, b) {
+      const lo = v[a] + v[b];
+      v[a + 1] = v[a + 1] + v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+      v[a] = lo;
+    }
+
+    // 64-bit add of a message word into v[a]
+    function add64m(a, lo, hi) {
+      const sum = v[a] + lo;
+      v[a + 1] = v[a + 1] + hi + (sum >= 0x100000000 ? 1 : 0);
+      v[a] = sum;
+    }
+
+    function g(a, b, c, d, ix, iy) {
+      let xLo, xHi;
+
+      add64(a, b);
+      add64m(a, m[ix], m[ix + 1]);
+      // d = (d ^ a) >>> 32
+      xLo = v[d] ^ v[a];
+      xHi = v[d + 1] ^ v[a + 1];
+      v[d] = xHi;
+      v[d + 1] = xLo;
+
+      add64(c, d);
+      // b = (b ^ c) >>> 24
+      xLo = v[b] ^ v[c];
+      xHi = v[b + 1] ^ v[c + 1];
+      v[b] = (xLo >>> 24) | (xHi << 8);
+      v[b + 1] = (xHi >>> 24) | (xLo << 8);
+
+      add64(a, b);
+      add64m(a, m[iy], m[iy + 1]);
+      // d = (d ^ a) >>> 16
+      xLo = v[d] ^ v[a];
+      xHi = v[d + 1] ^ v[a + 1];
+      v[d] = (xLo >>> 16) | (xHi << 16);
+      v[d + 1] = (xHi >>> 16) | (xLo << 16);
+
+      add64(c, d);
+      // b = (b ^ c) >>> 63
+      xLo = v[b] ^ v[c];
+      xHi = v[b + 1] ^ v[c + 1];
+      v[b] = (xHi >>> 31) | (xLo << 1);
+      v[b + 1] = (xLo >>> 31) | (xHi << 1);
+    }
+
+    function compress(last) {
+      for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = BLAKE2B_IV[i];
+      }
+
+      v[24] ^= counter >>> 0;
+      v[25] ^= Math.floor(counter / 0x100000000);
+      if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+      }
+
+      readWordsLE(block, m);
+
+      for (let round = 0; round < 12; round++) {
+        const s = (round % 10) * 16;
+        g(0, 8, 16, 24, BLAKE2_SIGMA[s] * 2, BLAKE2_SIGMA[s + 1] * 2);
+        g(2, 10, 18, 26, BLAKE2_SIGMA[s + 2] * 2, BLAKE2_SIGMA[s + 3] * 2);
+        g(4, 12, 20, 28, BLAKE2_SIGMA[s + 4] * 2, BLAKE2_SIGMA[s + 5] * 2);
+        g(6, 14, 22, 30, BLAKE2_SIGMA[s + 6] * 2, BLAKE2_SIGMA[s + 7] * 2);
+        g(0, 10, 20, 30, BLAKE2_SIGMA[s + 8] * 2, BLAKE2_SIGMA[s + 9] * 2);
+        g(2, 12, 22, 24, BLAKE2_SIGMA[s + 10] * 2, BLAKE2_SIGMA[s + 11] * 2);
+        g(4, 14, 16, 26, BLAKE2_SIGMA[s + 12] * 2, BLAKE2_SIGMA[s + 13] * 2);
+        g(6, 8, 18, 28, BLAKE2_SIGMA[s + 14] * 2, BLAKE2_SIGMA[s + 15] * 2);
+      }
+
+      for (let i = 0; i < 16; i++) {
+        h[i] ^= v[i] ^ v[i + 16];
+      }
+    }
+
+    const hasher = {
+      update(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+          // The final block is compressed in finalize with the last-block flag
+          if (blockLength === 128) {
+            counter += 128;
+            compress(false);
+            blockLength = 0;
+          }
+
+          const take = Math.min(128 - blockLength, bytes.length - i);
+          block.set(bytes.subarray(i, i + take), blockLength);
+          blockLength += take;
+          i += take;
+        }
+      },
+
+      finalize() {
+        counter += blockLength;
+        block.fill(0, blockLength);
+        compress(true);
+        return writeWordsLE(h, outputBytes);
+      }
+    };
+
+    // A key is processed as a full first block
+    if (keyLength > 0) {
+      hasher.update(key);
+      blockLength = 128;
+    }
+
+    return hasher;
+  }
+
+  // ============================================
+  // BLAKE2s (RFC 7693) and BLAKE3 share the SHA-256 IV
+  // ============================================
+
+  const BLAKE2S_IV = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ];
+
+  function rotr32(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  }
+
+  /**
+   * BLAKE2s
+   * @param {number} outputBytes - Digest length, 1 to 32
+   * @param {Uint8Array} key - Optional key, up to 32 bytes
+   */
+  function blake2s(outputBytes, key = null) {
+    const keyLength = key ? key.length : 0;
+    const h = new Uint32Array(BLAKE2S_IV);
+    const v = new Uint32Array(16);
+    const m = new Uint32Array(16);
+    const block = new Uint8Array(64);
+    let blockLength = 0;
+    let counter = 0;
+
+    h[0] ^= 0x01010000 ^ (keyLength << 8) ^ outputBytes;
+
+    function g(a, b, c, d, x, y) {
+      v[a] = v[a] + v[b] + x;
+      v[d] = rotr32(v[d] ^ v[a], 16);
+      v[c] = v[c] + v[d];
+      v[b] = rotr32(v[b] ^ v[c], 12);
+      v[a] = v[a] + v[b] + y;
+      v[d] = rotr32(v[d] ^ v[a], 8);
+      v[c] = v[c] + v[d];
+      v[b] = rotr32(v[b] ^ v[c], 7);
+    }
+
+    function compress(last) {
+      for (let i = 0; i < 8; i++) {
+        v[i] = h[i];
+        v[i + 8] = BLAKE2S_IV[i];
+      }
+
+      v[12] ^= counter >>> 0;
+      v[13] ^= Math.floor(counter / 0x100000000);
+      if (last) {
+        v[14] = ~v[14];
+      }
+
+      readWordsLE(block, m);
+
+      for (let round = 0; round < 10; round++) {
+        const s = round * 16;
+        g(0, 4, 8, 12, m[BLAKE2_SIGMA[s]], m[BLAKE2_SIGMA[s + 1]]);
+        g(1, 5, 9, 13, m[BLAKE2_SIGMA[s + 2]], m[BLAKE2_SIGMA[s + 3]]);
+        g(2, 6, 10, 14, m[BLAKE2_SIGMA[s + 4]], m[BLAKE2_SIGMA[s + 5]]);
+        g(3, 7, 11, 15, m[BLAKE2_SIGMA[s + 6]], m[BLAKE2_SIGMA[s + 7]]);
+        g(0, 5, 10, 15, m[BLAKE2_SIGMA[s + 8]], m[BLAKE2_SIGMA[s + 9]]);
+        g(1, 6, 11, 12, m[BLAKE2_SIGMA[s + 10]], m[BLAKE2_SIGMA[s + 11]]);
+        g(2, 7, 8, 13, m[BLAKE2_SIGMA[s + 12]], m[BLAKE2_SIGMA[s + 13]]);
+        g(3, 4, 9, 14, m[BLAKE2_SIGMA[s + 14]], m[BLAKE2_SIGMA[s + 15]]);
+      }
+
+      for (let i = 0; i < 8; i++) {
+        h[i] ^= v[i] ^ v[i + 8];
+      }
+    }
+
+    const hasher = {
+      update(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+          if (blockLength === 64) {
+            counter += 64;
+            compress(false);
+            blockLength = 0;
+          }
+
+          const take = Math.min(64 - blockLength, bytes.length - i);
+          block.set(bytes.subarray(i, i + take), blockLength);
+          blockLength += take;
+          i += take;
+        }
+      },
+
+      finalize() {
+        counter += blockLength;
+        block.fill(0, blockLength);
+        compress(true);
+        return writeWordsLE(h, outputBytes);
+      }
+    };
+
+    if (keyLength > 0) {
+      hasher.update(key);
+      blockLength = 64;
+    }
+
+    return hasher;
+  }
+
+  // ============================================
+  // BLAKE3
+  // ============================================
+
+  const BLAKE3_CHUNK_LEN = 1024;
+  const BLAKE3_BLOCK_LEN = 64;
+  const BLAKE3_CHUNK_START = 1;
+  const BLAKE3_CHUNK_END = 2;
+  const BLAKE3_PARENT = 4;
+  const BLAKE3_ROOT = 8;
+  const BLAKE3_MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+
+  // Message word order for each of the 7 rounds (the permutation applied round after round)
+  const BLAKE3_SCHEDULE = (() => {
+    const schedule = [];
+    let order = Array.from({ length: 16 }, (_, i) => i);
+    for (let round = 0; round < 7; round++) {
+      schedule.push(...order);
+      order = BLAKE3_MSG_PERMUTATION.map(i => order[i]);
+    }
+    return schedule;
+  })();
+
+  // Scratch state reused by every compression
+  const blake3State = new Uint32Array(16);
+
+  function blake3G(a, b, c, d, x, y) {
+    const s = blake3State;
+    s[a] = s[a] + s[b] + x;
+    s[d] = rotr32(s[d] ^ s[a], 16);
+    s[c] = s[c] + s[d];
+    s[b] = rotr32(s[b] ^ s[c], 12);
+    s[a] = s[a] + s[b] + y;
+    s[d] = rotr32(s[d] ^ s[a], 8);
+    s[c] = s[c] + s[d];
+    s[b] = rotr32(s[b] ^ s[c], 7);
+  }
+
+  /**
+   * BLAKE3 compression function
+   * @param {Uint32Array} cv - 8-word chaining value
+   * @param {Uint32Array} m - 16-word message block
+   * @param {number} counter - Chunk or output block counter
+   * @param {number} blockLength - Bytes used in the block
+   * @param {number} flags - Domain flags
+   * @returns {Uint32Array} 16-word state
+   */
+  function blake3Compress(cv, m, counter, blockLength, flags) {
+    const s = blake3State;
+    s.set(cv.subarray(0, 8), 0);
+    s[8] = BLAKE2S_IV[0];
+    s[9] = BLAKE2S_IV[1];
+    s[10] = BLAKE2S_IV[2];
+    s[11] = BLAKE2S_IV[3];
+    s[12] = counter >>> 0;
+    s[13] = Math.floor(counter / 0x100000000);
+    s[14] = blockLength;
+    s[15] = flags;
+
+    const w = BLAKE3_SCHEDULE;
+    for (let r = 0; r < 112; r += 16) {
+      blake3G(0, 4, 8, 12, m[w[r]], m[w[r + 1]]);
+      blake3G(1, 5, 9, 13, m[w[r + 2]], m[w[r + 3]]);
+      blake3G(2, 6, 10, 14, m[w[r + 4]], m[w[r + 5]]);
+      blake3G(3, 7, 11, 15, m[w[r + 6]], m[w[r + 7]]);
+      blake3G(0, 5, 10, 15, m[w[r + 8]], m[w[r + 9]]);
+      blake3G(1, 6, 11, 12, m[w[r + 10]], m[w[r + 11]]);
+      blake3G(2, 7, 8, 13, m[w[r + 12]], m[w[r + 13]]);
+      blake3G(3, 4, 9, 14, m[w[r + 14]], m[w[r + 15]]);
+    }
+
+    const out = new Uint32Array(16);
+    for (let i = 0; i < 8; i++) {
+      out[i] = s[i] ^ s[i + 8];
+      out[i + 8] = s[i + 8] ^ cv[i];
+    }
+    return out;
+  }
+
+  /**
+   * Deferred compression: the root node needs the ROOT flag, so it isn't compressed until finalize
+   */
+  function blake3Output(cv, blockWords, counter, blockLength, flags) {
+    return {
+      chainingValue() {
+        return blake3Compress(cv, blockWords, counter, blockLength, flags).subarray(0, 8);
+      },
+
+      rootBytes(outputBytes) {
+        const out = new Uint8Array(outputBytes);
+        for (let offset = 0, block = 0; offset < outputBytes; offset += 64, block++) {
+          const words = blake3Compress(cv, blockWords, block, blockLength, flags | BLAKE3_ROOT);
+          out.set(writeWordsLE(words, Math.min(64, outputBytes - offset)), offset);
+        }
+        return out;
+      }
+    };
+  }
+
+  /**
+   * State of the chunk currently being filled
+   */
+  function blake3Chunk(key, chunkCounter) {
+    let cv = Uint32Array.from(key);
+    const block = new Uint8Array(BLAKE3_BLOCK_LEN);
+    const blockWords = new Uint32Array(16);
+    let blockLength = 0;
+    let blocksCompressed = 0;
+
+    const startFlag = () => (blocksCompressed === 0 ? BLAKE3_CHUNK_START : 0);
+
+    return {
+      length() {
+        return blocksCompressed * BLAKE3_BLOCK_LEN + blockLength;
+      },
+
+      update(bytes, start, end) {
+        while (start < end) {
+          if (blockLength === BLAKE3_BLOCK_LEN) {
+            readWordsLE(block, blockWords);
+            cv = blake3Compress(cv, blockWords, chunkCounter, BLAKE3_BLOCK_LEN, startFlag()).subarray(0, 8);
+            blocksCompressed++;
+            blockLength = 0;
+          }
+
+          const take = Math.min(BLAKE3_BLOCK_LEN - blockLength, end - start);
+          block.set(bytes.subarray(start, start + take), blockLength);
+          blockLength += take;
+          start += take;
+        }
+      },
+
+      output() {
+        block.fill(0, blockLength);
+        readWordsLE(block, blockWords);
+        return blake3Output(cv, Uint32Array.from(blockWords), chunkCounter, blockLength, startFlag() | BLAKE3_CHUNK_END);
+      }
+    };
+  }
+
+  function blake3ParentOutput(key, left, right) {
+    const blockWords = new Uint32Array(16);
+    blockWords.set(left, 0);
+    blockWords.set(right, 8);
+    return blake3Output(key, blockWords, 0, BLAKE3_BLOCK_LEN, BLAKE3_PARENT);
+  }
+
+  /**
+   * BLAKE3 (default hash mode)
+   * @param {number} outputBytes - Digest length, any size (32 by default)
+   */
+  function blake3(outputBytes = 32) {
+    const key = Uint32Array.from(BLAKE2S_IV);
+    const cvStack = [];
+    let chunk = blake3Chunk(key, 0);
+    let chunkCounter = 0;
+
+    // Merge completed subtrees: one merge per trailing zero bit of the chunk count
+    function pushChunkCV(cv, totalChunks) {
+      while ((totalChunks & 1) === 0) {
+        cv = blake3ParentOutput(key, cvStack.pop(), cv).chainingValue();
+        totalChunks = Math.floor(totalChunks / 2);
+      }
+      cvStack.push(cv);
+    }
+
+    return {
+      update(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+          if (chunk.length() === BLAKE3_CHUNK_LEN) {
+            const cv = chunk.output().chainingValue();
+            chunkCounter++;
+            pushChunkCV(cv, chunkCounter);
+            chunk = blake3Chunk(key, chunkCounter);
+          }
+
+          const take = Math.min(BLAKE3_CHUNK_LEN - chunk.length(), bytes.length - i);
+          chunk.update(bytes, i, i + take);
+          i += take;
+        }
+      },
+
+      finalize() {
+        let output = chunk.output();
+        for (let i = cvStack.length - 1; i >= 0; i--) {
+          output = blake3ParentOutput(key, cvStack[i], output.chainingValue());
+        }
+        return output.rootBytes(outputBytes);
+      }
+    };
+  }
+
+  // ============================================
+  // Checksums
+  // ============================================
+
+  // CRC-32 (IEEE 802.3) lookup table
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Write a 32-bit value as 4 big-endian bytes
+   * @param {number} value - Unsigned 32-bit value
+   * @returns {Uint8Array}
+   */
+  function uint32BE(value) {
+    return new Uint8Array([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+  }
+
+  /**
+   * CRC-32; digest is the 4-byte big-endian checksum
+   */
+  function crc32() {
+    let crc = 0xffffffff;
+    return {
+      update(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+          crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+      },
+      finalize() {
+        return uint32BE((crc ^ 0xffffffff) >>> 0);
+      }
+    };
+  }
+
+  /**
+   * Adler-32 (zlib); digest is the 4-byte big-endian checksum
+   */
+  function adler32() {
+    const MOD = 65521;
+    const NMAX = 5552; // Largest run before the sums can overflow 2^32
+    let a = 1;
+    let b = 0;
+
+    return {
+      update(bytes) {
+        let i = 0;
+        while (i < bytes.length) {
+          const end = Math.min(i + NMAX, bytes.length);
+          for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+          }
+          a %= MOD;
+          b %= MOD;
+        }
+      },
+      finalize() {
+        return uint32BE(((b << 16) | a) >>> 0);
+      }
+    };
+  }
+
+  const HashAlgorithms = {
+    /**
+     * SHA-3 (FIPS 202)
+     * @param {number} bits - 224, 256, 384 or 512
+     */
+    sha3(bits) {
+      return keccak(200 - bits / 4, bits / 8, 0x06);
+    },
+
+    /**
+     * Original Keccak as used by Ethereum (differs from SHA-3 only in padding)
+     * @param {number} bits - 224, 256, 384 or 512
+     */
+    keccak(bits) {
+      return keccak(200 - bits / 4, bits / 8, 0x01);
+    },
+
+    blake2b,
+    blake2s,
+    blake3,
+    crc32,
+    adler32
+  };
+
+  // Export to global scope (self is the window or the worker)
+  self.HashAlgorithms = HashAlgorithms;
+
+})();
@@ -0,0 +1,396 @@
+/**
+ * DevTools - Streaming Hash Core
+ * The hash algorithm registry, incremental hashers and a chunked Blob reader,
+ * shared by DevTools.Hash, the hash worker and the main-thread fallback.
+ * Must not touch the DOM.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024; // 4MB
+
+  // ============================================
+  // Incremental Hashers
+  // ============================================
+
+  /**
+   * Convert CryptoJS WordArray to Uint8Array
+   * @param {Object} wordArray - CryptoJS WordArray
+   * @returns {Uint8Array}
+   */
+  function wordArrayToBytes(wordArray) {
+    const words = wordArray.words;
+    const sigBytes = wordArray.sigBytes;
+    const bytes = new Uint8Array(sigBytes);
+
+    for (let i = 0; i < sigBytes; i++) {
+      bytes[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Adapt a crypto-js hasher to the byte-oriented update/finalize interface
+   * @param {Object} hasher - CryptoJS hasher instance
+   * @returns {{update: function(Uint8Array): void, finalize: function(): Uint8Array}}
+   */
+  function fromCryptoJS(hasher) {
+    return {
+      update(bytes) {
+        hasher.update(CryptoJS.lib.WordArray.create(bytes));
+      },
+      finalize() {
+        return wordArrayToBytes(hasher.finalize());
+      }
+    };
+  }
+
+  // SHA-512/256 initial hash value (FIPS 180-4 5.3.6.2) as [high, low] halves
+  const SHA512_256_IV = [
+    [0x22312194, 0xfc2bf72c], [0x9f555fa3, 0xc84c64c2], [0x2393b86b, 0x6f53b151], [0x96387719, 0x5940eabd],
+    [0x96283ee2, 0xa88effe3], [0xbe5e1e25, 0x53863992], [0x2b0199fc, 0x2c85b8aa], [0x0eb72ddc, 0x81c52ca2]
+  ];
+
+  let SHA512_256 = null;
+
+  /**
+   * SHA-512/256: SHA-512 with its own IV, truncated to 256 bits (built the way crypto-js builds SHA-384)
+   * @returns {Object} CryptoJS hasher instance
+   */
+  function createSha512_256() {
+    if (!SHA512_256) {
+      const SHA512 = CryptoJS.algo.SHA512;
+      SHA512_256 = SHA512.extend({
+        _doReset() {
+          this._hash = new CryptoJS.x64.WordArray.init(
+            SHA512_256_IV.map(([high, low]) => new CryptoJS.x64.Word.init(high, low))
+          );
+        },
+        _doFinalize() {
+          const hash = SHA512._doFinalize.call(this);
+          hash.sigBytes -= 32;
+          return hash;
+        }
+      });
+    }
+    return SHA512_256.create();
+  }
+
+  // ============================================
+  // Algorithm Registry
+  // ============================================
+
+  // Web Crypto is only exposed in secure contexts (https, localhost)
+  const HAS_SUBTLE = typeof crypto !== 'undefined' && !!crypto.subtle;
+
+  /**
+   * One-shot digest through Web Crypto, which is faster than crypto-js but can't stream
+   * @param {string} algorithm - Web Crypto algorithm name
+   * @returns {function(Uint8Array): Promise<Uint8Array>|null}
+   */
+  function webCryptoDigest(algorithm) {
+    if (!HAS_SUBTLE) return null;
+    return async (bytes) => new Uint8Array(await crypto.subtle.digest(algorithm, bytes));
+  }
+
+  /**
+   * Registered algorithms, in registration order (which is also display order).
+   * Each entry: { outputBits, blockSize, group, create, digest, builtin }
+   *   blockSize - bytes HMAC pads the key to; 0 for checksums, which can't be keyed
+   *   create    - incremental hasher factory (streaming); needed for files and HMAC
+   *   digest    - optional async one-shot function, preferred for in-memory data
+   */
+  const REGISTRY = new Map();
+
+  // Set once the built-ins below are in; later registrations exist on this page only, not in the worker
+  let builtinsLoaded = false;
+
+  /**
+   * Add an algorithm to the registry (or replace one with the same name)
+   * @param {string} name - Algorithm name shown in the UI
+   * @param {Object} spec - { outputBits, blockSize, group, create, digest }
+   */
+  function register(name, spec) {
+    if (!spec || !(spec.outputBits > 0)) {
+      throw new Error(`Hash algorithm ${name} needs outputBits`);
+    }
+    if (typeof spec.create !== 'function' && typeof spec.digest !== 'function') {
+      throw new Error(`Hash algorithm ${name} needs a digest or streaming implementation`);
+    }
+
+    REGISTRY.set(name, {
+      outputBits: spec.outputBits,
+      blockSize: spec.blockSize || 0,
+      group: spec.group || null,
+      create: spec.create || null,
+      digest: spec.digest || null,
+      builtin: !builtinsLoaded
+    });
+  }
+
+  // Built-in algorithms. Web Crypto has no streaming digest, so SHA-1/SHA-2 stream through
+  // crypto-js; crypto-js's SHA3 is pre-standard Keccak, so SHA-3 and the rest come from HashAlgorithms.
+  [
+    ['MD5', { outputBits: 128, blockSize: 64, group: 'MD5 / SHA-1', create: () => fromCryptoJS(CryptoJS.algo.MD5.create()) }],
+    ['SHA-1', { outputBits: 160, blockSize: 64, group: 'MD5 / SHA-1', create: () => fromCryptoJS(CryptoJS.algo.SHA1.create()), digest: webCryptoDigest('SHA-1') }],
+    ['SHA-224', { outputBits: 224, blockSize: 64, group: 'SHA-2', create: () => fromCryptoJS(CryptoJS.algo.SHA224.create()) }],
+    ['SHA-256', { outputBits: 256, blockSize: 64, group: 'SHA-2', create: () => fromCryptoJS(CryptoJS.algo.SHA256.create()), digest: webCryptoDigest('SHA-256') }],
+    ['SHA-384', { outputBits: 384, blockSize: 128, group: 'SHA-2', create: () => fromCryptoJS(CryptoJS.algo.SHA384.create()), digest: webCryptoDigest('SHA-384') }],
+    ['SHA-512', { outputBits: 512, blockSize: 128, group: 'SHA-2', create: () => fromCryptoJS(CryptoJS.algo.SHA512.create()), digest: webCryptoDigest('SHA-512') }],
+    ['SHA-512/256', { outputBits: 256, blockSize: 128, group: 'SHA-2', create: () => fromCryptoJS(createSha512_256()) }],
+    ['SHA3-224', { outputBits: 224, blockSize: 144, group: 'SHA-3 / Keccak', create: () => HashAlgorithms.sha3(224) }],
+    ['SHA3-256', { outputBits: 256, blockSize: 136, group: 'SHA-3 / Keccak', create: () => HashAlgorithms.sha3(256) }],
+    ['SHA3-384', { outputBits: 384, blockSize: 104, group: 'SHA-3 / Keccak', create: () => HashAlgorithms.sha3(384) }],
+    ['SHA3-512', { outputBits: 512, blockSize: 72, group: 'SHA-3 / Keccak', create: () => HashAlgorithms.sha3(512) }],
+    ['Keccak-256', { outputBits: 256, blockSize: 136, group: 'SHA-3 / Keccak', create: () => HashAlgorithms.keccak(256) }],
+    ['BLAKE2b-256', { outputBits: 256, blockSize: 128, group: 'BLAKE', create: () => HashAlgorithms.blake2b(32) }],
+    ['BLAKE2b-512', { outputBits: 512, blockSize: 128, group: 'BLAKE', create: () => HashAlgorithms.blake2b(64) }],
+    ['BLAKE2s-256', { outputBits: 256, blockSize: 64, group: 'BLAKE', create: () => HashAlgorithms.blake2s(32) }],
+    ['BLAKE3', { outputBits: 256, blockSize: 64, group: 'BLAKE', create: () => HashAlgorithms.blake3(32) }],
+    ['RIPEMD-160', { outputBits: 160, blockSize: 64, group: 'RIPEMD', create: () => fromCryptoJS(CryptoJS.algo.RIPEMD160.create()) }],
+    ['CRC32', { outputBits: 32, group: 'Checksum', create: () => HashAlgorithms.crc32() }],
+    ['Adler-32', { outputBits: 32, group: 'Checksum', create: () => HashAlgorithms.adler32() }]
+  ].forEach(([name, spec]) => register(name, spec));
+
+  builtinsLoaded = true;
+
+  /**
+   * High resolution timestamp in milliseconds
+   * @returns {number}
+   */
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Read a Blob as ArrayBuffer (FileReader works in both window and worker)
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<ArrayBuffer>}
+   */
+  function readChunk(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Look up an algorithm entry
+   * @param {string} algorithm - Algorithm name
+   * @returns {Object}
+   */
+  function getEntry(algorithm) {
+    const entry = REGISTRY.get(algorithm);
+    if (!entry) {
+      throw new Error(`Unsupported algorithm: ${algorithm}`);
+    }
+    return entry;
+  }
+
+  const HashStream = {
+    DEFAULT_CHUNK_SIZE,
+
+    register,
+
+    wordArrayToBytes,
+
+    /**
+     * List supported algorithm names
+     * @returns {string[]}
+     */
+    algorithms() {
+      return Array.from(REGISTRY.keys());
+    },
+
+    /**
+     * Describe every registered algorithm
+     * @returns {Array<{name: string, outputBits: number, group: string|null, streaming: boolean, hmac: boolean, builtin: boolean}>}
+     */
+    list() {
+      return this.algorithms().map(name => {
+        const entry = REGISTRY.get(name);
+        return {
+          name,
+          outputBits: entry.outputBits,
+          group: entry.group,
+          streaming: this.supportsStreaming(name),
+          hmac: this.supportsHmac(name),
+          builtin: entry.builtin
+        };
+      });
+    },
+
+    /**
+     * Get the digest length of an algorithm
+     * @param {string} algorithm - Algorithm name
+     * @returns {number} Output length in bits
+     */
+    outputBits(algorithm) {
+      return getEntry(algorithm).outputBits;
+    },
+
+    /**
+     * Check whether an algorithm can be used with HMAC (checksums can't)
+     * @param {string} algorithm - Algorithm name
+     * @returns {boolean}
+     */
+    supportsHmac(algorithm) {
+      return getEntry(algorithm).blockSize > 0 && this.supportsStreaming(algorithm);
+    },
+
+    /**
+     * Check whether an algorithm has an incremental hasher (needed for files and HMAC)
+     * @param {string} algorithm - Algorithm name
+     * @returns {boolean}
+     */
+    supportsStreaming(algorithm) {
+      return getEntry(algorithm).create !== null;
+    },
+
+    /**
+     * Check whether an algorithm is built in, and so also available inside the hash worker
+     * @param {string} algorithm - Algorithm name
+     * @returns {boolean}
+     */
+    isBuiltin(algorithm) {
+      return getEntry(algorithm).builtin;
+    },
+
+    /**
+     * Create an incremental hasher
+     * @param {string} algorithm - Algorithm name
+     * @returns {{update: function(Uint8Array): void, finalize: function(): Uint8Array}}
+     */
+    create(algorithm) {
+      const entry = getEntry(algorithm);
+      if (!entry.create) {
+        throw new Error(`Streaming is not supported for ${algorithm}`);
+      }
+      return entry.create();
+    },
+
+    /**
+     * Hash in-memory data, through the one-shot digest when there is one
+     * @param {string} algorithm - Algorithm name
+     * @param {Uint8Array} bytes - Data
+     * @returns {Promise<Uint8Array>}
+     */
+    async digest(algorithm, bytes) {
+      const entry = getEntry(algorithm);
+      if (entry.digest) {
+        return entry.digest(bytes);
+      }
+
+      const hasher = entry.create();
+      hasher.update(bytes);
+      return hasher.finalize();
+    },
+
+    /**
+     * Create an incremental HMAC (RFC 2104) over any supported algorithm
+     * @param {string} algorithm - Algorithm name
+     * @param {Uint8Array} key - Key bytes
+     * @returns {{update: function(Uint8Array): void, finalize: function(): Uint8Array}}
+     */
+    createHmac(algorithm, key) {
+      const entry = getEntry(algorithm);
+      if (!this.supportsHmac(algorithm)) {
+        throw new Error(`HMAC is not supported for ${algorithm}`);
+      }
+
+      // Keys longer than the block size are hashed first, then zero-padded
+      if (key.length > entry.blockSize) {
+        const keyHasher = this.create(algorithm);
+        keyHasher.update(key);
+        key = keyHasher.finalize();
+      }
+
+      const ipad = new Uint8Array(entry.blockSize);
+      const opad = new Uint8Array(entry.blockSize);
+      for (let i = 0; i < entry.blockSize; i++) {
+        const k = i < key.length ? key[i] : 0;
+        ipad[i] = k ^ 0x36;
+        opad[i] = k ^ 0x5c;
+      }
+
+      const inner = this.create(algorithm);
+      inner.update(ipad);
+
+      return {
+        update(bytes) {
+          inner.update(bytes);
+        },
+        finalize: () => {
+          const outer = this.create(algorithm);
+          outer.update(opad);
+          outer.update(inner.finalize());
+          return outer.finalize();
+        }
+      };
+    },
+
+    /**
+     * Hash (or HMAC when options.hmacKey is set) a Blob chunk by chunk,
+     * feeding every algorithm from the same read
+     * @param {Blob} blob - File or Blob to hash
+     * @param {string[]} algorithms - Algorithm names
+     * @param {Object} options - { chunkSize, hmacKey, onProgress, isCancelled }
+     * @returns {Promise<Object<string, Uint8Array>>} Digest per algorithm, or null if cancelled
+     */
+    async hashBlob(blob, algorithms, options = {}) {
+      const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+      const hashers = {};
+      const timings = {};
+
+      algorithms.forEach(algo => {
+        hashers[algo] = options.hmacKey
+          ? this.createHmac(algo, options.hmacKey)
+          : this.create(algo);
+        timings[algo] = 0;
+      });
+
+      const startTime = now();
+      let processed = 0;
+
+      while (processed < blob.size) {
+        if (options.isCancelled && options.isCancelled()) return null;
+
+        const end = Math.min(processed + chunkSize, blob.size);
+        const chunk = new Uint8Array(await readChunk(blob.slice(processed, end)));
+
+        for (const algo of algorithms) {
+          const t0 = now();
+          hashers[algo].update(chunk);
+          timings[algo] += now() - t0;
+        }
+
+        processed = end;
+
+        if (options.onProgress) {
+          options.onProgress({
+            processed,
+            total: blob.size,
+            elapsed: now() - startTime,
+            timings: { ...timings }
+          });
+        }
+      }
+
+      if (options.isCancelled && options.isCancelled()) return null;
+
+      const results = {};
+      for (const algo of algorithms) {
+        results[algo] = hashers[algo].finalize();
+      }
+      return results;
+    }
+  };
+
+  // Export to global scope (self is the window or the worker)
+  self.HashStream = HashStream;
+
+})();
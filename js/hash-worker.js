@@ -0,0 +1,31 @@
+/**
+ * DevTools - Hash Worker
+ * Streams a File through HashStream off the main thread.
+ *
+ * Messages in:  { file: Blob, algorithms: string[], chunkSize?: number, hmacKey?: Uint8Array }
+ * Messages out: { type: 'progress', processed, total, elapsed, timings }
+ *               { type: 'done', results: { [algorithm]: Uint8Array } }
+ *               { type: 'error', message }
+ *
+ * Cancellation is done by terminating the worker.
+ */
+
+importScripts('../libs/crypto-js.min.js', 'hash-algorithms.js', 'hash-stream.js');
+
+self.onmessage = async (e) => {
+  const { file, algorithms, chunkSize, hmacKey } = e.data;
+
+  try {
+    const results = await HashStream.hashBlob(file, algorithms, {
+      chunkSize,
+      hmacKey,
+      onProgress: (progress) => {
+        self.postMessage({ type: 'progress', ...progress });
+      }
+    });
+
+    self.postMessage({ type: 'done', results });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
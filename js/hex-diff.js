@@ -0,0 +1,484 @@
+/**
+ * DevTools - HEX Diff Component
+ * Shows two buffers side by side in HEX View rows, aligned with ByteDiff so inserted and
+ * deleted bytes leave gaps on the other side. Both sides share one virtualized viewport,
+ * so they always scroll together.
+ */
+
+(function() {
+  'use strict';
+
+  // Differences listed in the summary table; navigation still covers all of them
+  const MAX_LISTED_DIFFERENCES = 500;
+
+  class HexDiff {
+    /**
+     * Create a HexDiff instance
+     * @param {HTMLElement|string} container - Container element or selector
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+      this.container = typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+      if (!this.container) {
+        throw new Error('HexDiff: Container element not found');
+      }
+
+      this.options = {
+        bytesPerRow: options.bytesPerRow || 16,
+        showAscii: options.showAscii !== false,
+        visibleRows: options.visibleRows || 20,
+        rowHeight: options.rowHeight || 20, // px
+        labels: options.labels || ['A', 'B'],
+        ...options
+      };
+
+      this.a = null;
+      this.b = null;
+      this.result = null; // ByteDiff.diff() result
+      this.columns = []; // ops with their aligned columns: { op, start, end, difference }
+      this.differenceColumns = []; // first aligned column of each difference
+      this.totalColumns = 0;
+      this.totalRows = 0;
+      this.current = -1; // index of the difference moved to last
+      this.renderedRow = -1;
+      this.framePending = false;
+
+      this.container.classList.add('hex-view', 'hex-diff');
+      this.render();
+    }
+
+    /**
+     * Compare two buffers
+     * @param {Uint8Array|ArrayBuffer|string} a - Left side
+     * @param {Uint8Array|ArrayBuffer|string} b - Right side
+     * @param {Array<string>} [labels] - Names of the sides, replacing options.labels
+     * @returns {Object} The ByteDiff.diff() result
+     */
+    setData(a, b, labels) {
+      if (labels) this.options.labels = labels;
+      this.a = this.toBytes(a);
+      this.b = this.toBytes(b);
+      this.result = ByteDiff.diff(this.a, this.b);
+      this.current = -1;
+
+      // Each op takes as many columns as its longer side; the shorter side shows gaps
+      this.columns = [];
+      this.differenceColumns = [];
+      let column = 0;
+      let difference = -1;
+      let previous = 'equal';
+      for (const op of this.result.ops) {
+        const width = Math.max(op.aEnd - op.aStart, op.bEnd - op.bStart);
+        // Non-equal ops between two equal ones form one difference, as in ByteDiff
+        if (op.type !== 'equal' && previous === 'equal') {
+          difference++;
+          this.differenceColumns.push(column);
+        }
+        this.columns.push({ op, start: column, end: column + width, difference: op.type === 'equal' ? -1 : difference });
+        column += width;
+        previous = op.type;
+      }
+      this.totalColumns = column;
+
+      this.render();
+      return this.result;
+    }
+
+    /**
+     * Clear the display
+     */
+    clear() {
+      this.a = null;
+      this.b = null;
+      this.result = null;
+      this.columns = [];
+      this.differenceColumns = [];
+      this.totalColumns = 0;
+      this.current = -1;
+      this.render();
+    }
+
+    /**
+     * Normalize input to a Uint8Array
+     * @param {Uint8Array|ArrayBuffer|string} data - Input
+     * @returns {Uint8Array}
+     */
+    toBytes(data) {
+      if (typeof data === 'string') return new TextEncoder().encode(data);
+      if (data instanceof ArrayBuffer) return new Uint8Array(data);
+      if (data instanceof Uint8Array) return data;
+      return new Uint8Array(0);
+    }
+
+    /**
+     * Render the frame, the summary and the visible rows
+     */
+    render() {
+      this.renderedRow = -1;
+
+      if (!this.result || this.totalColumns === 0) {
+        this.totalRows = 0;
+        this.viewport = null;
+        this.container.innerHTML = `
+          <div class="hex-view-header"><span>HEX Diff</span><span>No data</span></div>
+          <div class="hex-view-empty">No data to compare</div>
+        `;
+        return;
+      }
+
+      const { bytesPerRow, visibleRows, rowHeight, labels } = this.options;
+      const count = this.result.differences.length;
+      this.totalRows = Math.ceil(this.totalColumns / bytesPerRow);
+
+      const rows = Math.min(this.totalRows, visibleRows);
+      const spacerHeight = VirtualScroll.spacerHeight(this.totalRows, rowHeight);
+
+      this.container.innerHTML = `
+        <div class="hex-view-header">
+          <span>HEX Diff</span>
+          <span class="hex-diff-nav">
+            <button type="button" class="btn btn-sm btn-secondary" data-action="prev" ${count ? '' : 'disabled'}>&#9650; Previous</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-action="next" ${count ? '' : 'disabled'}>&#9660; Next difference</button>
+            <span class="hex-diff-position"></span>
+          </span>
+        </div>
+        <div class="hex-diff-labels">
+          <span>${DevTools.Utils.escapeHtml(labels[0])} · ${DevTools.Utils.formatFileSize(this.a.length)}</span>
+          <span>${DevTools.Utils.escapeHtml(labels[1])} · ${DevTools.Utils.formatFileSize(this.b.length)}</span>
+        </div>
+        <div class="hex-view-viewport" style="height: ${rows * rowHeight}px;">
+          <div class="hex-view-spacer" style="height: ${spacerHeight}px;"></div>
+          <div class="hex-view-rows"></div>
+        </div>
+        <div class="hex-diff-summary">${this.renderSummary()}</div>
+      `;
+
+      this.viewport = this.container.querySelector('.hex-view-viewport');
+      this.rowsEl = this.container.querySelector('.hex-view-rows');
+      this.positionEl = this.container.querySelector('.hex-diff-position');
+
+      this.bindEvents();
+      this.updatePosition();
+      this.renderRows();
+    }
+
+    /**
+     * Totals and the list of differing ranges
+     * @returns {string} HTML string
+     */
+    renderSummary() {
+      const { differences, changed, inserted, deleted, aligned } = this.result;
+      const [labelA, labelB] = this.options.labels.map(label => DevTools.Utils.escapeHtml(label));
+
+      if (differences.length === 0) {
+        return `<div class="hex-diff-totals">Identical · ${DevTools.Utils.formatFileSize(this.a.length)}</div>`;
+      }
+
+      const range = (start, end) => end > start
+        ? `0x${start.toString(16).toUpperCase()}–0x${(end - 1).toString(16).toUpperCase()}`
+        : `at 0x${start.toString(16).toUpperCase()}`;
+
+      let rows = '';
+      differences.slice(0, MAX_LISTED_DIFFERENCES).forEach((diff, i) => {
+        const parts = [];
+        if (diff.changed) parts.push(`<span class="diff-changed">${diff.changed.toLocaleString()} changed</span>`);
+        if (diff.deleted) parts.push(`<span class="diff-deleted">${diff.deleted.toLocaleString()} deleted</span>`);
+        if (diff.inserted) parts.push(`<span class="diff-inserted">${diff.inserted.toLocaleString()} inserted</span>`);
+        rows += `
+          <tr data-difference="${i}">
+            <td>${i + 1}</td>
+            <td>${range(diff.aStart, diff.aEnd)}</td>
+            <td>${range(diff.bStart, diff.bEnd)}</td>
+            <td>${parts.join(', ')}</td>
+          </tr>
+        `;
+      });
+
+      const more = differences.length > MAX_LISTED_DIFFERENCES
+        ? `<div class="hex-diff-note">First ${MAX_LISTED_DIFFERENCES} of ${differences.length.toLocaleString()} differences listed</div>`
+        : '';
+      const note = aligned ? '' : '<div class="hex-diff-note">Too different to align insertions; compared offset by offset</div>';
+
+      return `
+        <div class="hex-diff-totals">
+          ${differences.length.toLocaleString()} difference${differences.length > 1 ? 's' : ''} ·
+          <span class="diff-changed">${changed.toLocaleString()} changed</span> ·
+          <span class="diff-deleted">${deleted.toLocaleString()} deleted</span> ·
+          <span class="diff-inserted">${inserted.toLocaleString()} inserted</span> bytes
+        </div>
+        ${note}
+        <div class="hex-diff-ranges">
+          <table>
+            <thead><tr><th>#</th><th>${labelA}</th><th>${labelB}</th><th>Bytes</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        ${more}
+      `;
+    }
+
+    /**
+     * Re-render rows on the next animation frame
+     */
+    scheduleRender() {
+      if (this.framePending) return;
+      this.framePending = true;
+
+      requestAnimationFrame(() => {
+        this.framePending = false;
+        this.renderRows();
+      });
+    }
+
+    /**
+     * First row shown for the current scroll position
+     * @returns {number}
+     */
+    getFirstRow() {
+      return VirtualScroll.firstRow(this.viewport, this.totalRows, this.options.visibleRows);
+    }
+
+    /**
+     * Render the visible rows
+     * @param {boolean} [force=false] - Re-render even if the first row hasn't changed
+     */
+    renderRows(force = false) {
+      if (!this.viewport) return;
+
+      const firstRow = this.getFirstRow();
+      this.rowsEl.style.top = `${this.viewport.scrollTop}px`;
+      if (firstRow === this.renderedRow && !force) return;
+
+      this.renderedRow = firstRow;
+      const lastRow = Math.min(this.totalRows, firstRow + this.options.visibleRows);
+
+      let html = '';
+      for (let row = firstRow; row < lastRow; row++) {
+        html += this.renderRow(row);
+      }
+      this.rowsEl.innerHTML = html;
+    }
+
+    /**
+     * Index of the op holding an aligned column
+     * @param {number} column - Column
+     * @returns {number}
+     */
+    findColumn(column) {
+      let lo = 0;
+      let hi = this.columns.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >>> 1;
+        if (this.columns[mid].start <= column) lo = mid;
+        else hi = mid - 1;
+      }
+      return lo;
+    }
+
+    /**
+     * Render one aligned row: offset, hex and ASCII for each side
+     * @param {number} row - Row index
+     * @returns {string} HTML string
+     */
+    renderRow(row) {
+      const { bytesPerRow, rowHeight, showAscii } = this.options;
+      const first = row * bytesPerRow;
+      const last = Math.min(this.totalColumns, first + bytesPerRow);
+
+      const sides = [
+        { bytes: this.a, side: 'a', offset: -1, hex: '', ascii: '' },
+        { bytes: this.b, side: 'b', offset: -1, hex: '', ascii: '' }
+      ];
+
+      let opIndex = this.findColumn(first);
+      for (let column = first; column < first + bytesPerRow; column++) {
+        while (opIndex < this.columns.length - 1 && column >= this.columns[opIndex].end) opIndex++;
+        const inData = column < last;
+        const { op, start, difference } = this.columns[opIndex];
+
+        for (const side of sides) {
+          const sideStart = side.side === 'a' ? op.aStart : op.bStart;
+          const sideEnd = side.side === 'a' ? op.aEnd : op.bEnd;
+          const index = sideStart + (column - start);
+
+          if (!inData) {
+            side.hex += '<span class="hex-byte">&nbsp;&nbsp;</span>';
+          } else if (index >= sideEnd) {
+            // The other side has bytes here that this one doesn't
+            side.hex += '<span class="hex-byte diff-gap">&nbsp;&nbsp;</span>';
+            if (showAscii) side.ascii += '<span class="hex-ascii-char diff-gap">&nbsp;</span>';
+          } else {
+            if (side.offset === -1) side.offset = index;
+            const byte = side.bytes[index];
+            let classes = op.type === 'equal' ? '' : ` diff-${op.type}`;
+            if (difference !== -1 && difference === this.current) classes += ' diff-current';
+            const attrs = `data-column="${column}" data-index="${index}"`;
+            side.hex += `<span class="hex-byte${classes}" ${attrs}>${byte.toString(16).toUpperCase().padStart(2, '0')}</span>`;
+            if (showAscii) {
+              const printable = byte >= 32 && byte <= 126;
+              side.ascii += `<span class="hex-ascii-char${printable ? '' : ' non-printable'}${classes}" ${attrs}>${this.byteToAscii(byte)}</span>`;
+            }
+          }
+        }
+
+        // Add extra space every 8 bytes
+        if (column - first === 7) {
+          sides.forEach(side => { side.hex += '&nbsp;'; });
+        }
+      }
+
+      const pane = ({ side, offset, hex, ascii }) => `
+        <span class="hex-offset">${offset === -1 ? '' : offset.toString(16).toUpperCase().padStart(8, '0')}</span>
+        <span class="hex-bytes" data-side="${side}">${hex}</span>
+        ${showAscii ? `<span class="hex-ascii" data-side="${side}">${ascii}</span>` : ''}
+      `;
+
+      return `
+        <div class="hex-row" style="height: ${rowHeight}px; line-height: ${rowHeight}px;">
+          ${pane(sides[0])}
+          <span class="hex-diff-divider"></span>
+          ${pane(sides[1])}
+        </div>
+      `;
+    }
+
+    /**
+     * Bind scrolling, navigation, the summary table and hover highlighting; hovering a
+     * byte highlights the byte it is aligned with on the other side
+     */
+    bindEvents() {
+      this.viewport.addEventListener('scroll', () => this.scheduleRender());
+
+      const highlight = (column) => {
+        this.rowsEl.querySelectorAll('.highlight').forEach(el => el.classList.remove('highlight'));
+        if (column !== null) {
+          this.rowsEl.querySelectorAll(`[data-column="${column}"]`).forEach(el => el.classList.add('highlight'));
+        }
+      };
+
+      this.rowsEl.addEventListener('mouseover', (e) => {
+        const el = e.target.closest('[data-column]');
+        if (el) highlight(el.dataset.column);
+      });
+
+      this.rowsEl.addEventListener('mouseout', (e) => {
+        const el = e.target.closest('[data-column]');
+        if (el && !(e.relatedTarget && el.contains(e.relatedTarget))) highlight(null);
+      });
+
+      this.container.querySelector('.hex-diff-nav').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'next') this.nextDifference();
+        else this.prevDifference();
+      });
+
+      const table = this.container.querySelector('.hex-diff-ranges');
+      if (table) {
+        table.addEventListener('click', (e) => {
+          const row = e.target.closest('tr[data-difference]');
+          if (row) this.goToDifference(parseInt(row.dataset.difference, 10));
+        });
+      }
+    }
+
+    /**
+     * Move to the first difference below the top of the view, wrapping around
+     */
+    nextDifference() {
+      const count = this.result ? this.result.differences.length : 0;
+      if (count === 0) return;
+
+      let index;
+      if (this.current >= 0) {
+        index = (this.current + 1) % count;
+      } else {
+        const firstColumn = this.getFirstRow() * this.options.bytesPerRow;
+        index = this.differenceColumns.findIndex(column => column >= firstColumn);
+        if (index === -1) index = 0;
+      }
+      this.goToDifference(index);
+    }
+
+    /**
+     * Move to the previous difference, wrapping around
+     */
+    prevDifference() {
+      const count = this.result ? this.result.differences.length : 0;
+      if (count === 0) return;
+
+      this.goToDifference(this.current > 0 ? this.current - 1 : count - 1);
+    }
+
+    /**
+     * Mark a difference and scroll it into view
+     * @param {number} index - Index into getResult().differences
+     */
+    goToDifference(index) {
+      const differences = this.result ? this.result.differences : [];
+      if (index < 0 || index >= differences.length) return;
+
+      this.current = index;
+      this.scrollToRow(Math.floor(this.differenceColumns[index] / this.options.bytesPerRow));
+      this.updatePosition();
+      this.renderRows(true);
+
+      this.container.querySelectorAll('.hex-diff-ranges tr.current').forEach(tr => tr.classList.remove('current'));
+      const row = this.container.querySelector(`.hex-diff-ranges tr[data-difference="${index}"]`);
+      if (row) row.classList.add('current');
+    }
+
+    /**
+     * Scroll so a row is visible, without moving when it already is
+     * @param {number} row - Row index
+     */
+    scrollToRow(row) {
+      if (!this.viewport) return;
+
+      VirtualScroll.revealRow(this.viewport, this.totalRows, this.options.visibleRows, row);
+    }
+
+    /**
+     * Show "3 / 17" next to the navigation buttons
+     */
+    updatePosition() {
+      if (!this.positionEl) return;
+
+      const count = this.result.differences.length;
+      this.positionEl.textContent = count === 0
+        ? 'Identical'
+        : `${this.current >= 0 ? this.current + 1 : '–'} / ${count.toLocaleString()}`;
+    }
+
+    /**
+     * Get the comparison result
+     * @returns {Object|null} See ByteDiff.diff()
+     */
+    getResult() {
+      return this.result;
+    }
+
+    /**
+     * Convert byte to ASCII character
+     * @param {number} byte - Byte value
+     * @returns {string} ASCII character or dot
+     */
+    byteToAscii(byte) {
+      if (byte >= 32 && byte <= 126) {
+        // Escape HTML special characters
+        if (byte === 60) return '&lt;';
+        if (byte === 62) return '&gt;';
+        if (byte === 38) return '&amp;';
+        return String.fromCharCode(byte);
+      }
+      return '.';
+    }
+  }
+
+  // Export to global scope
+  window.HexDiff = HexDiff;
+
+})();
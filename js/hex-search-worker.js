@@ -0,0 +1,34 @@
+/**
+ * DevTools - HEX Search Worker
+ * Searches a Blob with HexSearch off the main thread.
+ *
+ * Messages in:  { blob: Blob, query: { mode, text, encoding, ignoreCase }, chunkSize?: number }
+ * Messages out: { type: 'matches', matches: number[] }  (flattened [offset, length, ...])
+ *               { type: 'progress', processed, total, elapsed }
+ *               { type: 'done', count, truncated }
+ *               { type: 'error', message }
+ *
+ * Cancellation is done by terminating the worker.
+ */
+
+importScripts('hex-search.js');
+
+self.onmessage = async (e) => {
+  const { blob, query, chunkSize } = e.data;
+
+  try {
+    const result = await HexSearch.searchBlob(blob, query, {
+      chunkSize,
+      onMatches: (matches) => {
+        self.postMessage({ type: 'matches', matches });
+      },
+      onProgress: (progress) => {
+        self.postMessage({ type: 'progress', ...progress });
+      }
+    });
+
+    self.postMessage({ type: 'done', ...result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,397 @@
+/**
+ * DevTools - HEX Search Core
+ * Chunked search of a Blob for hex patterns (with wildcards), text and regular
+ * expressions, shared by the search worker and the main-thread fallback.
+ * Must not touch the DOM.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024; // 4MB
+
+  // Regex windows are decoded to strings with a byte offset per character, so keep them smaller
+  const REGEX_CHUNK_SIZE = 1024 * 1024; // 1MB
+
+  // Bytes each regex window shares with the next; matches up to this long are found across chunks
+  const REGEX_OVERLAP = 4096;
+
+  // Hits kept in memory; the search stops once this many are found
+  const MAX_MATCHES = 100000;
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Read a Blob as ArrayBuffer (FileReader works in both window and worker)
+   * @param {Blob} blob - Blob to read
+   * @returns {Promise<ArrayBuffer>}
+   */
+  function readChunk(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  function concat(a, b) {
+    if (a.length === 0) return b;
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+  }
+
+  function isAsciiLetter(code) {
+    return (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a);
+  }
+
+  /**
+   * Byte pattern: a byte b matches position i when ((b & mask[i]) | fold[i]) === bytes[i].
+   * Wildcard nibbles clear mask bits; case-insensitive ASCII letters set fold to 0x20
+   * and are stored in lower case.
+   */
+  function createPattern(bytes, mask, fold) {
+    // Anchor on the first fully specified byte so candidates can be found with indexOf
+    let anchor = -1;
+    for (let i = 0; i < bytes.length; i++) {
+      if (mask[i] === 0xff && fold[i] === 0) {
+        anchor = i;
+        break;
+      }
+    }
+    return { bytes, mask, fold, anchor };
+  }
+
+  function compileHex(text) {
+    const hex = text.replace(/\s+/g, '');
+    if (!/^(?:[0-9a-fA-F?]{2})+$/.test(hex)) {
+      throw new Error('Hex pattern must be pairs of hex digits, with ? for any nibble (e.g. 89 50 ?? 47)');
+    }
+
+    const length = hex.length / 2;
+    const bytes = new Uint8Array(length);
+    const mask = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      const hi = hex[i * 2];
+      const lo = hex[i * 2 + 1];
+      mask[i] = (hi === '?' ? 0 : 0xf0) | (lo === '?' ? 0 : 0x0f);
+      bytes[i] = ((hi === '?' ? 0 : parseInt(hi, 16)) << 4) | (lo === '?' ? 0 : parseInt(lo, 16));
+    }
+
+    if (mask.every(m => m === 0)) {
+      throw new Error('Hex pattern needs at least one byte that is not a wildcard');
+    }
+    return createPattern(bytes, mask, new Uint8Array(length));
+  }
+
+  function compileText(text, encoding, ignoreCase) {
+    let bytes;
+    if (encoding === 'utf-16le') {
+      bytes = new Uint8Array(text.length * 2);
+      for (let i = 0; i < text.length; i++) {
+        const unit = text.charCodeAt(i);
+        bytes[i * 2] = unit & 0xff;
+        bytes[i * 2 + 1] = unit >> 8;
+      }
+    } else if (encoding === 'ascii') {
+      bytes = new Uint8Array(text.length);
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code > 0x7f) throw new Error(`"${text[i]}" is not an ASCII character`);
+        bytes[i] = code;
+      }
+    } else {
+      bytes = new TextEncoder().encode(text);
+    }
+
+    const mask = new Uint8Array(bytes.length).fill(0xff);
+    const fold = new Uint8Array(bytes.length);
+    if (ignoreCase) {
+      // Only ASCII letters fold; in UTF-16LE a letter is a low byte followed by 00
+      const step = encoding === 'utf-16le' ? 2 : 1;
+      for (let i = 0; i < bytes.length; i += step) {
+        if (isAsciiLetter(bytes[i]) && (step === 1 || bytes[i + 1] === 0)) {
+          bytes[i] |= 0x20;
+          fold[i] = 0x20;
+        }
+      }
+    }
+    return createPattern(bytes, mask, fold);
+  }
+
+  function compileRegex(text, encoding, ignoreCase) {
+    let regex;
+    try {
+      regex = new RegExp(text, ignoreCase ? 'gi' : 'g');
+    } catch (e) {
+      // V8 already prefixes its messages, other engines don't
+      throw new Error(/^invalid regular expression/i.test(e.message) ? e.message : `Invalid regular expression: ${e.message}`);
+    }
+    return { regex, encoding: encoding || 'utf-8' };
+  }
+
+  function matchesAt(buf, pos, pattern) {
+    const { bytes, mask, fold } = pattern;
+    for (let i = 0; i < bytes.length; i++) {
+      if (((buf[pos + i] & mask[i]) | fold[i]) !== bytes[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Call emit(position) for every match of a byte pattern in buf; emit returns false to stop
+   */
+  function findPattern(buf, pattern, emit) {
+    const last = buf.length - pattern.bytes.length;
+    const anchor = pattern.anchor;
+
+    if (anchor === -1) {
+      for (let pos = 0; pos <= last; pos++) {
+        if (matchesAt(buf, pos, pattern) && emit(pos) === false) return;
+      }
+      return;
+    }
+
+    const anchorByte = pattern.bytes[anchor];
+    let from = anchor;
+    while (true) {
+      const hit = buf.indexOf(anchorByte, from);
+      if (hit === -1 || hit - anchor > last) return;
+      const pos = hit - anchor;
+      if (matchesAt(buf, pos, pattern) && emit(pos) === false) return;
+      from = hit + 1;
+    }
+  }
+
+  function latin1(bytes, start, end) {
+    let text = '';
+    for (let i = start; i < end; i += 8192) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, end)));
+    }
+    return text;
+  }
+
+  /**
+   * Decode bytes to a string and the byte offset of each UTF-16 code unit
+   * (offsets[text.length] is where decoding stopped). Invalid UTF-8 becomes U+FFFD;
+   * unless final, an incomplete sequence at the end is left undecoded.
+   */
+  function decodeWindow(bytes, encoding, final) {
+    if (encoding === 'ascii') {
+      return { text: latin1(bytes, 0, bytes.length), offsetOf: (i) => i };
+    }
+
+    if (encoding === 'utf-16le') {
+      const units = bytes.length >> 1;
+      let text = '';
+      for (let i = 0; i < units; i += 8192) {
+        const count = Math.min(8192, units - i);
+        const codes = new Array(count);
+        for (let j = 0; j < count; j++) {
+          codes[j] = bytes[(i + j) * 2] | (bytes[(i + j) * 2 + 1] << 8);
+        }
+        text += String.fromCharCode.apply(null, codes);
+      }
+      return { text, offsetOf: (i) => i * 2 };
+    }
+
+    const offsets = new Uint32Array(bytes.length + 1);
+    const codes = [];
+    let text = '';
+    let i = 0;
+
+    const flush = () => {
+      text += String.fromCharCode.apply(null, codes);
+      codes.length = 0;
+    };
+
+    while (i < bytes.length) {
+      const lead = bytes[i];
+      let length = lead < 0x80 ? 1 : lead >= 0xc2 && lead < 0xe0 ? 2 : lead >= 0xe0 && lead < 0xf0 ? 3 : lead >= 0xf0 && lead < 0xf5 ? 4 : 0;
+      let codePoint = 0xfffd;
+
+      if (length === 0) {
+        length = 1;
+      } else if (i + length > bytes.length && !final) {
+        break;
+      } else {
+        let value = length === 1 ? lead : lead & (0xff >> (length + 1));
+        let valid = i + length <= bytes.length;
+        for (let k = 1; valid && k < length; k++) {
+          const b = bytes[i + k];
+          if ((b & 0xc0) !== 0x80) valid = false;
+          else value = (value << 6) | (b & 0x3f);
+        }
+        // Overlong 3/4-byte forms, surrogates and values past U+10FFFF are invalid
+        if (valid && ((length === 3 && (value < 0x800 || (value >= 0xd800 && value < 0xe000))) ||
+            (length === 4 && (value < 0x10000 || value > 0x10ffff)))) {
+          valid = false;
+        }
+        if (valid) codePoint = value;
+        else length = 1;
+      }
+
+      const unitIndex = text.length + codes.length;
+      offsets[unitIndex] = i;
+      if (codePoint > 0xffff) {
+        codePoint -= 0x10000;
+        codes.push(0xd800 + (codePoint >> 10), 0xdc00 + (codePoint & 0x3ff));
+        offsets[unitIndex + 1] = i;
+      } else {
+        codes.push(codePoint);
+      }
+      i += length;
+      if (codes.length >= 8192) flush();
+    }
+    flush();
+    offsets[text.length] = i;
+
+    return { text, offsetOf: (index) => offsets[index] };
+  }
+
+  async function searchPattern(blob, pattern, options, state) {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const length = pattern.bytes.length;
+    let tail = new Uint8Array(0);
+    let processed = 0;
+
+    while (processed < blob.size) {
+      if (options.isCancelled && options.isCancelled()) return false;
+
+      const end = Math.min(processed + chunkSize, blob.size);
+      const buf = concat(tail, new Uint8Array(await readChunk(blob.slice(processed, end))));
+      const base = processed - tail.length;
+
+      findPattern(buf, pattern, (pos) => state.add(base + pos, length));
+
+      // Matches that could start in the last length-1 bytes need the next chunk
+      tail = buf.slice(Math.max(0, buf.length - (length - 1)));
+      processed = end;
+      state.progress(processed);
+      if (state.truncated) break;
+    }
+    return true;
+  }
+
+  async function searchRegex(blob, compiled, options, state) {
+    const chunkSize = Math.max(options.chunkSize ? Math.min(options.chunkSize, REGEX_CHUNK_SIZE) : REGEX_CHUNK_SIZE, REGEX_OVERLAP * 2);
+    const { regex, encoding } = compiled;
+    let carry = new Uint8Array(0);
+    let processed = 0;
+    let lastEnd = 0; // matches may not start inside the previous one
+
+    while (processed < blob.size) {
+      if (options.isCancelled && options.isCancelled()) return false;
+
+      const end = Math.min(processed + chunkSize, blob.size);
+      const final = end === blob.size;
+      const buf = concat(carry, new Uint8Array(await readChunk(blob.slice(processed, end))));
+      const base = processed - carry.length;
+
+      // Starts from here on belong to the next window, which sees more of what follows
+      let owned = final ? buf.length : buf.length - REGEX_OVERLAP;
+      if (encoding === 'utf-16le') owned -= owned & 1;
+      if (encoding === 'utf-8') {
+        while (owned < buf.length && owned > 0 && (buf[owned] & 0xc0) === 0x80) owned++;
+      }
+
+      const { text, offsetOf } = decodeWindow(buf, encoding, final);
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        const start = offsetOf(match.index);
+        if (start >= owned) break;
+
+        const matchEnd = offsetOf(match.index + match[0].length);
+        if (base + start >= lastEnd) {
+          if (!state.add(base + start, matchEnd - start)) break;
+          lastEnd = base + matchEnd;
+        }
+      }
+
+      carry = buf.slice(owned);
+      processed = end;
+      state.progress(processed);
+      if (state.truncated) break;
+    }
+    return true;
+  }
+
+  const HexSearch = {
+    MAX_MATCHES,
+
+    REGEX_OVERLAP,
+
+    /**
+     * Check and prepare a query; throws on an invalid pattern
+     * @param {Object} query - { mode: 'hex'|'text'|'regex', text, encoding: 'utf-8'|'utf-16le'|'ascii', ignoreCase }
+     * @returns {Object} Compiled query for the search functions
+     */
+    compile(query) {
+      if (!query.text) throw new Error('Search query is empty');
+
+      switch (query.mode) {
+        case 'hex': return compileHex(query.text);
+        case 'text': return compileText(query.text, query.encoding, !!query.ignoreCase);
+        case 'regex': return compileRegex(query.text, query.encoding, !!query.ignoreCase);
+        default: throw new Error(`Unknown search mode: ${query.mode}`);
+      }
+    },
+
+    /**
+     * Search a Blob chunk by chunk. Hits are reported in ascending order as each chunk
+     * is searched; overlapping hits of byte patterns are all reported, regex hits don't overlap.
+     * @param {Blob} blob - Data
+     * @param {Object} query - See compile()
+     * @param {Object} options - { chunkSize, onMatches(Array<number> flattened [offset, length, ...]),
+     *   onProgress({processed, total, elapsed}), isCancelled() }
+     * @returns {Promise<{count: number, truncated: boolean}|null>} null when cancelled;
+     *   truncated when the search stopped at MAX_MATCHES
+     */
+    async searchBlob(blob, query, options = {}) {
+      const compiled = this.compile(query);
+      const startTime = now();
+      let batch = [];
+
+      const state = {
+        count: 0,
+        truncated: false,
+        add(offset, length) {
+          if (state.count >= MAX_MATCHES) {
+            state.truncated = true;
+            return false;
+          }
+          state.count++;
+          batch.push(offset, length);
+          return true;
+        },
+        progress(processed) {
+          if (batch.length > 0 && options.onMatches) options.onMatches(batch);
+          batch = [];
+          if (options.onProgress) {
+            options.onProgress({ processed, total: blob.size, elapsed: now() - startTime });
+          }
+        }
+      };
+
+      const completed = compiled.regex
+        ? await searchRegex(blob, compiled, options, state)
+        : await searchPattern(blob, compiled, options, state);
+
+      if (!completed) return null;
+      return { count: state.count, truncated: state.truncated };
+    }
+  };
+
+  // Export to global scope (self is the window or the worker)
+  self.HexSearch = HexSearch;
+
+})();
@@ -0,0 +1,967 @@
+/**
+ * DevTools - HEX Templates
+ * Declarative structure definitions for binary formats: fields with types, endianness,
+ * repeats, length-prefixed sections and switches, applied to bytes to produce a field tree.
+ * Ships templates for PNG, ZIP, GZIP, ELF, BMP, WAV and protobuf. DOM-free.
+ *
+ * A template is plain JSON:
+ *   { "name": "PNG", "magic": "89504E47", "endian": "big", "fields": [ ...field ] }
+ * magic is hex at offset 0, or a list of { "offset": n, "hex": "..." }. A field is
+ *   { "name": "length", "type": "u32" }
+ * with these optional properties, where any number may also be an expression over
+ * earlier fields (see compile()):
+ *   length   bytes/string length; cstring reads up to a NUL instead
+ *   size     fixed size of a struct or switch (a length-prefixed section)
+ *   offset   absolute position to read the field at
+ *   repeat   count, or "eof" to repeat to the end of the enclosing section
+ *   until    with repeat, an expression evaluated after each element (in its scope)
+ *   if       skip the field unless the expression is truthy
+ *   endian   "little", "big" or an expression giving one of them
+ *   fields   struct members
+ *   on, cases, default   switch: the member list whose key equals the value of on
+ *   enum     { "value": "name" } for integers and strings
+ *   format   "hex" or "unixtime" for integers
+ *   encoding "ascii", "utf-8" or "utf-16le" for strings
+ *   label    tree label for structs, e.g. "{type}" or "field {key >> 3}"
+ */
+
+(function() {
+  'use strict';
+
+  // A tree this large is no longer readable; parsing stops there
+  const MAX_NODES = 50000;
+
+  // Integer types: [byte size, signed]
+  const INTEGER_TYPES = {
+    u8: [1, false], u16: [2, false], u32: [4, false], u64: [8, false],
+    i8: [1, true], i16: [2, true], i32: [4, true], i64: [8, true]
+  };
+
+  const TYPES = Object.keys(INTEGER_TYPES).concat(['f32', 'f64', 'varint', 'bytes', 'string', 'cstring', 'struct', 'switch']);
+
+  // Properties that hold expressions (or plain numbers)
+  const EXPRESSION_PROPERTIES = ['length', 'size', 'offset', 'if', 'until', 'on'];
+
+  // Bytes of a bytes field shown in the tree before it is elided
+  const PREVIEW_BYTES = 16;
+
+  const TWO_POW_32 = 4294967296;
+
+  // ============================================
+  // Expressions
+  // ============================================
+
+  // Binary operators, loosest first
+  const PRECEDENCE = [['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+
+  const TOKEN = /\s*(?:(0[xX][0-9a-fA-F]+|\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(==|!=|<=|>=|&&|\|\||<<|>>|[-+*/%()<>!?:&|^~]))/y;
+
+  // Bitwise operators on integers up to 2^53, which JavaScript's 32-bit operators would wrap
+  function bitwise(a, b, op) {
+    const split = (n) => [Math.floor(n / TWO_POW_32), n % TWO_POW_32];
+    const [ah, al] = split(a);
+    const [bh, bl] = split(b);
+    const apply = (x, y) => (op === '&' ? x & y : op === '|' ? x | y : x ^ y) >>> 0;
+    return apply(ah, bh) * TWO_POW_32 + apply(al, bl);
+  }
+
+  const BINARY = {
+    '||': (a, b) => a || b,
+    '&&': (a, b) => a && b,
+    '|': (a, b) => bitwise(a, b, '|'),
+    '^': (a, b) => bitwise(a, b, '^'),
+    '&': (a, b) => bitwise(a, b, '&'),
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '<<': (a, b) => a * Math.pow(2, b),
+    '>>': (a, b) => Math.floor(a / Math.pow(2, b)),
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => {
+      if (b === 0) throw new Error('Division by zero');
+      return Math.floor(a / b);
+    },
+    '%': (a, b) => {
+      if (b === 0) throw new Error('Division by zero');
+      return a % b;
+    }
+  };
+
+  // source -> compiled function, shared by every template
+  const compiled = new Map();
+
+  /**
+   * Compile an expression: integers (decimal or 0x), 'strings', true/false, field names
+   * (dotted paths into structs), _offset, _remaining and _index, the operators above,
+   * unary - ! ~ and a ? b : c. Division is integer division.
+   * @param {string|number} source - Expression
+   * @returns {function(function(string): *): *} Evaluates with a name resolver
+   */
+  function compile(source) {
+    if (typeof source === 'number') return () => source;
+    if (compiled.has(source)) return compiled.get(source);
+
+    const tokens = [];
+    const text = String(source).trim();
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < text.length) {
+      const start = TOKEN.lastIndex;
+      const match = TOKEN.exec(text);
+      if (!match) throw new Error(`Unexpected "${text.slice(start, start + 10)}" in expression "${text}"`);
+      if (match[1]) tokens.push({ kind: 'number', value: match[1].toLowerCase().startsWith('0x') ? parseInt(match[1], 16) : parseInt(match[1], 10) });
+      else if (match[2]) tokens.push({ kind: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+      else if (match[3]) tokens.push({ kind: 'name', value: match[3] });
+      else tokens.push({ kind: 'op', value: match[4] });
+    }
+
+    let i = 0;
+    const peek = (value) => i < tokens.length && tokens[i].kind === 'op' && tokens[i].value === value;
+    const expect = (value) => {
+      if (!peek(value)) throw new Error(`Expected "${value}" in expression "${text}"`);
+      i++;
+    };
+
+    function primary() {
+      const token = tokens[i++];
+      if (!token) throw new Error(`Unexpected end of expression "${text}"`);
+      if (token.kind === 'number' || token.kind === 'string') return () => token.value;
+      if (token.kind === 'name') {
+        if (token.value === 'true') return () => true;
+        if (token.value === 'false') return () => false;
+        return resolve => resolve(token.value);
+      }
+      if (token.value === '(') {
+        const inner = ternary();
+        expect(')');
+        return inner;
+      }
+      if (token.value === '-' || token.value === '!' || token.value === '~') {
+        const operand = primary();
+        if (token.value === '-') return resolve => -operand(resolve);
+        if (token.value === '!') return resolve => !operand(resolve);
+        return resolve => ~operand(resolve);
+      }
+      throw new Error(`Unexpected "${token.value}" in expression "${text}"`);
+    }
+
+    function binary(level) {
+      if (level === PRECEDENCE.length) return primary();
+      let left = binary(level + 1);
+      while (i < tokens.length && tokens[i].kind === 'op' && PRECEDENCE[level].includes(tokens[i].value)) {
+        const apply = BINARY[tokens[i++].value];
+        const l = left;
+        const r = binary(level + 1);
+        left = resolve => apply(l(resolve), r(resolve));
+      }
+      return left;
+    }
+
+    function ternary() {
+      const condition = binary(0);
+      if (!peek('?')) return condition;
+      i++;
+      const whenTrue = ternary();
+      expect(':');
+      const whenFalse = ternary();
+      return resolve => condition(resolve) ? whenTrue(resolve) : whenFalse(resolve);
+    }
+
+    const fn = ternary();
+    if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" in expression "${text}"`);
+    compiled.set(source, fn);
+    return fn;
+  }
+
+  // ============================================
+  // Validation
+  // ============================================
+
+  // enum and cases keys: numbers written in decimal or hex, anything else a string
+  function parseKey(key) {
+    if (/^0[xX][0-9a-fA-F]+$/.test(key)) return parseInt(key, 16);
+    if (/^-?\d+$/.test(key)) return parseInt(key, 10);
+    return key;
+  }
+
+  function validateFields(fields, path) {
+    if (!Array.isArray(fields)) throw new Error(`${path}: fields must be an array`);
+    fields.forEach((field, index) => {
+      const at = `${path}[${index}]${field && field.name ? ` (${field.name})` : ''}`;
+      if (!field || typeof field !== 'object') throw new Error(`${at}: a field must be an object`);
+      if (typeof field.name !== 'string' || field.name === '') throw new Error(`${at}: name is required`);
+      if (!TYPES.includes(field.type)) {
+        throw new Error(`${at}: unknown type "${field.type}", expected one of ${TYPES.join(', ')}`);
+      }
+
+      EXPRESSION_PROPERTIES.forEach((property) => {
+        if (field[property] === undefined) return;
+        try {
+          compile(field[property]);
+        } catch (e) {
+          throw new Error(`${at}.${property}: ${e.message}`);
+        }
+      });
+      if (field.repeat !== undefined && field.repeat !== 'eof') {
+        try {
+          compile(field.repeat);
+        } catch (e) {
+          throw new Error(`${at}.repeat: ${e.message}`);
+        }
+      }
+      if (field.endian !== undefined && field.endian !== 'little' && field.endian !== 'big') {
+        try {
+          compile(field.endian);
+        } catch (e) {
+          throw new Error(`${at}.endian: ${e.message}`);
+        }
+      }
+
+      if ((field.type === 'bytes' || field.type === 'string') && field.length === undefined) {
+        throw new Error(`${at}: ${field.type} needs a length`);
+      }
+      if (field.type === 'struct') validateFields(field.fields, `${at}.fields`);
+      if (field.type === 'switch') {
+        if (field.on === undefined) throw new Error(`${at}: switch needs "on"`);
+        if (!field.cases || typeof field.cases !== 'object') throw new Error(`${at}: switch needs "cases"`);
+        Object.keys(field.cases).forEach(key => validateFields(field.cases[key], `${at}.cases.${key}`));
+        if (field.default !== undefined) validateFields(field.default, `${at}.default`);
+      }
+      if (field.enum !== undefined && (typeof field.enum !== 'object' || Array.isArray(field.enum))) {
+        throw new Error(`${at}: enum must be an object of value: name`);
+      }
+    });
+  }
+
+  function normalizeMagic(magic) {
+    if (magic === undefined) return [];
+    const list = typeof magic === 'string' ? [{ offset: 0, hex: magic }] : magic;
+    if (!Array.isArray(list)) throw new Error('magic must be hex or a list of { offset, hex }');
+    return list.map((entry) => {
+      const hex = String(entry.hex || '').replace(/\s+/g, '');
+      if (!/^([0-9a-fA-F]{2})+$/.test(hex) || !(entry.offset >= 0)) {
+        throw new Error(`Invalid magic entry ${JSON.stringify(entry)}`);
+      }
+      const bytes = hex.match(/../g).map(pair => parseInt(pair, 16));
+      return { offset: entry.offset, bytes };
+    });
+  }
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  // Stops the parse; the tree built so far is kept
+  class TemplateError extends Error {}
+
+  function formatHex(value, bytes) {
+    return '0x' + value.toString(16).toUpperCase().padStart(bytes * 2, '0');
+  }
+
+  function enumName(field, value) {
+    if (!field.enum) return null;
+    const key = Object.keys(field.enum).find(k => parseKey(k) === value);
+    return key === undefined ? null : field.enum[key];
+  }
+
+  function displayValue(field, value, size) {
+    let text;
+    if (typeof value === 'string') {
+      text = JSON.stringify(value);
+    } else if (field.format === 'hex') {
+      text = formatHex(value, size);
+    } else if (field.format === 'unixtime') {
+      const date = new Date(value * 1000);
+      text = isNaN(date.getTime()) ? String(value) : date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    } else {
+      text = String(value);
+    }
+
+    const name = enumName(field, value);
+    return name === null ? text : `${name} (${text})`;
+  }
+
+  function previewBytes(bytes) {
+    const shown = Array.from(bytes.subarray(0, PREVIEW_BYTES), b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+    return bytes.length > PREVIEW_BYTES ? `${shown} …` : shown;
+  }
+
+  function decodeString(bytes, encoding) {
+    if (encoding === 'utf-8' || encoding === 'utf-16le') return new TextDecoder(encoding).decode(bytes);
+    let text = '';
+    for (const b of bytes) text += String.fromCharCode(b);
+    return text;
+  }
+
+  /**
+   * Apply a template; see HexTemplate.apply()
+   */
+  function run(template, bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const nodes = [];
+
+    // Nodes join the tree as soon as they are created, so a failed parse keeps them
+    const createNode = (name, type, start, parent) => {
+      if (nodes.length >= MAX_NODES) throw new TemplateError(`Stopped after ${MAX_NODES.toLocaleString()} fields`);
+      const node = { id: nodes.length, name, type, start, end: start, depth: parent ? parent.depth + 1 : 0, value: undefined, display: '', children: null, color: 0 };
+      nodes.push(node);
+      if (parent) {
+        parent.children = parent.children || [];
+        parent.children.push(node);
+      }
+      return node;
+    };
+
+    // Names resolve against the fields read so far in the current struct, then its parents
+    const evaluate = (expression, ctx, what) => {
+      const resolve = (path) => {
+        if (path === '_offset') return ctx.pos;
+        if (path === '_remaining') return ctx.end - ctx.pos;
+        if (path === '_index') return ctx.index;
+
+        const [first, ...rest] = path.split('.');
+        let node = null;
+        for (let scope = ctx.scope; scope && !node; scope = scope.parent) {
+          node = findChild(scope.node, first);
+        }
+        for (const name of rest) node = node && findChild(node, name);
+        if (!node) throw new TemplateError(`${what}: unknown field "${path}"`);
+        if (node.value === undefined) throw new TemplateError(`${what}: "${path}" has no value`);
+        return node.value;
+      };
+
+      try {
+        return compile(expression)(resolve);
+      } catch (e) {
+        throw e instanceof TemplateError ? e : new TemplateError(`${what}: ${e.message}`);
+      }
+    };
+
+    const need = (ctx, length, what) => {
+      if (!(length >= 0) || !Number.isFinite(length)) {
+        throw new TemplateError(`${what}: invalid length ${length}`);
+      }
+      if (ctx.pos + length > ctx.end) {
+        throw new TemplateError(`${what}: needs ${length} byte${length === 1 ? '' : 's'} at 0x${ctx.pos.toString(16).toUpperCase()}, only ${ctx.end - ctx.pos} left`);
+      }
+    };
+
+    function readFields(fields, ctx, parent) {
+      parent.children = parent.children || [];
+      for (const field of fields) {
+        if (field.if !== undefined && !evaluate(field.if, ctx, `${field.name}.if`)) continue;
+        readField(field, ctx, parent);
+      }
+    }
+
+    function readField(field, ctx, parent) {
+      if (field.offset !== undefined) {
+        const offset = evaluate(field.offset, ctx, `${field.name}.offset`);
+        if (!(offset >= 0) || offset > bytes.length) {
+          throw new TemplateError(`${field.name}: offset ${offset} is outside the data`);
+        }
+        ctx.pos = offset;
+      }
+      if (field.repeat === undefined) return readOne(field, ctx, field.name, parent);
+
+      const array = createNode(field.name, 'array', ctx.pos, parent);
+      array.children = [];
+      const count = field.repeat === 'eof' ? Infinity : evaluate(field.repeat, ctx, `${field.name}.repeat`);
+      try {
+        for (let index = 0; index < count && (field.repeat !== 'eof' || ctx.pos < ctx.end); index++) {
+          const start = ctx.pos;
+          ctx.index = index;
+          const element = readOne(field, ctx, `${field.name}[${index}]`, array);
+          if (field.repeat === 'eof' && ctx.pos === start) {
+            throw new TemplateError(`${field.name}[${index}]: reads no bytes, so repeating to the end would never stop`);
+          }
+          // until sees a struct element's fields, or a single element under the field's name
+          const scope = element.children ? element : { children: [Object.assign({}, element, { name: field.name })] };
+          if (field.until !== undefined &&
+              evaluate(field.until, Object.assign({}, ctx, { scope: { node: scope, parent: ctx.scope } }), `${field.name}.until`)) break;
+        }
+      } finally {
+        array.end = ctx.pos;
+        array.display = `${array.children.length.toLocaleString()} item${array.children.length === 1 ? '' : 's'}`;
+      }
+      return array;
+    }
+
+    function readOne(field, ctx, name, parent) {
+      const endian = field.endian === undefined ? ctx.endian
+        : field.endian === 'little' || field.endian === 'big' ? field.endian
+        : evaluate(field.endian, ctx, `${name}.endian`);
+      if (endian !== 'little' && endian !== 'big') {
+        throw new TemplateError(`${name}: endian is "${endian}", expected "little" or "big"`);
+      }
+      const little = endian === 'little';
+      const node = createNode(name, field.type, ctx.pos, parent);
+      const start = ctx.pos;
+
+      if (INTEGER_TYPES[field.type]) {
+        const [size, signed] = INTEGER_TYPES[field.type];
+        need(ctx, size, name);
+        let value;
+        if (size === 1) value = signed ? view.getInt8(start) : view.getUint8(start);
+        else if (size === 2) value = signed ? view.getInt16(start, little) : view.getUint16(start, little);
+        else if (size === 4) value = signed ? view.getInt32(start, little) : view.getUint32(start, little);
+        else {
+          // Exact up to 2^53; beyond that the value is approximate and shown in hex
+          const lo = view.getUint32(start + (little ? 0 : 4), little);
+          const hi = view.getUint32(start + (little ? 4 : 0), little);
+          value = signed && hi >= 0x80000000 ? (hi - TWO_POW_32) * TWO_POW_32 + lo : hi * TWO_POW_32 + lo;
+          if (!Number.isSafeInteger(value)) {
+            node.display = '0x' + hi.toString(16).toUpperCase().padStart(8, '0') + lo.toString(16).toUpperCase().padStart(8, '0');
+          }
+        }
+        node.value = value;
+        node.display = node.display || displayValue(field, value, size);
+        ctx.pos += size;
+      } else if (field.type === 'f32' || field.type === 'f64') {
+        const size = field.type === 'f32' ? 4 : 8;
+        need(ctx, size, name);
+        node.value = size === 4 ? view.getFloat32(start, little) : view.getFloat64(start, little);
+        node.display = String(node.value);
+        ctx.pos += size;
+      } else if (field.type === 'varint') {
+        // Protobuf/LEB128: 7 bits per byte, least significant first
+        let value = 0;
+        let scale = 1;
+        for (let i = 0; ; i++) {
+          need(ctx, 1, name);
+          if (i === 10) throw new TemplateError(`${name}: varint longer than 10 bytes`);
+          const b = bytes[ctx.pos++];
+          value += (b & 0x7f) * scale;
+          scale *= 128;
+          if (b < 0x80) break;
+        }
+        node.value = value;
+        node.display = displayValue(field, value, 0);
+      } else if (field.type === 'bytes') {
+        const length = evaluate(field.length, ctx, `${name}.length`);
+        need(ctx, length, name);
+        node.display = `${previewBytes(bytes.subarray(start, start + length))} (${length.toLocaleString()} bytes)`;
+        ctx.pos += length;
+      } else if (field.type === 'string' || field.type === 'cstring') {
+        let length;
+        let skip = 0;
+        if (field.type === 'string') {
+          length = evaluate(field.length, ctx, `${name}.length`);
+          need(ctx, length, name);
+        } else {
+          const nul = bytes.indexOf(0, start);
+          if (nul < 0 || nul >= ctx.end) throw new TemplateError(`${name}: no NUL terminator before 0x${ctx.end.toString(16).toUpperCase()}`);
+          length = nul - start;
+          skip = 1;
+        }
+        node.value = decodeString(bytes.subarray(start, start + length), field.encoding || 'ascii');
+        node.display = displayValue(field, node.value, 0);
+        ctx.pos += length + skip;
+      } else {
+        // struct or switch: a nested scope, limited to size bytes when given
+        let fields = field.fields;
+        if (field.type === 'switch') {
+          const value = evaluate(field.on, ctx, `${name}.on`);
+          const key = Object.keys(field.cases).find(k => parseKey(k) === value || k === String(value));
+          fields = key !== undefined ? field.cases[key] : field.default;
+          if (!fields && field.size === undefined) {
+            throw new TemplateError(`${name}: no case for ${typeof value === 'number' ? formatHex(value, 1) : JSON.stringify(value)}`);
+          }
+        }
+
+        let end = ctx.end;
+        if (field.size !== undefined) {
+          const size = evaluate(field.size, ctx, `${name}.size`);
+          need(ctx, size, name);
+          end = start + size;
+        }
+
+        const inner = { pos: start, end, endian, index: ctx.index, scope: { node, parent: ctx.scope } };
+        try {
+          if (fields) readFields(fields, inner, node);
+        } finally {
+          node.end = inner.pos;
+        }
+        ctx.pos = field.size !== undefined ? end : inner.pos;
+        if (!fields || fields.length === 0) {
+          node.type = 'bytes';
+          node.display = `${previewBytes(bytes.subarray(start, ctx.pos))} (${(ctx.pos - start).toLocaleString()} bytes)`;
+        }
+        node.label = field.label ? label(field.label, inner, node).trim() : '';
+      }
+
+      node.end = ctx.pos;
+      return node;
+    }
+
+    // "{type}" shows a field's display value, "{key >> 3}" the result of an expression
+    function label(text, ctx, node) {
+      return text.replace(/\{([^}]+)\}/g, (match, expression) => {
+        const path = expression.trim();
+        if (/^[A-Za-z]\w*(\.[A-Za-z_]\w*)*$/.test(path)) {
+          let found = node;
+          for (const name of path.split('.')) found = found && findChild(found, name);
+          return found ? found.display : '';
+        }
+        try {
+          return String(evaluate(path, ctx, 'label'));
+        } catch (e) {
+          return '?';
+        }
+      });
+    }
+
+    const root = createNode(template.name || 'Template', 'struct', 0, null);
+    root.children = [];
+    const ctx = { pos: 0, end: bytes.length, endian: template.endian || 'little', index: 0, scope: { node: root, parent: null } };
+    let error = null;
+    try {
+      readFields(template.fields, ctx, root);
+    } catch (e) {
+      if (!(e instanceof TemplateError)) throw e;
+      error = e.message;
+    }
+    root.end = root.children.reduce((end, child) => Math.max(end, child.end), ctx.pos);
+
+    // Fields with bytes of their own, coloured in turn so neighbours differ
+    const leaves = nodes.filter(node => !(node.children && node.children.length > 0) && node.end > node.start);
+    leaves.sort((a, b) => a.start - b.start);
+    leaves.forEach((node, index) => {
+      node.color = index % 6;
+    });
+
+    return { name: root.name, root, nodes, leaves, error };
+  }
+
+  function findChild(node, name) {
+    if (!node.children) return null;
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      if (node.children[i].name === name) return node.children[i];
+    }
+    return null;
+  }
+
+  // ============================================
+  // Built-in templates
+  // ============================================
+
+  const ZIP_COMPRESSION = { 0: 'Stored', 8: 'Deflate', 9: 'Deflate64', 12: 'BZIP2', 14: 'LZMA', 93: 'Zstandard', 95: 'XZ' };
+
+  const ELF_ENDIAN = "ident.data == 2 ? 'big' : 'little'";
+
+  // Same name, 4 bytes in 32-bit ELF files and 8 in 64-bit ones
+  const elfWord = (name, extra) => [
+    Object.assign({ name, type: 'u32', if: 'ident.class == 1' }, extra),
+    Object.assign({ name, type: 'u64', if: 'ident.class == 2' }, extra)
+  ];
+
+  const TEMPLATES = [
+    {
+      id: 'png',
+      description: 'PNG image: signature and chunks, with IHDR fields',
+      template: {
+        name: 'PNG',
+        magic: '89504E470D0A1A0A',
+        endian: 'big',
+        fields: [
+          { name: 'signature', type: 'bytes', length: 8 },
+          {
+            name: 'chunks', type: 'struct', repeat: 'eof', label: '{type}', fields: [
+              { name: 'length', type: 'u32' },
+              { name: 'type', type: 'string', length: 4 },
+              {
+                name: 'data', type: 'switch', on: 'type', size: 'length', cases: {
+                  IHDR: [
+                    { name: 'width', type: 'u32' },
+                    { name: 'height', type: 'u32' },
+                    { name: 'bitDepth', type: 'u8' },
+                    { name: 'colorType', type: 'u8', enum: { 0: 'Grayscale', 2: 'RGB', 3: 'Indexed', 4: 'Grayscale + alpha', 6: 'RGBA' } },
+                    { name: 'compression', type: 'u8' },
+                    { name: 'filter', type: 'u8' },
+                    { name: 'interlace', type: 'u8', enum: { 0: 'None', 1: 'Adam7' } }
+                  ],
+                  tEXt: [
+                    { name: 'text', type: 'string', length: 'length', encoding: 'ascii' }
+                  ]
+                }
+              },
+              { name: 'crc', type: 'u32', format: 'hex' }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      id: 'zip',
+      description: 'ZIP archive: local file headers, central directory and its end record',
+      template: {
+        name: 'ZIP',
+        magic: '504B0304',
+        endian: 'little',
+        fields: [
+          {
+            name: 'records', type: 'struct', repeat: 'eof', label: '{signature} {body.fileName}', fields: [
+              {
+                name: 'signature', type: 'u32', format: 'hex', enum: {
+                  '0x04034b50': 'Local file header', '0x02014b50': 'Central directory header',
+                  '0x06054b50': 'End of central directory', '0x08074b50': 'Data descriptor'
+                }
+              },
+              {
+                name: 'body', type: 'switch', on: 'signature', cases: {
+                  '0x04034b50': [
+                    { name: 'version', type: 'u16' },
+                    { name: 'flags', type: 'u16', format: 'hex' },
+                    { name: 'compression', type: 'u16', enum: ZIP_COMPRESSION },
+                    { name: 'modTime', type: 'u16', format: 'hex' },
+                    { name: 'modDate', type: 'u16', format: 'hex' },
+                    { name: 'crc32', type: 'u32', format: 'hex' },
+                    { name: 'compressedSize', type: 'u32' },
+                    { name: 'uncompressedSize', type: 'u32' },
+                    { name: 'fileNameLength', type: 'u16' },
+                    { name: 'extraLength', type: 'u16' },
+                    { name: 'fileName', type: 'string', length: 'fileNameLength', encoding: 'utf-8' },
+                    { name: 'extra', type: 'bytes', length: 'extraLength' },
+                    { name: 'data', type: 'bytes', length: 'compressedSize' }
+                  ],
+                  '0x02014b50': [
+                    { name: 'versionMadeBy', type: 'u16' },
+                    { name: 'versionNeeded', type: 'u16' },
+                    { name: 'flags', type: 'u16', format: 'hex' },
+                    { name: 'compression', type: 'u16', enum: ZIP_COMPRESSION },
+                    { name: 'modTime', type: 'u16', format: 'hex' },
+                    { name: 'modDate', type: 'u16', format: 'hex' },
+                    { name: 'crc32', type: 'u32', format: 'hex' },
+                    { name: 'compressedSize', type: 'u32' },
+                    { name: 'uncompressedSize', type: 'u32' },
+                    { name: 'fileNameLength', type: 'u16' },
+                    { name: 'extraLength', type: 'u16' },
+                    { name: 'commentLength', type: 'u16' },
+                    { name: 'diskStart', type: 'u16' },
+                    { name: 'internalAttributes', type: 'u16', format: 'hex' },
+                    { name: 'externalAttributes', type: 'u32', format: 'hex' },
+                    { name: 'localHeaderOffset', type: 'u32' },
+                    { name: 'fileName', type: 'string', length: 'fileNameLength', encoding: 'utf-8' },
+                    { name: 'extra', type: 'bytes', length: 'extraLength' },
+                    { name: 'comment', type: 'string', length: 'commentLength', encoding: 'utf-8' }
+                  ],
+                  '0x06054b50': [
+                    { name: 'disk', type: 'u16' },
+                    { name: 'centralDirectoryDisk', type: 'u16' },
+                    { name: 'diskEntries', type: 'u16' },
+                    { name: 'totalEntries', type: 'u16' },
+                    { name: 'centralDirectorySize', type: 'u32' },
+                    { name: 'centralDirectoryOffset', type: 'u32' },
+                    { name: 'commentLength', type: 'u16' },
+                    { name: 'comment', type: 'string', length: 'commentLength', encoding: 'utf-8' }
+                  ],
+                  '0x08074b50': [
+                    { name: 'crc32', type: 'u32', format: 'hex' },
+                    { name: 'compressedSize', type: 'u32' },
+                    { name: 'uncompressedSize', type: 'u32' }
+                  ]
+                }
+              }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      id: 'gzip',
+      description: 'GZIP (RFC 1952): header, optional fields, compressed data and trailer',
+      template: {
+        name: 'GZIP',
+        magic: '1F8B',
+        endian: 'little',
+        fields: [
+          { name: 'magic', type: 'bytes', length: 2 },
+          { name: 'compression', type: 'u8', enum: { 8: 'Deflate' } },
+          { name: 'flags', type: 'u8', format: 'hex' },
+          { name: 'mtime', type: 'u32', format: 'unixtime' },
+          { name: 'extraFlags', type: 'u8', enum: { 2: 'Best compression', 4: 'Fastest' } },
+          { name: 'os', type: 'u8', enum: { 0: 'FAT', 3: 'Unix', 7: 'Macintosh', 10: 'NTFS', 11: 'NTFS', 255: 'Unknown' } },
+          { name: 'extraLength', type: 'u16', if: 'flags & 4' },
+          { name: 'extra', type: 'bytes', length: 'extraLength', if: 'flags & 4' },
+          { name: 'fileName', type: 'cstring', encoding: 'utf-8', if: 'flags & 8' },
+          { name: 'comment', type: 'cstring', encoding: 'utf-8', if: 'flags & 16' },
+          { name: 'headerCrc16', type: 'u16', format: 'hex', if: 'flags & 2' },
+          { name: 'data', type: 'bytes', length: '_remaining - 8' },
+          { name: 'crc32', type: 'u32', format: 'hex' },
+          { name: 'size', type: 'u32' }
+        ]
+      }
+    },
+    {
+      id: 'elf',
+      description: 'ELF executable: file, program and section headers (32/64-bit, either byte order)',
+      template: {
+        name: 'ELF',
+        magic: '7F454C46',
+        fields: [
+          {
+            name: 'ident', type: 'struct', fields: [
+              { name: 'magic', type: 'bytes', length: 4 },
+              { name: 'class', type: 'u8', enum: { 1: 'ELF32', 2: 'ELF64' } },
+              { name: 'data', type: 'u8', enum: { 1: 'Little-endian', 2: 'Big-endian' } },
+              { name: 'version', type: 'u8' },
+              { name: 'osabi', type: 'u8', enum: { 0: 'System V', 3: 'Linux', 9: 'FreeBSD' } },
+              { name: 'abiVersion', type: 'u8' },
+              { name: 'padding', type: 'bytes', length: 7 }
+            ]
+          },
+          {
+            name: 'header', type: 'struct', endian: ELF_ENDIAN, fields: [
+              { name: 'type', type: 'u16', enum: { 1: 'Relocatable', 2: 'Executable', 3: 'Shared object', 4: 'Core' } },
+              { name: 'machine', type: 'u16', enum: { 3: 'x86', 8: 'MIPS', 20: 'PowerPC', 21: 'PowerPC64', 40: 'ARM', 62: 'x86-64', 183: 'AArch64', 243: 'RISC-V' } },
+              { name: 'version', type: 'u32' },
+              ...elfWord('entry', { format: 'hex' }),
+              ...elfWord('phoff'),
+              ...elfWord('shoff'),
+              { name: 'flags', type: 'u32', format: 'hex' },
+              { name: 'ehsize', type: 'u16' },
+              { name: 'phentsize', type: 'u16' },
+              { name: 'phnum', type: 'u16' },
+              { name: 'shentsize', type: 'u16' },
+              { name: 'shnum', type: 'u16' },
+              { name: 'shstrndx', type: 'u16' }
+            ]
+          },
+          {
+            name: 'programHeaders', type: 'struct', endian: ELF_ENDIAN, if: 'header.phnum > 0',
+            offset: 'header.phoff', repeat: 'header.phnum', size: 'header.phentsize', label: '{type}', fields: [
+              { name: 'type', type: 'u32', enum: { 0: 'NULL', 1: 'LOAD', 2: 'DYNAMIC', 3: 'INTERP', 4: 'NOTE', 6: 'PHDR', 7: 'TLS', '0x6474e550': 'GNU_EH_FRAME', '0x6474e551': 'GNU_STACK', '0x6474e552': 'GNU_RELRO' } },
+              { name: 'flags', type: 'u32', format: 'hex', if: 'ident.class == 2' },
+              ...elfWord('offset'),
+              ...elfWord('vaddr', { format: 'hex' }),
+              ...elfWord('paddr', { format: 'hex' }),
+              ...elfWord('filesz'),
+              ...elfWord('memsz'),
+              { name: 'flags', type: 'u32', format: 'hex', if: 'ident.class == 1' },
+              ...elfWord('align')
+            ]
+          },
+          {
+            name: 'sectionHeaders', type: 'struct', endian: ELF_ENDIAN, if: 'header.shnum > 0',
+            offset: 'header.shoff', repeat: 'header.shnum', size: 'header.shentsize', label: '{type}', fields: [
+              { name: 'name', type: 'u32' },
+              { name: 'type', type: 'u32', enum: { 0: 'NULL', 1: 'PROGBITS', 2: 'SYMTAB', 3: 'STRTAB', 4: 'RELA', 5: 'HASH', 6: 'DYNAMIC', 7: 'NOTE', 8: 'NOBITS', 9: 'REL', 11: 'DYNSYM' } },
+              ...elfWord('flags', { format: 'hex' }),
+              ...elfWord('addr', { format: 'hex' }),
+              ...elfWord('offset'),
+              ...elfWord('size'),
+              { name: 'link', type: 'u32' },
+              { name: 'info', type: 'u32' },
+              ...elfWord('addralign'),
+              ...elfWord('entsize')
+            ]
+          }
+        ]
+      }
+    },
+    {
+      id: 'bmp',
+      description: 'BMP bitmap: file and info headers, palette and pixel data',
+      template: {
+        name: 'BMP',
+        magic: '424D',
+        endian: 'little',
+        fields: [
+          {
+            name: 'fileHeader', type: 'struct', fields: [
+              { name: 'signature', type: 'string', length: 2 },
+              { name: 'fileSize', type: 'u32' },
+              { name: 'reserved1', type: 'u16' },
+              { name: 'reserved2', type: 'u16' },
+              { name: 'dataOffset', type: 'u32' }
+            ]
+          },
+          {
+            name: 'infoHeader', type: 'struct', fields: [
+              { name: 'headerSize', type: 'u32', enum: { 12: 'BITMAPCOREHEADER', 40: 'BITMAPINFOHEADER', 108: 'BITMAPV4HEADER', 124: 'BITMAPV5HEADER' } },
+              { name: 'width', type: 'i32' },
+              { name: 'height', type: 'i32' },
+              { name: 'planes', type: 'u16' },
+              { name: 'bitCount', type: 'u16' },
+              { name: 'compression', type: 'u32', enum: { 0: 'BI_RGB', 1: 'BI_RLE8', 2: 'BI_RLE4', 3: 'BI_BITFIELDS', 4: 'BI_JPEG', 5: 'BI_PNG' } },
+              { name: 'imageSize', type: 'u32' },
+              { name: 'xPixelsPerMeter', type: 'i32' },
+              { name: 'yPixelsPerMeter', type: 'i32' },
+              { name: 'colorsUsed', type: 'u32' },
+              { name: 'colorsImportant', type: 'u32' },
+              { name: 'extra', type: 'bytes', length: 'headerSize - 40', if: 'headerSize > 40' }
+            ]
+          },
+          {
+            name: 'palette', type: 'struct', if: 'infoHeader.bitCount <= 8',
+            repeat: 'infoHeader.colorsUsed || 1 << infoHeader.bitCount', fields: [
+              { name: 'blue', type: 'u8' },
+              { name: 'green', type: 'u8' },
+              { name: 'red', type: 'u8' },
+              { name: 'reserved', type: 'u8' }
+            ]
+          },
+          { name: 'pixels', type: 'bytes', offset: 'fileHeader.dataOffset', length: '_remaining' }
+        ]
+      }
+    },
+    {
+      id: 'wav',
+      description: 'WAV audio: RIFF header and chunks, with fmt fields',
+      template: {
+        name: 'WAV',
+        magic: [{ offset: 0, hex: '52494646' }, { offset: 8, hex: '57415645' }],
+        endian: 'little',
+        fields: [
+          { name: 'riff', type: 'string', length: 4 },
+          { name: 'size', type: 'u32' },
+          { name: 'wave', type: 'string', length: 4 },
+          {
+            name: 'chunks', type: 'struct', repeat: 'eof', label: '{id}', fields: [
+              { name: 'id', type: 'string', length: 4 },
+              { name: 'size', type: 'u32' },
+              {
+                name: 'data', type: 'switch', on: 'id', size: 'size', cases: {
+                  'fmt ': [
+                    { name: 'audioFormat', type: 'u16', enum: { 1: 'PCM', 3: 'IEEE float', 6: 'A-law', 7: 'µ-law', '0xfffe': 'Extensible' } },
+                    { name: 'channels', type: 'u16' },
+                    { name: 'sampleRate', type: 'u32' },
+                    { name: 'byteRate', type: 'u32' },
+                    { name: 'blockAlign', type: 'u16' },
+                    { name: 'bitsPerSample', type: 'u16' }
+                  ]
+                }
+              },
+              // Chunks are padded to an even length
+              { name: 'padding', type: 'bytes', length: 1, if: 'size % 2 && _remaining > 0' }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      id: 'protobuf',
+      description: 'Protocol Buffers message without a schema: fields by wire type (no magic, pick it by hand)',
+      template: {
+        name: 'Protobuf',
+        endian: 'little',
+        fields: [
+          {
+            name: 'fields', type: 'struct', repeat: 'eof', label: '#{key >> 3} {value.value}', fields: [
+              { name: 'key', type: 'varint' },
+              {
+                name: 'value', type: 'switch', on: 'key & 7', cases: {
+                  0: [{ name: 'value', type: 'varint' }],
+                  1: [{ name: 'value', type: 'u64' }],
+                  2: [
+                    { name: 'length', type: 'varint' },
+                    { name: 'value', type: 'bytes', length: 'length' }
+                  ],
+                  5: [{ name: 'value', type: 'u32' }]
+                }
+              }
+            ]
+          }
+        ]
+      }
+    }
+  ];
+
+  const TEMPLATE_BY_ID = new Map(TEMPLATES.map(entry => [entry.id, entry]));
+
+  const HexTemplate = {
+    MAX_NODES,
+
+    /**
+     * Built-in templates
+     * @returns {Array<{id: string, name: string, description: string, detectable: boolean}>}
+     */
+    list() {
+      return TEMPLATES.map(({ id, description, template }) => ({
+        id, name: template.name, description, detectable: template.magic !== undefined
+      }));
+    },
+
+    /**
+     * A built-in template, as a copy that may be edited
+     * @param {string} id - Template id
+     * @returns {Object}
+     */
+    get(id) {
+      const entry = TEMPLATE_BY_ID.get(id);
+      if (!entry) {
+        throw new Error(`Unknown template: ${id}`);
+      }
+      return JSON.parse(JSON.stringify(entry.template));
+    },
+
+    /**
+     * Pick a built-in template by its magic bytes
+     * @param {Uint8Array} bytes - At least the first few bytes of the data
+     * @returns {string|null} Template id
+     */
+    detect(bytes) {
+      const entry = TEMPLATES.find(({ template }) => template.magic !== undefined &&
+        normalizeMagic(template.magic).every(({ offset, bytes: magic }) =>
+          magic.every((b, i) => bytes[offset + i] === b)));
+      return entry ? entry.id : null;
+    },
+
+    /**
+     * Check a template's shape and expressions
+     * @param {Object} template - Template
+     * @throws {Error} Naming the field at fault
+     */
+    validate(template) {
+      if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        throw new Error('A template must be an object with "fields"');
+      }
+      if (template.endian !== undefined && template.endian !== 'little' && template.endian !== 'big') {
+        throw new Error('endian must be "little" or "big"');
+      }
+      normalizeMagic(template.magic);
+      validateFields(template.fields, 'fields');
+    },
+
+    /**
+     * Read a template written as JSON
+     * @param {string} text - JSON text
+     * @returns {Object} Validated template
+     */
+    parse(text) {
+      let template;
+      try {
+        template = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+      }
+      this.validate(template);
+      return template;
+    },
+
+    /**
+     * Apply a template to bytes. Parsing stops at the first field that doesn't fit
+     * (or after MAX_NODES fields); what was read so far is returned with the error.
+     * @param {Object} template - Template (validated first)
+     * @param {Uint8Array} bytes - Data
+     * @returns {{name: string, root: Object, nodes: Array<Object>, leaves: Array<Object>, error: string|null}}
+     *   nodes are { id, name, type, start, end, depth, value, display, label, children, color },
+     *   end exclusive; id indexes nodes; leaves are the nodes without children that cover
+     *   bytes, by start, with colors 0-5 in turn
+     */
+    apply(template, bytes) {
+      this.validate(template);
+      return run(template, bytes);
+    },
+
+    compile
+  };
+
+  // Export to global scope
+  window.HexTemplate = HexTemplate;
+
+})();
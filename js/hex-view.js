@@ -1,11 +1,270 @@
 /**
  * DevTools - HEX View Component
- * Displays binary data in hexadecimal format with ASCII representation
+ * Displays binary data in hexadecimal format beside a text column (ASCII, Latin-1, UTF-8,
+ * EBCDIC or CP437), with a layout bar whose choices persist.
+ * Virtualized: only the visible rows are rendered, read lazily when the data is a Blob.
  */
 
 (function() {
   'use strict';
 
+  // Resolve the search worker next to this script, whatever page loads it
+  const SCRIPT_BASE = document.currentScript
+    ? document.currentScript.src.replace(/[^/]*$/, '')
+    : '';
+
+  // Bytes read from a Blob at a time; scrolling within a window needs no further reads
+  const BLOB_WINDOW_SIZE = 64 * 1024;
+
+  // Bytes the data inspector interprets from the cursor on (enough for a GUID)
+  const INSPECTOR_BYTES = 16;
+
+  // Largest Blob read into memory to edit it
+  const MAX_EDIT_SIZE = 64 * 1024 * 1024; // 64MB
+
+  // Largest range "Copy as" formats; a dump is about four times the size of its bytes
+  const MAX_COPY_SIZE = 1024 * 1024; // 1MB
+
+  // Structure templates read at most this much of a Blob
+  const MAX_TEMPLATE_SIZE = 16 * 1024 * 1024; // 16MB
+
+  // Enough for every built-in template's magic
+  const DETECT_BYTES = 64;
+
+  // Fields listed under one branch of the structure tree
+  const MAX_TREE_CHILDREN = 1000;
+
+  // Layout choices are shared by every HexView and kept across visits, like the theme
+  const SETTINGS_KEY = 'devtools-hexview';
+
+  const ROW_WIDTHS = [8, 16, 32, 'auto'];
+  const GROUP_SIZES = [1, 2, 4, 8];
+
+  // Auto-fit picks a multiple of 8 bytes in this range
+  const MIN_AUTO_ROW_WIDTH = 8;
+  const MAX_AUTO_ROW_WIDTH = 64;
+
+  // EBCDIC code page 037 from 0x40 on (0x00-0x3F are controls)
+  const EBCDIC_037 = ' \u00a0âäàáãåçñ¢.<(+|&éêëèíîïìß!$*);¬-/ÂÄÀÁÃÅÇÑ¦,%_>?øÉÊËÈÍÎÏÌ`:#@\'="Øabcdefghi«»ðýþ±°jklmnopqrªºæ¸Æ¤µ~stuvwxyz¡¿ÐÝÞ®^£¥·©§¶¼½¾[]¯¨´×{ABCDEFGHI\u00adôöòóõ}JKLMNOPQR¹ûüùúÿ\\÷STUVWXYZ²ÔÖÒÓÕ0123456789³ÛÜÙÚ\u009f';
+
+  // Code page 437 glyphs for 0x00-0x1F and 0x80-0xFF, as DOS displayed them
+  const CP437_LOW = '\u0000☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼';
+  const CP437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
+
+  // Text column decodings; char() maps a byte to its character. UTF-8 is decoded by sequence.
+  const TEXT_CHARSETS = [
+    { id: 'ascii', label: 'ASCII', char: b => b < 0x80 ? String.fromCharCode(b) : '' },
+    { id: 'latin1', label: 'Latin-1', char: b => String.fromCharCode(b) },
+    { id: 'utf-8', label: 'UTF-8', char: b => b < 0x80 ? String.fromCharCode(b) : '' },
+    { id: 'ebcdic', label: 'EBCDIC (037)', char: b => b < 0x40 ? '' : EBCDIC_037[b - 0x40] },
+    { id: 'cp437', label: 'CP437', char: b => b < 0x20 ? CP437_LOW[b] : b === 0x7f ? '⌂' : b < 0x80 ? String.fromCharCode(b) : CP437_HIGH[b - 0x80] }
+  ];
+
+  const CHARSET_BY_ID = new Map(TEXT_CHARSETS.map(charset => [charset.id, charset]));
+
+  // charset id -> Map(character -> byte), built when first typed into
+  const reverseCharsets = new Map();
+
+  // Numbers the views, so cell ids (for aria-activedescendant) are unique on the page
+  let viewCount = 0;
+
+  // FILETIME counts 100 ns intervals from 1601-01-01; this is 1970-01-01 in milliseconds from then
+  const FILETIME_UNIX_EPOCH_MS = 11644473600000;
+
+  /**
+   * Decimal string of a 64-bit integer given as two 32-bit halves, without BigInt
+   * (base 1e7 limbs, 16 bits at a time)
+   */
+  function int64ToString(hi, lo, signed) {
+    let negative = false;
+    if (signed && hi & 0x80000000) {
+      // Two's complement
+      negative = true;
+      hi = ~hi >>> 0;
+      lo = ~lo >>> 0;
+      lo = (lo + 1) >>> 0;
+      if (lo === 0) hi = (hi + 1) >>> 0;
+    }
+
+    const limbs = [0];
+    [hi >>> 16, hi & 0xffff, lo >>> 16, lo & 0xffff].forEach(word => {
+      let carry = word;
+      for (let i = 0; i < limbs.length; i++) {
+        const value = limbs[i] * 65536 + carry;
+        limbs[i] = value % 10000000;
+        carry = Math.floor(value / 10000000);
+      }
+      while (carry > 0) {
+        limbs.push(carry % 10000000);
+        carry = Math.floor(carry / 10000000);
+      }
+    });
+
+    let text = String(limbs[limbs.length - 1]);
+    for (let i = limbs.length - 2; i >= 0; i--) {
+      text += String(limbs[i]).padStart(7, '0');
+    }
+    return (negative ? '-' : '') + text;
+  }
+
+  /**
+   * First index in a sorted array whose key is >= value
+   * @param {number} length - Array length
+   * @param {Function} keyAt - Key of the item at an index; must be non-decreasing
+   * @param {number} value - Value sought
+   * @returns {number} length when every key is smaller
+   */
+  function lowerBound(length, keyAt, value) {
+    let lo = 0;
+    let hi = length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (keyAt(mid) < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function formatDate(ms) {
+    const date = new Date(ms);
+    if (isNaN(date.getTime()) || date.getUTCFullYear() < 1601 || date.getUTCFullYear() > 9999) return 'out of range';
+    return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+  }
+
+  // Control characters and lone surrogates have no visible form
+  function isVisible(codePoint) {
+    return codePoint >= 0x20 && !(codePoint >= 0x7f && codePoint < 0xa0) && !(codePoint >= 0xd800 && codePoint < 0xe000);
+  }
+
+  function formatCodePoint(codePoint) {
+    const hex = 'U+' + codePoint.toString(16).toUpperCase().padStart(4, '0');
+    return isVisible(codePoint) ? `${String.fromCodePoint(codePoint)} ${hex}` : hex;
+  }
+
+  /**
+   * Decode the multi-byte UTF-8 sequence starting at bytes[i]
+   * @returns {{length: number, codePoint: number}|null} null for ASCII, stray or
+   *   truncated bytes, overlong forms and surrogates
+   */
+  function utf8Sequence(bytes, i) {
+    const lead = bytes[i];
+    let length;
+    let codePoint;
+    if (lead >= 0xc2 && lead < 0xe0) {
+      length = 2;
+      codePoint = lead & 0x1f;
+    } else if (lead >= 0xe0 && lead < 0xf0) {
+      length = 3;
+      codePoint = lead & 0x0f;
+    } else if (lead >= 0xf0 && lead < 0xf5) {
+      length = 4;
+      codePoint = lead & 0x07;
+    } else {
+      return null;
+    }
+    if (i + length > bytes.length) return null;
+
+    for (let k = 1; k < length; k++) {
+      const b = bytes[i + k];
+      if ((b & 0xc0) !== 0x80) return null;
+      codePoint = (codePoint << 6) | (b & 0x3f);
+    }
+
+    if ((length === 3 && codePoint < 0x800) || (length === 4 && (codePoint < 0x10000 || codePoint > 0x10ffff)) ||
+      (codePoint >= 0xd800 && codePoint < 0xe000)) {
+      return null;
+    }
+    return { length, codePoint };
+  }
+
+  // Colour class of a byte value in the hex column
+  function byteKind(b) {
+    if (b === 0) return 'byte-null';
+    if (b < 0x20 || b === 0x7f) return 'byte-control';
+    if (b < 0x80) return 'byte-printable';
+    return 'byte-high';
+  }
+
+  function utf8At(bytes) {
+    const lead = bytes[0];
+    const length = lead < 0x80 ? 1 : lead >= 0xc2 && lead < 0xe0 ? 2 : lead >= 0xe0 && lead < 0xf0 ? 3 : lead >= 0xf0 && lead < 0xf5 ? 4 : 0;
+    if (length === 0) return 'invalid';
+    if (bytes.length < length) return 'truncated';
+    try {
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, length));
+      return `${formatCodePoint(text.codePointAt(0))} (${length} byte${length > 1 ? 's' : ''})`;
+    } catch (e) {
+      return 'invalid';
+    }
+  }
+
+  function utf16At(view, littleEndian) {
+    if (view.byteLength < 2) return '';
+    const unit = view.getUint16(0, littleEndian);
+    if (unit >= 0xd800 && unit < 0xdc00 && view.byteLength >= 4) {
+      const low = view.getUint16(2, littleEndian);
+      if (low >= 0xdc00 && low < 0xe000) {
+        return formatCodePoint(0x10000 + ((unit - 0xd800) << 10) + (low - 0xdc00));
+      }
+    }
+    return formatCodePoint(unit);
+  }
+
+  function guidAt(bytes, mixedEndian) {
+    if (bytes.length < 16) return '';
+    // Microsoft GUIDs store the first three fields little-endian; RFC 4122 UUIDs are big-endian
+    const order = mixedEndian
+      ? [3, 2, 1, 0, 5, 4, 7, 6, 8, 9, 10, 11, 12, 13, 14, 15]
+      : [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+    const hex = order.map(i => bytes[i].toString(16).padStart(2, '0')).join('');
+    return `{${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}}`.toUpperCase();
+  }
+
+  /**
+   * Interpret bytes as the data inspector's types
+   * @param {Uint8Array} bytes - Bytes from the cursor on (up to INSPECTOR_BYTES)
+   * @returns {Array<{type: string, le: string, be: string|null}>} be is null when byte order doesn't apply
+   */
+  function inspect(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const has = (n) => bytes.length >= n;
+    const both = (type, n, read) => ({
+      type,
+      le: has(n) ? read(true) : '',
+      be: has(n) ? read(false) : ''
+    });
+    // float32 has ~7 significant digits; don't show the noise of its float64 expansion
+    const float32 = (value) => String(parseFloat(value.toPrecision(9)));
+    const int64 = (littleEndian, signed) => {
+      const hi = view.getUint32(littleEndian ? 4 : 0, littleEndian);
+      const lo = view.getUint32(littleEndian ? 0 : 4, littleEndian);
+      return int64ToString(hi, lo, signed);
+    };
+
+    return [
+      { type: 'binary', le: bytes[0].toString(2).padStart(8, '0'), be: null },
+      { type: 'int8', le: String(view.getInt8(0)), be: null },
+      { type: 'uint8', le: String(bytes[0]), be: null },
+      both('int16', 2, le => String(view.getInt16(0, le))),
+      both('uint16', 2, le => String(view.getUint16(0, le))),
+      both('int32', 4, le => String(view.getInt32(0, le))),
+      both('uint32', 4, le => String(view.getUint32(0, le))),
+      both('int64', 8, le => int64(le, true)),
+      both('uint64', 8, le => int64(le, false)),
+      both('float32', 4, le => float32(view.getFloat32(0, le))),
+      both('float64', 8, le => String(view.getFloat64(0, le))),
+      { type: 'UTF-8', le: utf8At(bytes), be: null },
+      both('UTF-16', 2, le => utf16At(view, le)),
+      both('Unix time (32-bit)', 4, le => formatDate(view.getUint32(0, le) * 1000)),
+      both('FILETIME', 8, le => {
+        const hi = view.getUint32(le ? 4 : 0, le);
+        const lo = view.getUint32(le ? 0 : 4, le);
+        return formatDate((hi * 4294967296 + lo) / 10000 - FILETIME_UNIX_EPOCH_MS);
+      }),
+      both('GUID', 16, le => guidAt(bytes, le))
+    ];
+  }
+
   class HexView {
     /**
      * Create a HexView instance
@@ -25,12 +284,62 @@
         bytesPerRow: options.bytesPerRow || 16,
         showHeader: options.showHeader !== false,
         showAscii: options.showAscii !== false,
-        maxRows: options.maxRows || 100,
+        visibleRows: options.visibleRows || 20,
+        rowHeight: options.rowHeight || 20, // px
+        inspector: options.inspector !== false, // data inspector beside the rows
+        onSelect: options.onSelect || null, // called with getSelection() when the user selects bytes
+        search: options.search !== false, // search bar (hex, text, regex)
+        bookmarks: options.bookmarks !== false, // bookmark button and bar
+        copy: options.copy !== false, // "Copy as" dump or code literal (needs byte-format.js)
+        layout: options.layout !== false, // row width, grouping, offset base, case, text charset, colours
+        templates: options.templates !== false, // structure templates: field tree and coloured fields (needs hex-template.js)
+        workerUrl: options.workerUrl || SCRIPT_BASE + 'hex-search-worker.js',
+        editable: options.editable || false, // Edit button: overwrite, insert and delete bytes
+        onChange: options.onChange || null, // called after every edit, undo and redo
+        downloadName: options.downloadName || 'data.bin', // string, or function returning one
         ...options
       };
 
-      this.data = null;
+      this.data = null; // Uint8Array, or null when showing a Blob
+      this.blob = null;
+      this.size = 0;
+      this.totalRows = 0;
+      this.window = null; // { start, bytes } last slice read from the Blob
+      this.range = null; // { start, end } from highlightRange()
+      this.target = -1; // byte jumped to with goTo()
+      this.selection = null; // { start, end }, end exclusive
+      this.anchor = -1; // fixed end of the selection while extending it
+      this.dragging = false;
       this.highlightedIndex = -1;
+      this.inspectorToken = 0;
+      this.searchState = null; // see find()
+      this.marks = null; // { start, flags } search hits in the rendered rows
+      this.bookmarks = []; // { offset, length, label }, sorted by offset
+      this.copyFormat = 'xxd'; // ByteFormat id last chosen for "Copy as"
+      this.settings = this.loadSettings(); // see setLayout()
+      this.autoBytesPerRow = 0; // last auto-fit width, 0 until measured
+      this.resizeTimer = null;
+      this.templateChoice = 'auto'; // 'auto', 'none', a HexTemplate id or 'custom'
+      this.customTemplate = ''; // JSON text of the custom template
+      this.structure = null; // HexTemplate.apply() result, see updateStructure()
+      this.structureMessage = { text: '', error: false }; // status while there is no structure
+      this.structureMarks = null; // { start, colors } field colours in the rendered rows
+      this.structureToken = 0;
+      this.structureTimer = null;
+      this.editing = false;
+      this.modified = null; // Uint8Array of flags, 1 where a byte was written; kept after editing ends
+      this.modifiedCount = 0;
+      this.originalSize = 0; // size when editing first started
+      this.undoStack = []; // { offset, removed, removedFlags, inserted }
+      this.redoStack = [];
+      this.cursor = -1; // byte the keyboard cursor is on, -1 until there is one; while editing it may be size, to append
+      this.nibble = 0; // 1 after the high nibble of the cursor byte was typed
+      this.insertMode = false;
+      this.column = 'hex'; // column the cursor is in and typing goes to: 'hex' or 'ascii'
+      this.id = `hex-view-${++viewCount}`;
+      this.renderedRow = -1;
+      this.renderToken = 0;
+      this.framePending = false;
 
       this.init();
     }
@@ -40,133 +349,593 @@
      */
     init() {
       this.container.classList.add('hex-view');
+
+      // A drag ends wherever the button is released, even outside the view
+      document.addEventListener('mouseup', () => {
+        this.dragging = false;
+      });
+
+      window.addEventListener('resize', () => {
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.fitRowWidth(), 100);
+      });
+
+      this.applySettings();
       this.render();
     }
 
     /**
      * Set data to display
-     * @param {Uint8Array|ArrayBuffer|string} data - Data to display
+     * @param {Uint8Array|ArrayBuffer|Blob|string} data - Data to display; a Blob (or File)
+     *   is read lazily, a window at a time, so it may be of any size
      */
     setData(data) {
+      this.cancelSearch();
+      this.searchState = null;
+      this.bookmarks = [];
+      this.editing = false;
+      this.modified = null;
+      this.modifiedCount = 0;
+      this.originalSize = 0;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.cursor = -1;
+      this.nibble = 0;
+      this.data = null;
+      this.blob = null;
+      this.window = null;
+
       if (typeof data === 'string') {
         this.data = new TextEncoder().encode(data);
       } else if (data instanceof ArrayBuffer) {
         this.data = new Uint8Array(data);
       } else if (data instanceof Uint8Array) {
         this.data = data;
-      } else {
-        this.data = null;
+      } else if (data instanceof Blob) {
+        this.blob = data;
       }
 
+      this.size = this.data ? this.data.length : this.blob ? this.blob.size : 0;
+      this.range = null;
+      this.target = -1;
+      this.selection = null;
+      this.anchor = -1;
+      this.structure = null;
+      this.structureMessage = { text: '', error: false };
       this.render();
+      this.updateStructure();
     }
 
     /**
      * Clear the display
      */
     clear() {
-      this.data = null;
-      this.render();
+      this.setData(null);
     }
 
     /**
-     * Render the hex view
+     * Render the frame; rows are filled in by renderRows
      */
     render() {
-      if (!this.data || this.data.length === 0) {
+      this.renderToken++;
+      this.renderedRow = -1;
+      this.highlightedIndex = -1;
+
+      const header = (info) => this.options.showHeader ? `
+        <div class="hex-view-header">
+          <span>HEX View</span>
+          ${this.size > 0 ? `
+            <form class="hex-view-goto">
+              <input type="text" class="form-input hex-view-goto-input" placeholder="0x1F or 31"
+                aria-label="Go to offset (hex with 0x prefix, or decimal)" spellcheck="false" autocomplete="off">
+              <button type="submit" class="btn btn-sm btn-secondary">Go</button>
+            </form>
+          ` : ''}
+          <span class="hex-view-info">${info}</span>
+        </div>
+      ` : '';
+
+      if (this.size === 0) {
+        this.totalRows = 0;
+        this.viewport = null;
+        this.searchForm = null;
+        this.bookmarksEl = null;
+        this.editBar = null;
+        this.structureEl = null;
         this.container.innerHTML = `
-          <div class="hex-view-header">
-            <span>HEX View</span>
-            <span>No data</span>
-          </div>
-          <div class="hex-view-content">
-            <p style="color: var(--color-text-muted); text-align: center; padding: 2rem;">
-              No data to display
-            </p>
-          </div>
+          ${header('No data')}
+          <div class="hex-view-empty">No data to display</div>
         `;
         return;
       }
 
-      const totalBytes = this.data.length;
-      const displayBytes = Math.min(totalBytes, this.options.bytesPerRow * this.options.maxRows);
-      const truncated = totalBytes > displayBytes;
+      const { visibleRows, rowHeight } = this.options;
+      this.totalRows = this.countRows();
 
-      let html = '';
+      const rows = Math.min(this.totalRows, visibleRows);
+      const spacerHeight = VirtualScroll.spacerHeight(this.totalRows, rowHeight);
 
-      // Header
-      if (this.options.showHeader) {
-        html += `
-          <div class="hex-view-header">
-            <span>HEX View</span>
-            <span>${this.formatSize(totalBytes)}${truncated ? ' (truncated)' : ''}</span>
+      this.container.innerHTML = `
+        ${header(this.describeSize())}
+        ${this.renderLayoutBar()}
+        ${this.renderEditBar()}
+        ${this.renderToolbar()}
+        <div class="hex-view-body">
+          <div class="hex-view-viewport" style="height: ${rows * rowHeight}px;" tabindex="0" role="grid"
+            aria-label="Bytes" aria-rowcount="${this.totalRows}" aria-multiselectable="true"
+            aria-readonly="${!this.editing}" aria-describedby="${this.id}-help">
+            <div class="hex-view-spacer" style="height: ${spacerHeight}px;" aria-hidden="true"></div>
+            <div class="hex-view-rows" role="rowgroup"></div>
           </div>
-        `;
+          ${this.options.inspector ? '<div class="hex-view-inspector"></div>' : ''}
+        </div>
+        ${this.renderStructurePanel()}
+        <div id="${this.id}-help" hidden>
+          Arrow keys move the cursor, Shift with them extends the selection. Page Up and Page Down
+          move a page, Home and End to the start and end of the row, Ctrl+Home and Ctrl+End to the
+          first and last byte. Tab and Shift+Tab switch between the hex and text columns.
+        </div>
+        <div class="hex-view-live" aria-live="polite"></div>
+      `;
+
+      this.viewport = this.container.querySelector('.hex-view-viewport');
+      this.rowsEl = this.container.querySelector('.hex-view-rows');
+      this.inspectorEl = this.container.querySelector('.hex-view-inspector');
+      this.searchForm = this.container.querySelector('.hex-view-search');
+      this.bookmarksEl = this.container.querySelector('.hex-view-bookmarks');
+      this.editBar = this.container.querySelector('.hex-view-edit');
+      this.structureEl = this.container.querySelector('.hex-view-structure');
+      this.liveEl = this.container.querySelector('.hex-view-live');
+
+      this.bindEvents();
+      this.bindLayoutEvents();
+      this.bindToolbarEvents();
+      this.bindEditEvents();
+      this.bindStructureEvents();
+      this.updateEditBar();
+      this.renderStructure();
+      this.renderRows().then(() => this.fitRowWidth());
+      this.renderInspector();
+      this.renderBookmarks();
+    }
+
+    /**
+     * Search bar, bookmark button and "Copy as" above the rows
+     * @returns {string} HTML string
+     */
+    renderToolbar() {
+      const { search, bookmarks } = this.options;
+      const copy = this.options.copy && window.ByteFormat;
+      if (!search && !bookmarks && !copy) return '';
+
+      return `
+        <form class="hex-view-search">
+          ${search ? `
+            <select class="form-select hex-view-search-mode" aria-label="Search mode">
+              <option value="hex">Hex</option>
+              <option value="text">Text</option>
+              <option value="regex">Regex</option>
+            </select>
+            <select class="form-select hex-view-search-encoding" aria-label="Text encoding" hidden>
+              <option value="utf-8">UTF-8</option>
+              <option value="utf-16le">UTF-16LE</option>
+              <option value="ascii">ASCII</option>
+            </select>
+            <label class="hex-view-search-case" hidden><input type="checkbox"> Ignore case</label>
+            <input type="text" class="form-input hex-view-search-input" placeholder="89 50 ?? 47"
+              aria-label="Search pattern" spellcheck="false" autocomplete="off">
+            <button type="submit" class="btn btn-sm btn-primary">Find</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-action="prev" title="Previous match (Shift+Enter)" aria-label="Previous match" disabled>&#9650;</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-action="next" title="Next match (Enter)" aria-label="Next match" disabled>&#9660;</button>
+            <span class="hex-view-search-status" aria-live="polite"></span>
+          ` : ''}
+          ${bookmarks ? `
+            <button type="button" class="btn btn-sm btn-secondary hex-view-bookmark-add" data-action="bookmark"
+              title="Bookmark the selected bytes" disabled>&#9734; Bookmark</button>
+          ` : ''}
+          ${copy ? `
+            <span class="hex-view-copy">
+              <select class="form-select hex-view-copy-format" aria-label="Copy format">
+                ${ByteFormat.list().map(f => `<option value="${f.id}"${f.id === this.copyFormat ? ' selected' : ''}>${DevTools.Utils.escapeHtml(f.label)}</option>`).join('')}
+              </select>
+              <button type="button" class="btn btn-sm btn-secondary" data-action="copy" title="Copy the selected bytes in this format" disabled>&#128203; Copy</button>
+              <button type="button" class="btn btn-sm btn-secondary" data-action="copy-all" title="Copy all bytes in this format">Copy all</button>
+              <span class="hex-view-copy-status" aria-live="polite"></span>
+            </span>
+          ` : ''}
+        </form>
+        ${bookmarks ? '<div class="hex-view-bookmarks" hidden></div>' : ''}
+      `;
+    }
+
+    /**
+     * Saved layout over the constructor's defaults; unknown or invalid values are ignored
+     * @returns {Object} See setLayout()
+     */
+    loadSettings() {
+      const settings = {
+        rowWidth: this.options.bytesPerRow,
+        group: 1,
+        offsetBase: 'hex',
+        uppercase: true,
+        charset: 'ascii',
+        colors: true
+      };
+
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+      } catch (e) {
+        // Storage unavailable or not ours; keep the defaults
+      }
+      if (saved && typeof saved === 'object') {
+        Object.keys(settings).forEach((key) => {
+          if (this.isValidSetting(key, saved[key])) settings[key] = saved[key];
+        });
+      }
+      return settings;
+    }
+
+    isValidSetting(key, value) {
+      switch (key) {
+        case 'rowWidth': return value === 'auto' || (Number.isInteger(value) && value > 0 && value <= 256);
+        case 'group': return GROUP_SIZES.includes(value);
+        case 'offsetBase': return value === 'hex' || value === 'dec';
+        case 'charset': return CHARSET_BY_ID.has(value);
+        case 'uppercase':
+        case 'colors': return typeof value === 'boolean';
+        default: return false;
       }
+    }
 
-      // Content
-      html += '<div class="hex-view-content">';
+    /**
+     * Change the layout; the choices are saved for every HexView
+     * @param {Object} changes - Any of:
+     *   rowWidth (bytes per row, or 'auto' to fit the width), group (1/2/4/8 bytes),
+     *   offsetBase ('hex' or 'dec'), uppercase (hex digits), charset (text column:
+     *   'ascii', 'latin1', 'utf-8', 'ebcdic' or 'cp437'), colors (colour bytes by class)
+     */
+    setLayout(changes) {
+      Object.keys(changes).forEach((key) => {
+        if (!this.isValidSetting(key, changes[key])) {
+          throw new Error(`Invalid layout setting: ${key} = ${JSON.stringify(changes[key])}`);
+        }
+      });
+      Object.assign(this.settings, changes);
 
-      for (let offset = 0; offset < displayBytes; offset += this.options.bytesPerRow) {
-        const rowBytes = this.data.slice(offset, Math.min(offset + this.options.bytesPerRow, displayBytes));
-        html += this.renderRow(offset, rowBytes);
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+      } catch (e) {
+        // Not persisted, but still applied
       }
 
-      if (truncated) {
-        html += `
-          <div class="hex-row" style="color: var(--color-text-muted); font-style: italic;">
-            ... ${totalBytes - displayBytes} more bytes ...
-          </div>
-        `;
+      this.applySettings().then(() => this.fitRowWidth());
+    }
+
+    /**
+     * Get the current layout
+     * @returns {Object} See setLayout()
+     */
+    getLayout() {
+      return { ...this.settings };
+    }
+
+    /**
+     * Re-render the rows for the current settings, keeping the top byte in view
+     * @returns {Promise<void>}
+     */
+    applySettings() {
+      const { rowWidth, colors } = this.settings;
+      const topByte = this.viewport ? this.getFirstRow() * this.options.bytesPerRow : 0;
+
+      this.options.bytesPerRow = rowWidth === 'auto' ? this.autoBytesPerRow || 16 : rowWidth;
+      this.container.classList.toggle('hex-view-colored', colors);
+      if (!this.viewport) return Promise.resolve();
+
+      this.updateSize();
+      const row = Math.floor(topByte / this.options.bytesPerRow);
+      VirtualScroll.setFirstRow(this.viewport, this.totalRows, this.options.visibleRows, row);
+      return this.renderRows(true);
+    }
+
+    /**
+     * With an 'auto' row width, measure the rendered row and use as many bytes
+     * (a multiple of 8) as fit the viewport
+     */
+    fitRowWidth() {
+      if (this.settings.rowWidth !== 'auto' || !this.viewport) return;
+
+      const row = this.rowsEl.querySelector('.hex-row');
+      const bytes = row && row.querySelectorAll('.hex-bytes > .hex-group > .hex-byte');
+      if (!bytes || bytes.length === 0) return;
+
+      const { bytesPerRow } = this.options;
+      const rowsLeft = this.rowsEl.getBoundingClientRect().left;
+      const first = bytes[0].getBoundingClientRect();
+      const last = bytes[bytes.length - 1].getBoundingClientRect();
+      const perByte = (last.right - first.left) / bytesPerRow;
+      if (!(perByte > 0)) return;
+
+      // Everything but the byte and character cells: offset column, padding and column gaps
+      let perChar = 0;
+      let fixed = first.left - rowsLeft + parseFloat(getComputedStyle(this.rowsEl).paddingRight);
+      const text = row.querySelector('.hex-ascii');
+      if (text) {
+        const char = text.querySelector('.hex-ascii-char');
+        perChar = char ? char.getBoundingClientRect().width : 0;
+        fixed += text.getBoundingClientRect().left - row.querySelector('.hex-bytes').getBoundingClientRect().right;
       }
 
-      html += '</div>';
+      const fit = Math.floor((this.viewport.clientWidth - fixed) / (perByte + perChar) / 8) * 8;
+      const width = Math.min(MAX_AUTO_ROW_WIDTH, Math.max(MIN_AUTO_ROW_WIDTH, fit));
+      if (width !== bytesPerRow) {
+        this.autoBytesPerRow = width;
+        this.applySettings();
+      }
+    }
 
-      this.container.innerHTML = html;
-      this.bindEvents();
+    /**
+     * Row width, grouping, offset base, case, text charset and colour toggle
+     * @returns {string} HTML string
+     */
+    renderLayoutBar() {
+      if (!this.options.layout) return '';
+
+      const { rowWidth, group, offsetBase, uppercase, charset, colors } = this.settings;
+      const option = (value, label, current) =>
+        `<option value="${value}"${String(value) === String(current) ? ' selected' : ''}>${label}</option>`;
+      const widths = ROW_WIDTHS.includes(rowWidth) ? ROW_WIDTHS : ROW_WIDTHS.concat(rowWidth);
+
+      return `
+        <div class="hex-view-layout">
+          <label>Row
+            <select class="form-select" data-setting="rowWidth">
+              ${widths.map(w => option(w, w === 'auto' ? 'Auto-fit' : `${w} bytes`, rowWidth)).join('')}
+            </select>
+          </label>
+          <label>Group
+            <select class="form-select" data-setting="group">
+              ${GROUP_SIZES.map(g => option(g, g, group)).join('')}
+            </select>
+          </label>
+          <label>Offset
+            <select class="form-select" data-setting="offsetBase">
+              ${option('hex', 'Hex', offsetBase)}${option('dec', 'Decimal', offsetBase)}
+            </select>
+          </label>
+          <label>Case
+            <select class="form-select" data-setting="uppercase">
+              ${option('true', 'ABCD', uppercase)}${option('false', 'abcd', uppercase)}
+            </select>
+          </label>
+          <label>Text
+            <select class="form-select" data-setting="charset">
+              ${TEXT_CHARSETS.map(c => option(c.id, c.label, charset)).join('')}
+            </select>
+          </label>
+          <label><input type="checkbox" data-setting="colors"${colors ? ' checked' : ''}> Colors</label>
+        </div>
+      `;
+    }
+
+    /**
+     * Bind the layout bar
+     */
+    bindLayoutEvents() {
+      const bar = this.container.querySelector('.hex-view-layout');
+      if (!bar) return;
+
+      bar.addEventListener('change', (e) => {
+        const key = e.target.dataset.setting;
+        if (!key) return;
+
+        const value = e.target.type === 'checkbox' ? e.target.checked
+          : key === 'uppercase' ? e.target.value === 'true'
+          : key === 'group' || (key === 'rowWidth' && e.target.value !== 'auto') ? parseInt(e.target.value, 10)
+          : e.target.value;
+        this.setLayout({ [key]: value });
+      });
+    }
+
+    /**
+     * Re-render rows on the next animation frame
+     */
+    scheduleRender() {
+      if (this.framePending) return;
+      this.framePending = true;
+
+      requestAnimationFrame(() => {
+        this.framePending = false;
+        this.renderRows();
+      });
+    }
+
+    /**
+     * First row shown for the current scroll position
+     * @returns {number}
+     */
+    getFirstRow() {
+      return VirtualScroll.firstRow(this.viewport, this.totalRows, this.options.visibleRows);
+    }
+
+    /**
+     * Render the visible rows, reading them from the Blob first if needed
+     * @param {boolean} [force=false] - Re-render even if the first row hasn't changed
+     */
+    async renderRows(force = false) {
+      if (!this.viewport) return;
+
+      const firstRow = this.getFirstRow();
+      this.rowsEl.style.top = `${this.viewport.scrollTop}px`;
+      if (firstRow === this.renderedRow && !force) return;
+
+      this.renderedRow = firstRow;
+      const token = ++this.renderToken;
+      const { bytesPerRow, visibleRows, showAscii } = this.options;
+      const start = firstRow * bytesPerRow;
+      // While editing, the row after the last byte may hold only the append cell
+      const rowsEnd = Math.min(this.totalRows * bytesPerRow, start + visibleRows * bytesPerRow);
+      const end = Math.min(this.size, rowsEnd);
+
+      // UTF-8 characters may begin before the first row or end after the last one
+      const utf8 = showAscii && this.settings.charset === 'utf-8';
+      const contextStart = utf8 ? Math.max(0, start - 3) : start;
+      const contextEnd = utf8 ? Math.min(this.size, end + 3) : end;
+
+      let context;
+      try {
+        context = await this.readRange(contextStart, contextEnd);
+      } catch (err) {
+        if (token === this.renderToken) {
+          this.rowsEl.innerHTML = `<div class="hex-view-empty">Could not read data: ${err.message}</div>`;
+        }
+        return;
+      }
+
+      // A newer render (scroll or setData) started while the Blob was read
+      if (token !== this.renderToken) return;
+
+      const bytes = context.subarray(start - contextStart, end - contextStart);
+      const text = showAscii ? this.decodeText(context, contextStart, start, end) : [];
+      this.marks = this.matchMarks(start, end);
+      this.structureMarks = this.fieldColors(start, end);
+      let html = '';
+      for (let offset = start; offset < rowsEnd; offset += bytesPerRow) {
+        html += this.renderRow(
+          offset,
+          bytes.subarray(offset - start, offset - start + bytesPerRow),
+          text.slice(offset - start, offset - start + bytesPerRow)
+        );
+      }
+      this.rowsEl.innerHTML = html;
+      this.updateActiveCell();
+    }
+
+    /**
+     * Characters of the text column for bytes [start, end) in the chosen charset
+     * @param {Uint8Array} bytes - Bytes from base on, covering start to end
+     * @param {number} base - Offset of bytes[0]
+     * @returns {Array<{char: string, continuation: boolean}>} char is '' for bytes
+     *   with no visible character; continuation marks the later bytes of a UTF-8 character
+     */
+    decodeText(bytes, base, start, end) {
+      const cells = new Array(end - start);
+      const set = (index, char, continuation = false) => {
+        if (index >= start && index < end) cells[index - start] = { char, continuation };
+      };
+      const visible = (char) => char && isVisible(char.codePointAt(0)) ? char : '';
+      const charset = CHARSET_BY_ID.get(this.settings.charset);
+
+      if (charset.id !== 'utf-8') {
+        for (let i = start; i < end; i++) set(i, visible(charset.char(bytes[i - base])));
+        return cells;
+      }
+
+      for (let i = 0; i < bytes.length;) {
+        const sequence = utf8Sequence(bytes, i);
+        if (!sequence) {
+          set(base + i, visible(charset.char(bytes[i])));
+          i++;
+          continue;
+        }
+        set(base + i, visible(String.fromCodePoint(sequence.codePoint)));
+        for (let k = 1; k < sequence.length; k++) set(base + i + k, '', true);
+        i += sequence.length;
+      }
+      return cells;
+    }
+
+    /**
+     * Get bytes [start, end) from the array or the Blob window holding them
+     * @param {number} start - First byte
+     * @param {number} end - One past the last byte
+     * @returns {Promise<Uint8Array>}
+     */
+    async readRange(start, end) {
+      if (this.data) return this.data.subarray(start, end);
+
+      const win = this.window;
+      if (win && start >= win.start && end <= win.start + win.bytes.length) {
+        return win.bytes.subarray(start - win.start, end - win.start);
+      }
+
+      // Centre a new window on the request so scrolling either way stays within it
+      const { bytesPerRow } = this.options;
+      const size = Math.max(BLOB_WINDOW_SIZE, end - start);
+      let windowStart = Math.max(0, start - Math.floor((size - (end - start)) / 2));
+      windowStart -= windowStart % bytesPerRow;
+
+      const blob = this.blob;
+      const bytes = await this.readBlob(blob.slice(windowStart, windowStart + size));
+      if (blob === this.blob) this.window = { start: windowStart, bytes };
+      return bytes.subarray(start - windowStart, end - windowStart);
+    }
+
+    /**
+     * Read a Blob slice
+     * @param {Blob} blob - Blob slice
+     * @returns {Promise<Uint8Array>}
+     */
+    readBlob(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+      });
     }
 
     /**
      * Render a single row
      * @param {number} offset - Byte offset
      * @param {Uint8Array} bytes - Row bytes
+     * @param {Array<{char: string, continuation: boolean}>} text - Text column cells, see decodeText()
      * @returns {string} HTML string
      */
-    renderRow(offset, bytes) {
-      // Offset column
-      const offsetHex = offset.toString(16).toUpperCase().padStart(8, '0');
+    renderRow(offset, bytes, text) {
+      const { rowHeight, bytesPerRow } = this.options;
+      const { group, uppercase } = this.settings;
 
-      // Hex bytes column
+      // Hex bytes column, in groups
       let hexHtml = '';
-      for (let i = 0; i < this.options.bytesPerRow; i++) {
-        if (i < bytes.length) {
-          const byte = bytes[i];
-          const hex = byte.toString(16).toUpperCase().padStart(2, '0');
-          hexHtml += `<span class="hex-byte" data-index="${offset + i}">${hex}</span>`;
-        } else {
-          hexHtml += '<span class="hex-byte">&nbsp;&nbsp;</span>';
-        }
-
+      for (let groupStart = 0; groupStart < bytesPerRow; groupStart += group) {
         // Add extra space every 8 bytes
-        if (i === 7) {
+        if (groupStart > 0 && groupStart % 8 === 0) {
           hexHtml += '&nbsp;';
         }
+
+        hexHtml += '<span class="hex-group">';
+        for (let i = groupStart; i < Math.min(groupStart + group, bytesPerRow); i++) {
+          if (i < bytes.length) {
+            const byte = bytes[i];
+            const hex = byte.toString(16).padStart(2, '0');
+            hexHtml += `<span class="hex-byte ${byteKind(byte)}${this.byteClasses(offset + i)}" ${this.cellAttributes(offset + i, '')}>${uppercase ? hex.toUpperCase() : hex}</span>`;
+          } else if (this.editing && offset + i === this.size) {
+            hexHtml += this.renderAppendCell('hex-byte');
+          } else {
+            hexHtml += '<span class="hex-byte">&nbsp;&nbsp;</span>';
+          }
+        }
+        hexHtml += '</span>';
       }
 
-      // ASCII column
+      // Text column
       let asciiHtml = '';
       if (this.options.showAscii) {
         for (let i = 0; i < bytes.length; i++) {
-          const byte = bytes[i];
-          const char = this.byteToAscii(byte);
-          const isPrintable = byte >= 32 && byte <= 126;
-          asciiHtml += `<span class="hex-ascii-char${isPrintable ? '' : ' non-printable'}" data-index="${offset + i}">${char}</span>`;
+          const { char, continuation } = text[i];
+          const kind = continuation ? ' continuation' : char ? '' : ' non-printable';
+          const content = continuation ? '' : char ? DevTools.Utils.escapeHtml(char) : '.';
+          asciiHtml += `<span class="hex-ascii-char${kind}${this.byteClasses(offset + i)}" ${this.cellAttributes(offset + i, 't')}>${content}</span>`;
+        }
+        if (this.editing && offset + bytes.length === this.size && bytes.length < this.options.bytesPerRow) {
+          asciiHtml += this.renderAppendCell('hex-ascii-char');
         }
       }
 
       return `
-        <div class="hex-row">
-          <span class="hex-offset">${offsetHex}</span>
+        <div class="hex-row" role="row" aria-rowindex="${offset / bytesPerRow + 1}" style="height: ${rowHeight}px; line-height: ${rowHeight}px;">
+          <span class="hex-offset" role="rowheader">${this.formatOffset(offset)}</span>
           <span class="hex-bytes">${hexHtml}</span>
           ${this.options.showAscii ? `<span class="hex-ascii">${asciiHtml}</span>` : ''}
         </div>
@@ -174,84 +943,1752 @@
     }
 
     /**
-     * Convert byte to ASCII character
-     * @param {number} byte - Byte value
-     * @returns {string} ASCII character or dot
+     * Grid cell attributes of a byte in the hex ('') or text ('t') column
+     * @param {number} index - Byte offset
+     * @param {string} column - '' or 't', part of the cell id
+     * @returns {string}
      */
-    byteToAscii(byte) {
-      if (byte >= 32 && byte <= 126) {
-        // Escape HTML special characters
-        if (byte === 60) return '&lt;';
-        if (byte === 62) return '&gt;';
-        if (byte === 38) return '&amp;';
-        return String.fromCharCode(byte);
-      }
-      return '.';
+    cellAttributes(index, column) {
+      return `role="gridcell" id="${this.id}-${column}${index}" aria-selected="${this.isSelected(index)}" data-index="${index}"`;
     }
 
     /**
-     * Format file size
-     * @param {number} bytes - Size in bytes
-     * @returns {string} Formatted size
+     * Extra classes for a byte: template field, marked range, search hit, bookmark, selection,
+     * goTo target, hover
+     * @param {number} index - Byte offset
+     * @returns {string} Class list with a leading space, or ''
      */
-    formatSize(bytes) {
-      if (bytes === 0) return '0 Bytes';
-
-      const k = 1024;
-      const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
+    byteClasses(index) {
+      let classes = '';
+      if (this.structureMarks) {
+        const color = this.structureMarks.colors[index - this.structureMarks.start];
+        if (color) classes += ` hex-field-c${color - 1}`;
+      }
+      if (this.range && index >= this.range.start && index < this.range.end) classes += ' range';
+      if (this.marks) {
+        const flag = this.marks.flags[index - this.marks.start];
+        if (flag) classes += flag === 2 ? ' match current-match' : ' match';
+      }
+      if (this.isBookmarked(index)) classes += ' bookmark';
+      if (this.modified && this.modified[index]) classes += ' modified';
+      if (index === this.cursor) classes += ' cursor';
+      if (this.isSelected(index)) classes += ' selected';
+      if (index === this.target) classes += ' target';
+      if (index === this.highlightedIndex) classes += ' highlight';
+      return classes;
+    }
 
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    /**
+     * Offset column text in the chosen base
+     * @param {number} offset - Byte offset
+     * @returns {string}
+     */
+    formatOffset(offset) {
+      if (this.settings.offsetBase === 'dec') return String(offset).padStart(8, '0');
+      const hex = offset.toString(16).padStart(8, '0');
+      return this.settings.uppercase ? hex.toUpperCase() : hex;
     }
 
     /**
-     * Bind hover events for highlighting
+     * Bind scrolling, the go-to-offset box and hover highlighting; hover is
+     * delegated to the rows container, which survives row re-renders
      */
     bindEvents() {
-      const hexBytes = this.container.querySelectorAll('.hex-byte[data-index]');
-      const asciiChars = this.container.querySelectorAll('.hex-ascii-char[data-index]');
+      this.viewport.addEventListener('scroll', () => this.scheduleRender());
+      this.viewport.addEventListener('keydown', e => this.handleKey(e));
+
+      // Tabbing in puts the cursor on the selection, or the first byte
+      this.viewport.addEventListener('focus', () => {
+        if (this.cursor >= 0 || (this.size === 0 && !this.editing)) return;
+        this.cursor = this.selection ? this.selection.start : 0;
+        this.updateSelectionClasses();
+      });
 
       const highlight = (index) => {
-        // Remove previous highlight
-        this.container.querySelectorAll('.highlight').forEach(el => {
+        this.rowsEl.querySelectorAll('.highlight').forEach(el => {
           el.classList.remove('highlight');
         });
 
         if (index >= 0) {
-          // Add highlight to hex byte
-          const hexByte = this.container.querySelector(`.hex-byte[data-index="${index}"]`);
-          if (hexByte) hexByte.classList.add('highlight');
-
-          // Add highlight to ASCII char
-          const asciiChar = this.container.querySelector(`.hex-ascii-char[data-index="${index}"]`);
-          if (asciiChar) asciiChar.classList.add('highlight');
+          this.rowsEl.querySelectorAll(`[data-index="${index}"]`).forEach(el => {
+            el.classList.add('highlight');
+          });
         }
 
         this.highlightedIndex = index;
       };
 
-      hexBytes.forEach(el => {
-        el.addEventListener('mouseenter', () => {
-          highlight(parseInt(el.dataset.index, 10));
-        });
-        el.addEventListener('mouseleave', () => {
-          highlight(-1);
-        });
+      this.rowsEl.addEventListener('mouseover', (e) => {
+        const el = e.target.closest('[data-index]');
+        if (!el) return;
+        const index = parseInt(el.dataset.index, 10);
+        highlight(index);
+        if (this.dragging) this.select(this.anchor, Math.min(index, this.size - 1));
       });
 
-      asciiChars.forEach(el => {
-        el.addEventListener('mouseenter', () => {
-          highlight(parseInt(el.dataset.index, 10));
-        });
-        el.addEventListener('mouseleave', () => {
-          highlight(-1);
+      // Click selects a byte, shift-click extends from the anchor, dragging selects a range;
+      // hex and ASCII cells share data-index, so either column works
+      this.rowsEl.addEventListener('mousedown', (e) => {
+        const el = e.target.closest('[data-index]');
+        if (!el || e.button !== 0) return;
+
+        // Keep the browser from selecting text while dragging; focus the grid instead
+        e.preventDefault();
+        const index = parseInt(el.dataset.index, 10);
+        // The keyboard and typing carry on in the column that was clicked
+        this.column = el.classList.contains('hex-ascii-char') ? 'ascii' : 'hex';
+        this.viewport.focus();
+        if (index >= this.size) {
+          this.moveCursor(this.size);
+          return;
+        }
+        if (!(e.shiftKey && this.selection)) this.anchor = index;
+        this.select(this.anchor, index);
+        this.dragging = true;
+      });
+
+      this.rowsEl.addEventListener('mouseout', (e) => {
+        const el = e.target.closest('[data-index]');
+        if (el && !(e.relatedTarget && el.contains(e.relatedTarget))) highlight(-1);
+      });
+
+      const form = this.container.querySelector('.hex-view-goto');
+      if (form) {
+        const input = form.querySelector('input');
+        input.addEventListener('input', () => input.classList.remove('invalid'));
+        form.addEventListener('submit', (e) => {
+          e.preventDefault();
+          const offset = this.parseOffset(input.value);
+          if (offset === null) {
+            input.classList.add('invalid');
+            input.title = `Enter an offset from 0 to ${this.size - 1} (0x${(this.size - 1).toString(16).toUpperCase()})`;
+            return;
+          }
+          input.title = '';
+          this.goTo(offset);
         });
+      }
+    }
+
+    /**
+     * Parse a go-to-offset entry: "0x1F", "1Fh" or anything with A-F is hex, plain digits decimal
+     * @param {string} text - Entry
+     * @returns {number|null} Offset, or null when invalid or outside the data
+     */
+    parseOffset(text) {
+      const value = text.trim().replace(/[\s_]/g, '');
+      let offset;
+
+      if (/^0x[0-9a-f]+$/i.test(value)) {
+        offset = parseInt(value.slice(2), 16);
+      } else if (/^[0-9a-f]+h$/i.test(value)) {
+        offset = parseInt(value.slice(0, -1), 16);
+      } else if (/^\d+$/.test(value)) {
+        offset = parseInt(value, 10);
+      } else if (/^[0-9a-f]+$/i.test(value)) {
+        offset = parseInt(value, 16);
+      } else {
+        return null;
+      }
+
+      return offset < this.size ? offset : null;
+    }
+
+    /**
+     * Check whether a byte is in the selection
+     * @param {number} index - Byte offset
+     * @returns {boolean}
+     */
+    isSelected(index) {
+      return !!this.selection && index >= this.selection.start && index < this.selection.end;
+    }
+
+    /**
+     * Select from the anchor to another byte (either order) on behalf of the user
+     * @param {number} anchor - Fixed end
+     * @param {number} index - Moving end
+     */
+    select(anchor, index) {
+      const start = Math.min(anchor, index);
+      const end = Math.max(anchor, index) + 1;
+      if (this.selection && this.selection.start === start && this.selection.end === end) return;
+
+      this.selection = { start, end };
+      this.cursor = start;
+      this.nibble = 0;
+      this.updateSelectionClasses();
+      this.updateSelectionButtons();
+      this.renderInspector();
+      this.revealField(start);
+      if (this.options.onSelect) this.options.onSelect(this.getSelection());
+    }
+
+    /**
+     * Mark the selection and cursor on the rendered cells without re-rendering them
+     */
+    updateSelectionClasses() {
+      this.rowsEl.querySelectorAll('[data-index]').forEach(el => {
+        const index = parseInt(el.dataset.index, 10);
+        const selected = this.isSelected(index);
+        el.classList.toggle('selected', selected);
+        el.classList.toggle('cursor', index === this.cursor);
+        el.setAttribute('aria-selected', String(selected));
       });
+      this.updateActiveCell();
+    }
+
+    /**
+     * Point the grid's aria-activedescendant at the cursor cell and label that cell with
+     * its offset, value and character, which is what a screen reader announces
+     */
+    updateActiveCell() {
+      const previous = this.rowsEl.querySelector('.active-cell');
+      if (previous) {
+        previous.classList.remove('active-cell');
+        previous.removeAttribute('aria-label');
+      }
+
+      const column = this.column === 'ascii' && this.options.showAscii ? 't' : '';
+      const cell = this.cursor >= 0 ? this.rowsEl.querySelector(`#${this.id}-${column}${this.cursor}`) : null;
+      if (!cell) {
+        this.viewport.removeAttribute('aria-activedescendant');
+        return;
+      }
+      cell.classList.add('active-cell');
+      cell.setAttribute('aria-label', this.describeCell(this.cursor));
+      this.viewport.setAttribute('aria-activedescendant', cell.id);
+    }
+
+    /**
+     * Spoken description of a rendered byte: offset, value, character and state
+     * @param {number} index - Byte offset, up to size while editing
+     * @returns {string}
+     */
+    describeCell(index) {
+      if (index >= this.size) return 'End of data, type to append';
+
+      const hex = this.rowsEl.querySelector(`#${this.id}-${index}`).textContent.toUpperCase();
+      const charEl = this.rowsEl.querySelector(`#${this.id}-t${index}`);
+      const char = charEl && !charEl.classList.contains('non-printable') && !charEl.classList.contains('continuation')
+        ? charEl.textContent : '';
+
+      let text = `Offset 0x${index.toString(16).toUpperCase()}: 0x${hex} (${parseInt(hex, 16)})`;
+      if (char) text += `, character ${char === ' ' ? 'space' : char}`;
+      if (this.modified && this.modified[index]) text += ', modified';
+      const selection = this.getSelection();
+      if (selection && selection.length > 1 && this.isSelected(index)) {
+        text += `, in selection of ${selection.length.toLocaleString()} bytes`;
+      }
+      return text;
+    }
+
+    /**
+     * Have screen readers read out a message (polite live region)
+     * @param {string} text - Message
+     */
+    announce(text) {
+      if (this.liveEl) this.liveEl.textContent = text;
+    }
+
+    /**
+     * Select a byte range from code (onSelect is not called) and scroll it into view
+     * @param {number} start - First byte
+     * @param {number} end - One past the last byte; end <= start clears the selection
+     */
+    setSelection(start, end) {
+      start = Math.max(0, start);
+      end = Math.min(this.size, end);
+      this.selection = end > start ? { start, end } : null;
+      this.anchor = this.selection ? start : -1;
+      if (this.selection) {
+        this.cursor = start;
+        this.nibble = 0;
+      }
+      if (this.selection) this.scrollToByte(start);
+      this.renderRows(true);
+      this.updateSelectionButtons();
+      this.renderInspector();
+    }
+
+    /**
+     * Get the selected range
+     * @returns {{start: number, end: number, length: number}|null} end is exclusive
+     */
+    getSelection() {
+      if (!this.selection) return null;
+      const { start, end } = this.selection;
+      return { start, end, length: end - start };
+    }
+
+    /**
+     * Show the bytes at the cursor (the start of the selection) as numbers, characters,
+     * timestamps and a GUID, in both byte orders
+     */
+    async renderInspector() {
+      if (!this.inspectorEl) return;
+
+      const token = ++this.inspectorToken;
+      if (!this.selection) {
+        this.inspectorEl.innerHTML = `
+          <div class="hex-view-inspector-title">Data Inspector</div>
+          <div class="hex-view-inspector-empty">Click a byte to inspect it; shift-click or drag to select a range</div>
+        `;
+        return;
+      }
+
+      const { start, end } = this.selection;
+      let bytes;
+      try {
+        bytes = await this.readRange(start, Math.min(this.size, start + INSPECTOR_BYTES));
+      } catch (err) {
+        return;
+      }
+      if (token !== this.inspectorToken) return;
+
+      const length = end - start;
+      const position = `0x${start.toString(16).toUpperCase()}` +
+        (length > 1 ? ` – 0x${(end - 1).toString(16).toUpperCase()} · ${length.toLocaleString()} bytes` : '');
+
+      let rows = '';
+      inspect(bytes).forEach(({ type, le, be }) => {
+        rows += be === null
+          ? `<tr><th>${type}</th><td colspan="2">${DevTools.Utils.escapeHtml(le)}</td></tr>`
+          : `<tr><th>${type}</th><td>${DevTools.Utils.escapeHtml(le)}</td><td>${DevTools.Utils.escapeHtml(be)}</td></tr>`;
+      });
+
+      this.inspectorEl.innerHTML = `
+        <div class="hex-view-inspector-title">Data Inspector <span>${position}</span></div>
+        <table>
+          <thead><tr><th>Type</th><th>Little-endian</th><th>Big-endian</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+
+    /**
+     * Scroll so a byte's row is visible, without moving when it already is
+     * @param {number} index - Byte offset
+     */
+    scrollToByte(index) {
+      if (!this.viewport) return;
+
+      const row = Math.floor(index / this.options.bytesPerRow);
+      VirtualScroll.revealRow(this.viewport, this.totalRows, this.options.visibleRows, row);
+    }
+
+    /**
+     * Scroll to a byte and mark it
+     * @param {number} offset - Byte offset
+     */
+    goTo(offset) {
+      if (offset < 0 || offset >= this.size) return;
+
+      this.target = offset;
+      this.scrollToByte(offset);
+      this.renderRows(true);
+    }
+
+    /**
+     * Mark a byte range (e.g. a structure selected elsewhere on the page) and scroll
+     * its first byte into view
+     * @param {number} start - First byte of the range
+     * @param {number} end - One past the last byte; end <= start clears the range
+     */
+    highlightRange(start, end) {
+      this.range = end > start ? { start, end } : null;
+      if (this.range) this.scrollToByte(start);
+      this.renderRows(true);
+    }
+
+    /**
+     * Bind the search bar and bookmark button
+     */
+    bindToolbarEvents() {
+      const form = this.searchForm;
+      if (!form) return;
+
+      const mode = form.querySelector('.hex-view-search-mode');
+      const input = form.querySelector('.hex-view-search-input');
+
+      if (mode) {
+        const placeholders = {
+          hex: '89 50 ?? 47',
+          text: 'Text',
+          regex: 'Regular expression, e.g. \\d{4}-\\d{2}'
+        };
+        mode.addEventListener('change', () => {
+          const isHex = mode.value === 'hex';
+          form.querySelector('.hex-view-search-encoding').hidden = isHex;
+          form.querySelector('.hex-view-search-case').hidden = isHex;
+          input.placeholder = placeholders[mode.value];
+        });
+
+        // Enter on an unchanged query steps through the hits instead of searching again
+        input.addEventListener('keydown', (e) => {
+          if (e.key !== 'Enter') return;
+          const state = this.searchState;
+          if (state && !state.error && state.key === JSON.stringify(this.readSearchQuery())) {
+            e.preventDefault();
+            if (e.shiftKey) this.prevMatch();
+            else this.nextMatch();
+          }
+        });
+      }
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!input || !input.value) return;
+        // Errors are shown in the status
+        this.find(this.readSearchQuery()).catch(() => {});
+      });
+
+      form.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+          case 'prev':
+            this.prevMatch();
+            break;
+          case 'next':
+            this.nextMatch();
+            break;
+          case 'bookmark':
+            if (this.selection) {
+              this.addBookmark(this.selection.start, this.selection.end - this.selection.start);
+            }
+            break;
+          case 'copy':
+          case 'copy-all': {
+            const { start, end } = button.dataset.action === 'copy' && this.selection
+              ? this.selection
+              : { start: 0, end: this.size };
+            this.copyRange(this.copyFormat, start, end, button);
+            break;
+          }
+        }
+      });
+
+      const copyFormat = form.querySelector('.hex-view-copy-format');
+      if (copyFormat) {
+        copyFormat.addEventListener('change', () => {
+          this.copyFormat = copyFormat.value;
+        });
+      }
+
+      if (this.bookmarksEl) {
+        this.bookmarksEl.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-offset]');
+          if (!button) return;
+
+          const offset = parseInt(button.dataset.offset, 10);
+          if (button.classList.contains('hex-view-bookmark-remove')) {
+            this.removeBookmark(offset);
+          } else {
+            const bookmark = this.bookmarks.find(b => b.offset === offset);
+            if (bookmark) this.setSelection(offset, offset + bookmark.length);
+          }
+        });
+      }
+    }
+
+    /**
+     * Read the search bar
+     * @returns {Object} { mode, text, encoding, ignoreCase }
+     */
+    readSearchQuery() {
+      const form = this.searchForm;
+      const mode = form.querySelector('.hex-view-search-mode').value;
+      return {
+        mode,
+        text: form.querySelector('.hex-view-search-input').value,
+        encoding: form.querySelector('.hex-view-search-encoding').value,
+        ignoreCase: mode !== 'hex' && form.querySelector('.hex-view-search-case input').checked
+      };
+    }
+
+    /**
+     * Search the data in a Web Worker (on the main thread if workers are unavailable),
+     * marking every hit and selecting the first one as soon as it is found
+     * @param {Object} query - { mode: 'hex'|'text'|'regex', text, encoding: 'utf-8'|'utf-16le'|'ascii', ignoreCase }
+     * @returns {Promise<{count: number, truncated: boolean}|null>} null when cancelled by
+     *   another search or setData(); rejects on an invalid query
+     */
+    find(query) {
+      this.cancelSearch();
+
+      const state = {
+        key: JSON.stringify(query),
+        starts: [],
+        lengths: [],
+        current: -1,
+        processed: 0,
+        done: false,
+        truncated: false,
+        error: null,
+        cancelled: false,
+        worker: null,
+        cancel: null
+      };
+      this.searchState = state;
+      this.renderRows(true);
+      this.updateSearchStatus();
+
+      return new Promise((resolve, reject) => {
+        state.cancel = () => resolve(null);
+
+        if (this.size === 0) {
+          resolve({ count: 0, truncated: false });
+          return;
+        }
+
+        // Report a bad pattern right away rather than from the worker
+        if (window.HexSearch) {
+          try {
+            HexSearch.compile(query);
+          } catch (err) {
+            reject(err);
+            return;
+          }
+        }
+
+        const blob = this.blob || new Blob([this.data]);
+        this.runSearchWorker(blob, query, state).then(resolve, reject);
+      }).then((result) => {
+        if (!result || state.cancelled || this.searchState !== state) return null;
+        state.done = true;
+        state.truncated = result.truncated;
+        this.updateSearchStatus();
+        return { count: state.starts.length, truncated: state.truncated };
+      }, (err) => {
+        if (this.searchState === state) {
+          state.done = true;
+          state.error = err.message;
+          this.updateSearchStatus();
+        }
+        throw err;
+      });
+    }
+
+    /**
+     * Run a search in the worker, falling back to the main thread if it can't start
+     * @param {Blob} blob - Data
+     * @param {Object} query - Search query
+     * @param {Object} state - The search this belongs to
+     * @returns {Promise<{count: number, truncated: boolean}>}
+     */
+    runSearchWorker(blob, query, state) {
+      return new Promise((resolve, reject) => {
+        let worker;
+        try {
+          worker = new Worker(this.options.workerUrl);
+        } catch (err) {
+          // Workers are blocked on file:// in some browsers
+          this.searchOnMainThread(blob, query, state).then(resolve, reject);
+          return;
+        }
+
+        state.worker = worker;
+        let started = false;
+
+        const stop = () => {
+          worker.terminate();
+          state.worker = null;
+        };
+
+        worker.onmessage = (e) => {
+          // Ignore messages a cancelled worker sent before it was terminated
+          if (state.cancelled || this.searchState !== state) return;
+
+          const msg = e.data;
+          switch (msg.type) {
+            case 'matches':
+              started = true;
+              this.addMatches(state, msg.matches);
+              break;
+            case 'progress':
+              started = true;
+              state.processed = msg.processed;
+              this.updateSearchStatus();
+              break;
+            case 'done':
+              stop();
+              resolve(msg);
+              break;
+            case 'error':
+              stop();
+              reject(new Error(msg.message));
+              break;
+          }
+        };
+
+        worker.onerror = (e) => {
+          e.preventDefault();
+          if (this.searchState !== state) return;
+          stop();
+
+          if (started) {
+            reject(new Error(e.message || 'Search worker failed'));
+          } else {
+            // Worker script could not load, fall back before any work was lost
+            this.searchOnMainThread(blob, query, state).then(resolve, reject);
+          }
+        };
+
+        worker.postMessage({ blob, query });
+      });
+    }
+
+    /**
+     * Fallback: search chunk by chunk on the main thread
+     * @param {Blob} blob - Data
+     * @param {Object} query - Search query
+     * @param {Object} state - The search this belongs to; it stops once that search is no longer current
+     * @returns {Promise<{count: number, truncated: boolean}|null>}
+     */
+    async searchOnMainThread(blob, query, state) {
+      if (!window.HexSearch) {
+        throw new Error('HexView: hex-search.js is not loaded');
+      }
+
+      return HexSearch.searchBlob(blob, query, {
+        onMatches: (matches) => this.addMatches(state, matches),
+        onProgress: (progress) => {
+          state.processed = progress.processed;
+          this.updateSearchStatus();
+        },
+        isCancelled: () => state.cancelled || this.searchState !== state
+      });
+    }
+
+    /**
+     * Take a batch of hits from the search
+     * @param {Object} state - The search they belong to
+     * @param {Array<number>} matches - Flattened [offset, length, ...], in ascending order
+     */
+    addMatches(state, matches) {
+      if (state.cancelled || this.searchState !== state) return;
+
+      for (let i = 0; i < matches.length; i += 2) {
+        state.starts.push(matches[i]);
+        state.lengths.push(matches[i + 1]);
+      }
+
+      if (state.current === -1 && state.starts.length > 0) {
+        this.goToMatch(0);
+      } else {
+        this.renderRows(true);
+        this.updateSearchStatus();
+      }
+    }
+
+    /**
+     * Stop the running search, if any; its hits stay marked
+     */
+    cancelSearch() {
+      const state = this.searchState;
+      if (!state || state.done) return;
+
+      state.done = true;
+      state.cancelled = true;
+      if (state.worker) {
+        state.worker.terminate();
+        state.worker = null;
+      }
+      if (state.cancel) state.cancel();
+      this.updateSearchStatus();
+    }
+
+    /**
+     * Flag the bytes of [start, end) covered by search hits
+     * @param {number} start - First byte
+     * @param {number} end - One past the last byte
+     * @returns {{start: number, flags: Uint8Array}|null} 1 for a hit, 2 for the current one
+     */
+    matchMarks(start, end) {
+      const state = this.searchState;
+      if (!state || state.starts.length === 0) return null;
+
+      const { starts, lengths, current } = state;
+      const flags = new Uint8Array(end - start);
+      const mark = (i, flag) => {
+        const from = Math.max(start, starts[i]);
+        const to = Math.min(end, starts[i] + lengths[i]);
+        if (to > from) flags.fill(flag, from - start, to - start);
+      };
+
+      // Hit ends never decrease: byte patterns have a fixed length and regex hits don't overlap
+      let i = lowerBound(starts.length, k => starts[k] + lengths[k], start + 1);
+      for (; i < starts.length && starts[i] < end; i++) mark(i, 1);
+      if (current >= 0) mark(current, 2);
+
+      return { start, flags };
+    }
+
+    /**
+     * Select the next hit after the cursor (wrapping around)
+     */
+    nextMatch() {
+      this.stepMatch(1);
+    }
+
+    /**
+     * Select the previous hit before the cursor (wrapping around)
+     */
+    prevMatch() {
+      this.stepMatch(-1);
+    }
+
+    /**
+     * Move to the hit after or before the start of the selection
+     * @param {number} direction - 1 or -1
+     */
+    stepMatch(direction) {
+      const state = this.searchState;
+      if (!state || state.starts.length === 0) return;
+
+      const { starts } = state;
+      const count = starts.length;
+      let index;
+      if (!this.selection) {
+        index = direction > 0 ? 0 : count - 1;
+      } else if (direction > 0) {
+        index = lowerBound(count, k => starts[k], this.selection.start + 1);
+        if (index === count) index = 0;
+      } else {
+        index = lowerBound(count, k => starts[k], this.selection.start) - 1;
+        if (index < 0) index = count - 1;
+      }
+      this.goToMatch(index);
+    }
+
+    /**
+     * Select a hit and scroll to it
+     * @param {number} index - Index of the hit
+     */
+    goToMatch(index) {
+      const state = this.searchState;
+      if (!state || index < 0 || index >= state.starts.length) return;
+
+      state.current = index;
+      this.setSelection(state.starts[index], state.starts[index] + state.lengths[index]);
+      this.updateSearchStatus();
+    }
+
+    /**
+     * Get the hits of the last search
+     * @returns {Array<{offset: number, length: number}>}
+     */
+    getMatches() {
+      const state = this.searchState;
+      if (!state) return [];
+      return state.starts.map((offset, i) => ({ offset, length: state.lengths[i] }));
+    }
+
+    /**
+     * Show progress, the hit count or an error, and enable the navigation buttons
+     */
+    updateSearchStatus() {
+      const form = this.searchForm;
+      const status = form && form.querySelector('.hex-view-search-status');
+      if (!status) return;
+
+      const state = this.searchState;
+      const count = state ? state.starts.length : 0;
+      let text = '';
+
+      if (state && state.error) {
+        text = state.error;
+      } else if (state) {
+        const total = `${count.toLocaleString()}${state.truncated ? '+' : ''}`;
+        if (!state.done) {
+          const percent = this.size > 0 ? Math.floor(state.processed / this.size * 100) : 0;
+          text = `Searching… ${percent}% · ${total} found`;
+        } else if (count === 0) {
+          text = 'No matches';
+        } else {
+          text = `${state.current >= 0 ? (state.current + 1).toLocaleString() : '–'} / ${total}`;
+        }
+      }
+
+      status.textContent = text;
+      status.classList.toggle('error', !!(state && state.error));
+      status.title = state && state.truncated ? `Stopped after ${count.toLocaleString()} matches` : '';
+      form.querySelectorAll('[data-action="prev"], [data-action="next"]').forEach(button => {
+        button.disabled = count === 0;
+      });
+    }
+
+    /**
+     * Bookmark a byte range; a bookmark at the same offset is replaced
+     * @param {number} offset - First byte
+     * @param {number} [length=1] - Bytes covered
+     * @param {string} [label=''] - Shown next to the offset
+     */
+    addBookmark(offset, length = 1, label = '') {
+      if (offset < 0 || offset >= this.size) return;
+
+      length = Math.max(1, Math.min(length, this.size - offset));
+      this.bookmarks = this.bookmarks.filter(b => b.offset !== offset);
+      this.bookmarks.push({ offset, length, label });
+      this.bookmarks.sort((a, b) => a.offset - b.offset);
+      this.renderBookmarks();
+      this.renderRows(true);
+    }
+
+    /**
+     * Remove the bookmark at an offset
+     * @param {number} offset - Bookmarked offset
+     */
+    removeBookmark(offset) {
+      this.bookmarks = this.bookmarks.filter(b => b.offset !== offset);
+      this.renderBookmarks();
+      this.renderRows(true);
+    }
+
+    /**
+     * Get the bookmarks, sorted by offset
+     * @returns {Array<{offset: number, length: number, label: string}>}
+     */
+    getBookmarks() {
+      return this.bookmarks.map(b => ({ ...b }));
+    }
+
+    /**
+     * Check whether a byte is inside a bookmark
+     * @param {number} index - Byte offset
+     * @returns {boolean}
+     */
+    isBookmarked(index) {
+      return this.bookmarks.some(b => index >= b.offset && index < b.offset + b.length);
+    }
+
+    /**
+     * Render the bookmark bar
+     */
+    renderBookmarks() {
+      if (!this.bookmarksEl) return;
+
+      this.bookmarksEl.hidden = this.bookmarks.length === 0;
+      this.bookmarksEl.innerHTML = this.bookmarks.map(({ offset, length, label }) => {
+        const position = `0x${offset.toString(16).toUpperCase()}`;
+        const title = `${position}${length > 1 ? ` · ${length.toLocaleString()} bytes` : ''}`;
+        return `
+          <span class="hex-view-bookmark">
+            <button type="button" data-offset="${offset}" title="${title}">&#9733; ${position}${label ? ` ${DevTools.Utils.escapeHtml(label)}` : ''}</button>
+            <button type="button" class="hex-view-bookmark-remove" data-offset="${offset}" aria-label="Remove bookmark ${position}">&times;</button>
+          </span>
+        `;
+      }).join('');
+    }
+
+    /**
+     * Enable the bookmark and copy buttons while bytes are selected
+     */
+    updateSelectionButtons() {
+      if (!this.searchForm) return;
+      this.searchForm.querySelectorAll('[data-action="bookmark"], [data-action="copy"]').forEach((button) => {
+        button.disabled = !this.selection;
+      });
+    }
+
+    /**
+     * Write a byte range in a dump or code format (see ByteFormat.list()); dumps are
+     * numbered from the range's own offset
+     * @param {string} format - ByteFormat id
+     * @param {number} [start=0] - First byte
+     * @param {number} [end=size] - One past the last byte
+     * @param {Object} [options] - ByteFormat.format() options: name, uppercase
+     * @returns {Promise<string>}
+     */
+    async formatRange(format, start = 0, end = this.size, options = {}) {
+      if (end - start > MAX_COPY_SIZE) {
+        throw new Error(`Ranges over ${DevTools.Utils.formatFileSize(MAX_COPY_SIZE)} can't be copied; select fewer bytes`);
+      }
+      const bytes = await this.readRange(start, end);
+      return ByteFormat.format(format, bytes, { offset: start, ...options });
+    }
+
+    /**
+     * Copy a formatted byte range to the clipboard, reporting errors beside the copy buttons
+     */
+    async copyRange(format, start, end, button) {
+      const status = this.searchForm.querySelector('.hex-view-copy-status');
+      status.textContent = '';
+      try {
+        const text = await this.formatRange(format, start, end);
+        await DevTools.Clipboard.copy(text, button);
+      } catch (e) {
+        status.textContent = e.message;
+      }
+    }
+
+    /**
+     * Template picker, custom JSON editor and field tree below the rows
+     * @returns {string} HTML string
+     */
+    renderStructurePanel() {
+      if (!this.options.templates || !window.HexTemplate) return '';
+
+      const option = (value, label) =>
+        `<option value="${value}"${value === this.templateChoice ? ' selected' : ''}>${DevTools.Utils.escapeHtml(label)}</option>`;
+
+      return `
+        <div class="hex-view-structure">
+          <div class="hex-view-structure-bar">
+            <label>Structure
+              <select class="form-select hex-view-template-select" aria-label="Structure template">
+                ${option('auto', 'Auto-detect')}
+                ${option('none', 'None')}
+                <optgroup label="Templates">
+                  ${HexTemplate.list().map(t => option(t.id, t.name)).join('')}
+                </optgroup>
+                ${option('custom', 'Custom JSON…')}
+              </select>
+            </label>
+            <span class="hex-view-structure-status" aria-live="polite"></span>
+          </div>
+          <div class="hex-view-template-editor"${this.templateChoice === 'custom' ? '' : ' hidden'}>
+            <textarea class="form-textarea hex-view-template-json" rows="8" spellcheck="false" aria-label="Template JSON"
+              placeholder='{"name": "Header", "endian": "little", "fields": [{"name": "magic", "type": "u32", "format": "hex"}]}'>${DevTools.Utils.escapeHtml(this.customTemplate)}</textarea>
+            <button type="button" class="btn btn-sm btn-primary" data-action="apply-template" title="Apply (Ctrl+Enter)">Apply</button>
+          </div>
+          <div class="hex-view-structure-tree" hidden></div>
+        </div>
+      `;
+    }
+
+    /**
+     * Bind the template picker, the custom JSON editor and the field tree
+     */
+    bindStructureEvents() {
+      if (!this.structureEl) return;
+
+      const select = this.structureEl.querySelector('.hex-view-template-select');
+      const editor = this.structureEl.querySelector('.hex-view-template-editor');
+      const json = this.structureEl.querySelector('.hex-view-template-json');
+      const tree = this.structureEl.querySelector('.hex-view-structure-tree');
+
+      select.addEventListener('change', () => {
+        this.templateChoice = select.value;
+        editor.hidden = select.value !== 'custom';
+
+        // Start a custom template from the one shown, ready to be adapted
+        if (select.value === 'custom' && !json.value.trim() && this.structure) {
+          json.value = JSON.stringify(this.structure.template, null, 2);
+        }
+        this.customTemplate = json.value;
+        this.updateStructure();
+      });
+
+      const apply = () => {
+        this.customTemplate = json.value;
+        this.updateStructure();
+      };
+      editor.querySelector('[data-action="apply-template"]').addEventListener('click', apply);
+      json.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          apply();
+        }
+      });
+
+      // Branches past the first levels are filled in when first opened; toggle doesn't bubble
+      tree.addEventListener('toggle', (e) => {
+        if (e.target.open) this.fillField(e.target);
+      }, true);
+
+      // Selecting a field selects its bytes; a second click on a selected branch folds it
+      tree.addEventListener('click', (e) => {
+        const el = e.target.closest('.hex-view-field');
+        if (!el || !this.structure) return;
+
+        if (el.classList.contains('active')) return;
+        const node = this.structure.nodes[parseInt(el.dataset.node, 10)];
+
+        e.preventDefault();
+        this.markField(el);
+        if (node.end > node.start) {
+          this.setSelection(node.start, node.end);
+        } else {
+          this.scrollToByte(Math.min(node.start, this.size - 1));
+          this.renderRows(true);
+        }
+      });
+    }
+
+    /**
+     * Apply a structure template
+     * @param {string|Object} template - 'auto' to pick one by magic bytes, 'none', a
+     *   HexTemplate.list() id, or a custom template as an object or JSON text
+     * @returns {Promise<void>} Resolves once the field tree is shown
+     */
+    setTemplate(template) {
+      if (template === 'auto' || template === 'none' || HexTemplate.list().some(t => t.id === template)) {
+        this.templateChoice = template;
+      } else {
+        this.templateChoice = 'custom';
+        this.customTemplate = typeof template === 'string' ? template : JSON.stringify(template, null, 2);
+      }
+
+      if (this.structureEl) {
+        this.structureEl.querySelector('.hex-view-template-select').value = this.templateChoice;
+        this.structureEl.querySelector('.hex-view-template-editor').hidden = this.templateChoice !== 'custom';
+        this.structureEl.querySelector('.hex-view-template-json').value = this.customTemplate;
+      }
+      return this.updateStructure();
+    }
+
+    /**
+     * Get the applied template's fields
+     * @returns {Object|null} HexTemplate.apply() result plus template (the template applied)
+     *   and partial (true when only the first MAX_TEMPLATE_SIZE bytes were read), or null
+     */
+    getStructure() {
+      return this.structure;
+    }
+
+    /**
+     * Re-apply the template shortly after the last of a run of edits
+     */
+    scheduleStructure() {
+      if (!this.structureEl) return;
+      clearTimeout(this.structureTimer);
+      this.structureTimer = setTimeout(() => this.updateStructure(), 300);
+    }
+
+    /**
+     * Pick the template for the current choice and apply it to the data
+     */
+    async updateStructure() {
+      clearTimeout(this.structureTimer);
+      const token = ++this.structureToken;
+      if (!this.structureEl) return;
+
+      let structure = null;
+      let message = { text: '', error: false };
+      try {
+        let template = null;
+        if (this.templateChoice === 'custom') {
+          if (this.customTemplate.trim()) template = HexTemplate.parse(this.customTemplate);
+          else message.text = 'Paste a JSON template and press Apply';
+        } else if (this.templateChoice === 'auto') {
+          const id = HexTemplate.detect(await this.readRange(0, Math.min(this.size, DETECT_BYTES)));
+          if (id) template = HexTemplate.get(id);
+          else message.text = 'No known format detected';
+        } else if (this.templateChoice !== 'none') {
+          template = HexTemplate.get(this.templateChoice);
+        }
+
+        if (template) {
+          const bytes = await this.readRange(0, Math.min(this.size, MAX_TEMPLATE_SIZE));
+          if (token !== this.structureToken) return;
+          structure = HexTemplate.apply(template, bytes);
+          structure.template = template;
+          structure.partial = bytes.length < this.size;
+        }
+      } catch (e) {
+        message = { text: e.message, error: true };
+      }
+
+      // A newer choice, edit or setData() came in while the Blob was read
+      if (token !== this.structureToken) return;
+      this.structure = structure;
+      this.structureMessage = message;
+      this.renderStructure();
+      this.renderRows(true);
+    }
+
+    /**
+     * Show the template's status and its field tree
+     */
+    renderStructure() {
+      if (!this.structureEl) return;
+
+      const status = this.structureEl.querySelector('.hex-view-structure-status');
+      const tree = this.structureEl.querySelector('.hex-view-structure-tree');
+      const structure = this.structure;
+
+      if (!structure) {
+        status.textContent = this.structureMessage.text;
+        status.classList.toggle('error', this.structureMessage.error);
+        tree.hidden = true;
+        tree.innerHTML = '';
+        return;
+      }
+
+      const count = structure.nodes.length - 1;
+      let text = `${structure.name}${this.templateChoice === 'auto' ? ' (detected)' : ''} · ${count.toLocaleString()} field${count === 1 ? '' : 's'}`;
+      if (structure.error) {
+        text += ` · stopped: ${structure.error}`;
+        if (structure.partial) text += ` (only the first ${DevTools.Utils.formatFileSize(MAX_TEMPLATE_SIZE)} are read)`;
+      }
+      status.textContent = text;
+      status.classList.toggle('error', !!structure.error);
+
+      tree.hidden = false;
+      tree.innerHTML = this.renderFieldChildren(structure.root) || '<div class="hex-view-field-more">No fields</div>';
+    }
+
+    /**
+     * Tree markup for a field; branches below the second level start closed and empty
+     * @param {Object} node - HexTemplate node
+     * @returns {string} HTML string
+     */
+    renderField(node) {
+      const length = node.end - node.start;
+      const meta = `${node.type} @0x${node.start.toString(16).toUpperCase()} · ${length.toLocaleString()} byte${length === 1 ? '' : 's'}`;
+      const swatch = node.children && node.children.length > 0 ? ''
+        : `<span class="hex-view-field-swatch hex-field-c${node.color}"></span>`;
+      const label = `${swatch}<span class="hex-view-field-name">${DevTools.Utils.escapeHtml(node.name)}</span>` +
+        (node.label ? ` <span class="hex-view-field-label">${DevTools.Utils.escapeHtml(node.label)}</span>` : '') +
+        (node.display ? ` <span class="hex-view-field-value">${DevTools.Utils.escapeHtml(node.display)}</span>` : '') +
+        ` <span class="hex-view-field-meta">${meta}</span>`;
+
+      if (!node.children || node.children.length === 0) {
+        return `<div class="hex-view-field" data-node="${node.id}">${label}</div>`;
+      }
+
+      const open = node.depth < 2;
+      return `<details data-node="${node.id}"${open ? ' open' : ''}><summary class="hex-view-field" data-node="${node.id}">${label}</summary>` +
+        `<div class="hex-view-field-children">${open ? this.renderFieldChildren(node) : ''}</div></details>`;
+    }
+
+    /**
+     * Tree markup for a field's children, the first MAX_TREE_CHILDREN of them
+     * @param {Object} node - HexTemplate node
+     * @returns {string} HTML string
+     */
+    renderFieldChildren(node) {
+      const children = node.children || [];
+      let html = children.slice(0, MAX_TREE_CHILDREN).map(child => this.renderField(child)).join('');
+      if (children.length > MAX_TREE_CHILDREN) {
+        html += `<div class="hex-view-field-more">… ${(children.length - MAX_TREE_CHILDREN).toLocaleString()} more</div>`;
+      }
+      return html;
+    }
+
+    /**
+     * Render a closed branch's children the first time it opens
+     * @param {HTMLDetailsElement} details - Branch
+     */
+    fillField(details) {
+      const children = details.querySelector('.hex-view-field-children');
+      if (!children || children.hasChildNodes()) return;
+      children.innerHTML = this.renderFieldChildren(this.structure.nodes[parseInt(details.dataset.node, 10)]);
+    }
+
+    /**
+     * Mark one tree field as the selected one
+     * @param {HTMLElement} el - .hex-view-field element
+     */
+    markField(el) {
+      this.structureEl.querySelectorAll('.hex-view-field.active').forEach(active => active.classList.remove('active'));
+      el.classList.add('active');
+    }
+
+    /**
+     * Mark the innermost field holding a byte in the tree, opening its branches
+     * @param {number} index - Byte offset
+     */
+    revealField(index) {
+      if (!this.structureEl || !this.structure) return;
+
+      const tree = this.structureEl.querySelector('.hex-view-structure-tree');
+      let el = null;
+      for (let node = this.structure.root; node.children;) {
+        // Later siblings win, as fields read at an offset may overlap earlier ones
+        let child = null;
+        for (let i = node.children.length - 1; i >= 0 && !child; i--) {
+          if (index >= node.children[i].start && index < node.children[i].end) child = node.children[i];
+        }
+        const childEl = child && tree.querySelector(`.hex-view-field[data-node="${child.id}"]`);
+        if (!childEl) break;
+
+        el = childEl;
+        node = child;
+        if (el.parentElement.tagName === 'DETAILS' && node.children) {
+          this.fillField(el.parentElement);
+        }
+      }
+      if (!el) return;
+
+      for (let details = el.parentElement.closest('details'); details; details = details.parentElement.closest('details')) {
+        if (details.firstElementChild !== el) details.open = true;
+      }
+      this.markField(el);
+      el.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Colours of the template's fields over a byte range
+     * @param {number} start - First byte
+     * @param {number} end - One past the last byte
+     * @returns {{start: number, colors: Uint8Array}|null} colour + 1 per byte, 0 outside fields
+     */
+    fieldColors(start, end) {
+      const structure = this.structure;
+      if (!structure || structure.leaves.length === 0) return null;
+
+      const { leaves } = structure;
+      const colors = new Uint8Array(end - start);
+      // Leaves are ordered by start and, unless a template reads at offsets that overlap, by end
+      for (let i = lowerBound(leaves.length, k => leaves[k].end, start + 1); i < leaves.length && leaves[i].start < end; i++) {
+        const from = Math.max(start, leaves[i].start);
+        const to = Math.min(end, leaves[i].end);
+        if (to > from) colors.fill(leaves[i].color + 1, from - start, to - start);
+      }
+      return { start, colors };
+    }
+
+    /**
+     * Rows needed for the data; while editing, an append cell follows the last byte
+     * @returns {number}
+     */
+    countRows() {
+      return Math.ceil((this.size + (this.editing ? 1 : 0)) / this.options.bytesPerRow);
+    }
+
+    /**
+     * Size and row count for the header
+     * @returns {string}
+     */
+    describeSize() {
+      return `${DevTools.Utils.formatFileSize(this.size)} · ${Math.ceil(this.size / this.options.bytesPerRow).toLocaleString()} rows`;
+    }
+
+    /**
+     * Empty cell after the last byte; typing there appends
+     * @param {string} cellClass - 'hex-byte' or 'hex-ascii-char'
+     * @returns {string} HTML string
+     */
+    renderAppendCell(cellClass) {
+      const cursor = this.cursor === this.size ? ' cursor' : '';
+      const hex = cellClass === 'hex-byte';
+      return `<span class="${cellClass} append${cursor}" ${this.cellAttributes(this.size, hex ? '' : 't')} title="Type to append">${hex ? '&nbsp;&nbsp;' : '&nbsp;'}</span>`;
+    }
+
+    /**
+     * Edit toggle, undo/redo, insert/overwrite switch and download
+     * @returns {string} HTML string
+     */
+    renderEditBar() {
+      if (!this.options.editable) return '';
+
+      return `
+        <div class="hex-view-edit">
+          <button type="button" class="btn btn-sm btn-secondary" data-edit="toggle" aria-pressed="false">&#9998; Edit</button>
+          <span class="hex-view-edit-tools" hidden>
+            <button type="button" class="btn btn-sm btn-secondary" data-edit="undo" title="Undo (Ctrl+Z)">&#8630; Undo</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-edit="redo" title="Redo (Ctrl+Y)">&#8631; Redo</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-edit="mode" title="Insert or overwrite (Insert key)">Overwrite</button>
+            <button type="button" class="btn btn-sm btn-secondary" data-edit="download">&#11015; Download</button>
+          </span>
+          <span class="hex-view-edit-status" aria-live="polite"></span>
+        </div>
+      `;
+    }
+
+    /**
+     * Bind the edit bar and typing into the rows
+     */
+    bindEditEvents() {
+      if (!this.editBar) return;
+
+      this.editBar.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-edit]');
+        if (!button) return;
+
+        switch (button.dataset.edit) {
+          case 'toggle':
+            this.setEditing(!this.editing).catch((err) => {
+              this.editBar.querySelector('.hex-view-edit-status').textContent = err.message;
+            });
+            break;
+          case 'undo':
+            this.undo();
+            break;
+          case 'redo':
+            this.redo();
+            break;
+          case 'mode':
+            this.insertMode = !this.insertMode;
+            this.nibble = 0;
+            this.updateEditBar();
+            break;
+          case 'download':
+            this.download();
+            break;
+        }
+      });
+
+      // Ctrl+V: hex, a dump or a code literal, read back with ByteFormat
+      this.viewport.addEventListener('paste', (e) => {
+        if (!this.editing || !window.ByteFormat) return;
+        e.preventDefault();
+
+        const status = this.editBar.querySelector('.hex-view-edit-status');
+        try {
+          const { bytes, format } = this.paste(e.clipboardData.getData('text'));
+          const label = ByteFormat.list().find(f => f.id === format).label;
+          status.textContent = `Pasted ${bytes.length.toLocaleString()} byte${bytes.length === 1 ? '' : 's'} (${label})`;
+        } catch (err) {
+          status.textContent = err.message;
+        }
+      });
+    }
+
+    /**
+     * Reflect the edit state in the edit bar
+     */
+    updateEditBar() {
+      if (!this.editBar) return;
+
+      const toggle = this.editBar.querySelector('[data-edit="toggle"]');
+      toggle.setAttribute('aria-pressed', String(this.editing));
+      toggle.classList.toggle('active', this.editing);
+      this.editBar.querySelector('.hex-view-edit-tools').hidden = !this.editing && !this.isModified();
+      this.editBar.querySelector('[data-edit="undo"]').disabled = !this.editing || this.undoStack.length === 0;
+      this.editBar.querySelector('[data-edit="redo"]').disabled = !this.editing || this.redoStack.length === 0;
+      const mode = this.editBar.querySelector('[data-edit="mode"]');
+      mode.textContent = this.insertMode ? 'Insert' : 'Overwrite';
+      mode.disabled = !this.editing;
+      // Removed bytes leave no flag behind, so a delete-only edit is told by the size
+      const removed = this.originalSize - this.size;
+      this.editBar.querySelector('.hex-view-edit-status').textContent = this.modifiedCount > 0
+        ? `${this.modifiedCount.toLocaleString()} byte${this.modifiedCount > 1 ? 's' : ''} modified`
+        : this.isModified() && removed > 0 ? `${removed.toLocaleString()} byte${removed > 1 ? 's' : ''} removed`
+          : this.editing ? 'Type hex or text at the cursor; Delete and Backspace remove bytes' : '';
+    }
+
+    /**
+     * Start or stop editing. A Blob is read into memory first (up to 64MB); an array
+     * passed to setData() is copied, so the caller's bytes are never changed.
+     * @param {boolean} editing - Whether to edit
+     * @returns {Promise<void>}
+     */
+    async setEditing(editing) {
+      if (editing === this.editing || (editing && this.size === 0)) return;
+
+      if (editing && !this.modified) {
+        if (this.blob) {
+          if (this.size > MAX_EDIT_SIZE) {
+            throw new Error(`Data over ${DevTools.Utils.formatFileSize(MAX_EDIT_SIZE)} can't be edited`);
+          }
+          const blob = this.blob;
+          const bytes = await this.readBlob(blob);
+          if (blob !== this.blob) return;
+          this.data = bytes;
+          this.blob = null;
+          this.window = null;
+        } else {
+          this.data = this.data.slice();
+        }
+        this.modified = new Uint8Array(this.size);
+        this.originalSize = this.size;
+      }
+
+      this.editing = editing;
+      this.nibble = 0;
+      // Off the append cell when editing ends
+      this.cursor = editing ? (this.selection ? this.selection.start : 0) : Math.min(this.cursor, this.size - 1);
+      if (editing && !this.selection) this.setSelection(0, 1);
+      this.container.classList.toggle('hex-view-editing', editing);
+      this.viewport.setAttribute('aria-readonly', String(!editing));
+      this.updateSize();
+      this.updateEditBar();
+      if (editing) this.viewport.focus();
+    }
+
+    /**
+     * Check whether the view is in edit mode
+     * @returns {boolean}
+     */
+    isEditing() {
+      return this.editing;
+    }
+
+    /**
+     * Keys on the grid: arrows, Page Up/Down, Home/End (Ctrl for the whole data) move the
+     * cursor, with Shift to extend the selection; Tab and Shift+Tab switch between the hex and
+     * text columns (and leave the grid past them); Escape shrinks the selection to the cursor.
+     * Anything else goes to handleEditKey() while editing.
+     * @param {KeyboardEvent} e - keydown event
+     */
+    handleKey(e) {
+      // With every byte deleted, the append cell still takes input while editing
+      if ((this.size === 0 && !this.editing) || e.altKey) return;
+
+      const { bytesPerRow, visibleRows, showAscii } = this.options;
+      const ctrl = e.ctrlKey || e.metaKey;
+      // While editing, the append cell after the last byte can take the cursor
+      const last = this.editing ? this.size : this.size - 1;
+      const cursor = Math.max(0, this.cursor);
+      const rowStart = cursor - cursor % bytesPerRow;
+      const page = bytesPerRow * visibleRows;
+      let target;
+
+      switch (e.key) {
+        case 'ArrowLeft': target = cursor - 1; break;
+        case 'ArrowRight': target = cursor + 1; break;
+        case 'ArrowUp': target = cursor - bytesPerRow; break;
+        case 'ArrowDown': target = cursor + bytesPerRow; break;
+        case 'PageUp': target = cursor >= page ? cursor - page : cursor % bytesPerRow; break;
+        case 'PageDown': target = Math.min(last, cursor + page); break;
+        case 'Home': target = ctrl ? 0 : rowStart; break;
+        case 'End': target = ctrl ? last : Math.min(last, rowStart + bytesPerRow - 1); break;
+        case 'Tab': {
+          const column = e.shiftKey ? 'hex' : 'ascii';
+          if (!showAscii || this.column === column) return;
+          e.preventDefault();
+          this.column = column;
+          this.nibble = 0;
+          this.updateActiveCell();
+          this.announce(column === 'hex' ? 'Hex column' : 'Text column');
+          return;
+        }
+        case 'Escape':
+          if (!this.selection || this.selection.end - this.selection.start <= 1 || this.cursor < 0) return;
+          e.preventDefault();
+          this.moveCursor(this.cursor);
+          return;
+        default:
+          if (this.editing) this.handleEditKey(e);
+          return;
+      }
+
+      e.preventDefault();
+      // Up from the first row or down from the last stays put
+      if (target < 0 || target > last) return;
+
+      this.moveCursor(target, e.shiftKey);
+      const selection = this.getSelection();
+      if (selection) {
+        if (e.shiftKey) this.announce(`${selection.length.toLocaleString()} byte${selection.length === 1 ? '' : 's'} selected`);
+        this.revealField(selection.start);
+        if (this.options.onSelect) this.options.onSelect(selection);
+      }
+    }
+
+    /**
+     * Keys while editing: hex digits or characters (by column), Delete/Backspace,
+     * Insert to switch modes, Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) to undo and redo
+     * @param {KeyboardEvent} e - keydown event
+     */
+    handleEditKey(e) {
+      const key = e.key;
+      const ctrl = e.ctrlKey || e.metaKey;
+
+      if (ctrl) {
+        const lower = key.toLowerCase();
+        if (lower === 'z' && !e.shiftKey) this.undo();
+        else if (lower === 'y' || (lower === 'z' && e.shiftKey)) this.redo();
+        else return;
+        e.preventDefault();
+        return;
+      }
+
+      if (key === 'Insert') {
+        this.insertMode = !this.insertMode;
+        this.nibble = 0;
+        this.updateEditBar();
+      } else if (key === 'Delete' || key === 'Backspace') {
+        const selection = this.getSelection();
+        if (selection && selection.length > 1) {
+          this.deleteRange(selection.start, selection.end);
+        } else if (key === 'Delete' && this.cursor < this.size) {
+          this.deleteRange(this.cursor, this.cursor + 1);
+        } else if (key === 'Backspace' && this.cursor > 0) {
+          this.deleteRange(this.cursor - 1, this.cursor);
+        }
+      } else if (this.column === 'hex' && /^[0-9a-f]$/i.test(key)) {
+        this.typeNibble(parseInt(key, 16));
+      } else if (this.column === 'ascii' && key.length === 1 && this.encodeChar(key) >= 0) {
+        this.typeByte(this.encodeChar(key));
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+
+    /**
+     * Type a hex digit at the cursor: the first sets the high nibble (inserting a byte in
+     * insert mode or at the end), the second the low nibble, then the cursor moves on
+     * @param {number} value - 0-15
+     */
+    typeNibble(value) {
+      const index = this.cursor;
+
+      if (this.nibble === 0) {
+        if (this.insertMode || index === this.size) {
+          this.edit(index, 0, new Uint8Array([value << 4]));
+        } else {
+          this.edit(index, 1, new Uint8Array([(value << 4) | (this.data[index] & 0x0f)]));
+        }
+        this.nibble = 1;
+        this.renderRows(true);
+        this.renderInspector();
+        return;
+      }
+
+      // Same byte, same undo step
+      this.edit(index, 1, new Uint8Array([(this.data[index] & 0xf0) | value]), true);
+      this.moveCursor(index + 1);
+    }
+
+    /**
+     * Byte for a character typed into the text column, in its charset (ASCII for UTF-8)
+     * @param {string} char - Character
+     * @returns {number} Byte value, or -1 when no single byte stands for it
+     */
+    encodeChar(char) {
+      const id = this.settings.charset;
+      let table = reverseCharsets.get(id);
+      if (!table) {
+        // From the top down, so the lowest byte wins where two show the same character
+        const charset = CHARSET_BY_ID.get(id);
+        table = new Map();
+        for (let b = 0xff; b >= 0; b--) {
+          const c = charset.char(b);
+          if (c && isVisible(c.codePointAt(0))) table.set(c, b);
+        }
+        reverseCharsets.set(id, table);
+      }
+      return table.has(char) ? table.get(char) : -1;
+    }
+
+    /**
+     * Type a whole byte (from the text column) at the cursor and move on
+     * @param {number} byte - Byte value
+     */
+    typeByte(byte) {
+      const index = this.cursor;
+      const overwrite = !this.insertMode && index < this.size;
+      this.edit(index, overwrite ? 1 : 0, new Uint8Array([byte]));
+      this.moveCursor(index + 1);
+    }
+
+    /**
+     * Put bytes written in any ByteFormat format at the cursor as one undoable step:
+     * they replace a multi-byte selection, or are inserted or overwrite by the mode
+     * @param {string} text - Hex, a dump or a code literal
+     * @returns {{bytes: Uint8Array, format: string}} What was pasted, see ByteFormat.parse()
+     */
+    paste(text) {
+      const parsed = ByteFormat.parse(text);
+      const { bytes } = parsed;
+      const selection = this.getSelection();
+      let start = this.cursor;
+      let removeCount;
+
+      if (selection && selection.length > 1) {
+        start = selection.start;
+        removeCount = selection.length;
+      } else if (this.insertMode) {
+        removeCount = 0;
+      } else {
+        removeCount = Math.min(bytes.length, this.size - start);
+      }
+
+      this.edit(start, removeCount, bytes);
+      this.moveCursor(Math.min(start + bytes.length, this.size));
+      return parsed;
+    }
+
+    /**
+     * Delete bytes and put the cursor where they were
+     * @param {number} start - First byte
+     * @param {number} end - One past the last byte
+     */
+    deleteRange(start, end) {
+      this.edit(start, end - start, new Uint8Array(0));
+      this.moveCursor(Math.min(start, this.size));
+    }
+
+    /**
+     * Put the cursor on a byte (or the append cell), selecting that byte
+     * @param {number} index - Byte offset, up to size while editing
+     * @param {boolean} [extend=false] - Select from the anchor to the byte instead
+     */
+    moveCursor(index, extend = false) {
+      this.cursor = index;
+      this.nibble = 0;
+      const end = Math.min(index, this.size - 1);
+      if (extend && this.anchor >= 0) {
+        this.selection = { start: Math.min(this.anchor, end), end: Math.max(this.anchor, end) + 1 };
+      } else {
+        this.selection = index < this.size ? { start: index, end: index + 1 } : null;
+        this.anchor = this.selection ? index : -1;
+      }
+      this.scrollToByte(index);
+      this.renderRows(true);
+      this.renderInspector();
+      this.updateSelectionButtons();
+    }
+
+    /**
+     * Replace bytes as an undoable step
+     * @param {number} offset - First byte replaced
+     * @param {number} removeCount - Bytes removed from there
+     * @param {Uint8Array} bytes - Bytes inserted in their place
+     * @param {boolean} [merge=false] - Fold into the previous step (the second nibble of a byte)
+     */
+    edit(offset, removeCount, bytes, merge = false) {
+      const last = this.undoStack[this.undoStack.length - 1];
+      const { removed, removedFlags } = this.splice(offset, removeCount, bytes, new Uint8Array(bytes.length).fill(1));
+
+      if (merge && last && last.offset === offset && last.inserted.length === bytes.length) {
+        last.inserted = bytes;
+      } else {
+        this.undoStack.push({ offset, removed, removedFlags, inserted: bytes });
+      }
+      this.redoStack = [];
+      this.afterEdit(offset, removeCount, bytes.length);
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+      const step = this.undoStack.pop();
+      if (!step) return;
+
+      this.splice(step.offset, step.inserted.length, step.removed, step.removedFlags);
+      this.redoStack.push(step);
+      this.afterEdit(step.offset, step.inserted.length, step.removed.length);
+      this.moveCursor(Math.min(step.offset, this.size));
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+      const step = this.redoStack.pop();
+      if (!step) return;
+
+      this.splice(step.offset, step.removed.length, step.inserted, new Uint8Array(step.inserted.length).fill(1));
+      this.undoStack.push(step);
+      this.afterEdit(step.offset, step.removed.length, step.inserted.length);
+      this.moveCursor(Math.min(step.offset + step.inserted.length, this.size));
+    }
+
+    /**
+     * Replace data[offset, offset + removeCount) with bytes, keeping the modified flags in step
+     * @returns {{removed: Uint8Array, removedFlags: Uint8Array}} What was replaced
+     */
+    splice(offset, removeCount, bytes, flags) {
+      const removed = this.data.slice(offset, offset + removeCount);
+      const removedFlags = this.modified.slice(offset, offset + removeCount);
+      this.modifiedCount += flags.reduce((sum, f) => sum + f, 0) - removedFlags.reduce((sum, f) => sum + f, 0);
+
+      if (removeCount === bytes.length) {
+        this.data.set(bytes, offset);
+        this.modified.set(flags, offset);
+      } else {
+        const resize = (source, inserted) => {
+          const out = new Uint8Array(source.length - removeCount + inserted.length);
+          out.set(source.subarray(0, offset));
+          out.set(inserted, offset);
+          out.set(source.subarray(offset + removeCount), offset + inserted.length);
+          return out;
+        };
+        this.data = resize(this.data, bytes);
+        this.modified = resize(this.modified, flags);
+        this.size = this.data.length;
+      }
+
+      return { removed, removedFlags };
+    }
+
+    /**
+     * Bring everything that depends on offsets up to date after an edit
+     * @param {number} offset - Where bytes were replaced
+     * @param {number} removed - Bytes removed
+     * @param {number} inserted - Bytes inserted
+     */
+    afterEdit(offset, removed, inserted) {
+      // Hits may no longer match and their offsets may have moved
+      if (this.searchState) {
+        this.cancelSearch();
+        this.searchState = null;
+        this.updateSearchStatus();
+      }
+
+      if (removed !== inserted) {
+        const delta = inserted - removed;
+        this.bookmarks = this.bookmarks
+          .filter(b => b.offset < offset || b.offset >= offset + removed)
+          .map(b => b.offset >= offset + removed ? { ...b, offset: b.offset + delta } : b);
+        this.renderBookmarks();
+        this.range = null;
+        this.target = -1;
+        this.updateSize();
+      }
+
+      this.updateEditBar();
+      this.scheduleStructure();
+      if (this.options.onChange) this.options.onChange();
+    }
+
+    /**
+     * Resize the scroll area and header after the size or edit mode changed
+     */
+    updateSize() {
+      if (!this.viewport) return;
+
+      const { visibleRows, rowHeight } = this.options;
+      this.totalRows = this.countRows();
+      this.viewport.style.height = `${Math.min(this.totalRows, visibleRows) * rowHeight}px`;
+      this.viewport.setAttribute('aria-rowcount', String(this.totalRows));
+      this.container.querySelector('.hex-view-spacer').style.height = `${VirtualScroll.spacerHeight(this.totalRows, rowHeight)}px`;
+      const info = this.container.querySelector('.hex-view-info');
+      if (info) info.textContent = this.describeSize();
+      this.renderRows(true);
+    }
+
+    /**
+     * Get the number of bytes written since setData()
+     * @returns {number}
+     */
+    getModifiedCount() {
+      return this.modifiedCount;
+    }
+
+    /**
+     * Check whether the data differs from what setData() gave, deletions included;
+     * undoing every edit makes it unmodified again
+     * @returns {boolean}
+     */
+    isModified() {
+      return this.undoStack.length > 0;
+    }
+
+    /**
+     * Get the (edited) data as a Blob, without reading a Blob that was never edited
+     * @returns {Blob}
+     */
+    getBlob() {
+      return this.blob || new Blob([this.data || new Uint8Array(0)]);
+    }
+
+    /**
+     * Download the (edited) data; the name comes from options.downloadName
+     */
+    download() {
+      const { downloadName } = this.options;
+      const url = URL.createObjectURL(this.getBlob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = typeof downloadName === 'function' ? downloadName() : downloadName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
     }
 
     /**
-     * Get the currently displayed data
-     * @returns {Uint8Array|null}
+     * Get the currently displayed data, with any edits
+     * @returns {Uint8Array|null} null when nothing or a Blob is shown
      */
     getData() {
       return this.data;
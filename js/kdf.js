@@ -0,0 +1,296 @@
+/**
+ * DevTools - Key Derivation
+ * PBKDF2 and HKDF via Web Crypto, scrypt (RFC 7914) in pure JavaScript
+ */
+
+(function() {
+  'use strict';
+
+  // Hash functions Web Crypto accepts for PBKDF2 and HKDF, with their output length in bytes
+  const HASH_LENGTHS = {
+    'SHA-1': 20,
+    'SHA-256': 32,
+    'SHA-384': 48,
+    'SHA-512': 64
+  };
+
+  // scrypt refuses to allocate more than this for its V array
+  const SCRYPT_MAX_MEMORY = 1024 * 1024 * 1024; // 1GB
+
+  // Yield to the event loop this often during scrypt so the page stays responsive
+  const YIELD_INTERVAL = 30; // ms
+
+  /**
+   * Check the hash name and output length
+   * @param {string} hash - Hash name
+   * @param {number} length - Output length in bytes
+   */
+  function validate(hash, length) {
+    if (!HASH_LENGTHS[hash]) {
+      throw new Error(`Unsupported hash: ${hash}`);
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error('Output length must be a positive integer');
+    }
+  }
+
+  /**
+   * Derive bits with Web Crypto
+   * @param {Object} params - deriveBits algorithm parameters
+   * @param {Uint8Array} keyMaterial - Password or input keying material
+   * @param {number} length - Output length in bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async function deriveBits(params, keyMaterial, length) {
+    if (!crypto.subtle) {
+      throw new Error('Web Crypto is only available over HTTPS or on localhost');
+    }
+
+    const key = await crypto.subtle.importKey('raw', keyMaterial, params.name, false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(params, key, length * 8);
+    return new Uint8Array(bits);
+  }
+
+  // ============================================
+  // scrypt
+  // ============================================
+
+  function rotl(a, b) {
+    return (a << b) | (a >>> (32 - b));
+  }
+
+  /**
+   * Salsa20/8 core, in place
+   * @param {Uint32Array} b - 16-word block
+   */
+  function salsa20_8(b) {
+    let x0 = b[0], x1 = b[1], x2 = b[2], x3 = b[3];
+    let x4 = b[4], x5 = b[5], x6 = b[6], x7 = b[7];
+    let x8 = b[8], x9 = b[9], x10 = b[10], x11 = b[11];
+    let x12 = b[12], x13 = b[13], x14 = b[14], x15 = b[15];
+
+    for (let i = 0; i < 8; i += 2) {
+      // Columns
+      x4 ^= rotl(x0 + x12, 7); x8 ^= rotl(x4 + x0, 9);
+      x12 ^= rotl(x8 + x4, 13); x0 ^= rotl(x12 + x8, 18);
+      x9 ^= rotl(x5 + x1, 7); x13 ^= rotl(x9 + x5, 9);
+      x1 ^= rotl(x13 + x9, 13); x5 ^= rotl(x1 + x13, 18);
+      x14 ^= rotl(x10 + x6, 7); x2 ^= rotl(x14 + x10, 9);
+      x6 ^= rotl(x2 + x14, 13); x10 ^= rotl(x6 + x2, 18);
+      x3 ^= rotl(x15 + x11, 7); x7 ^= rotl(x3 + x15, 9);
+      x11 ^= rotl(x7 + x3, 13); x15 ^= rotl(x11 + x7, 18);
+
+      // Rows
+      x1 ^= rotl(x0 + x3, 7); x2 ^= rotl(x1 + x0, 9);
+      x3 ^= rotl(x2 + x1, 13); x0 ^= rotl(x3 + x2, 18);
+      x6 ^= rotl(x5 + x4, 7); x7 ^= rotl(x6 + x5, 9);
+      x4 ^= rotl(x7 + x6, 13); x5 ^= rotl(x4 + x7, 18);
+      x11 ^= rotl(x10 + x9, 7); x8 ^= rotl(x11 + x10, 9);
+      x9 ^= rotl(x8 + x11, 13); x10 ^= rotl(x9 + x8, 18);
+      x12 ^= rotl(x15 + x14, 7); x13 ^= rotl(x12 + x15, 9);
+      x14 ^= rotl(x13 + x12, 13); x15 ^= rotl(x14 + x13, 18);
+    }
+
+    b[0] += x0; b[1] += x1; b[2] += x2; b[3] += x3;
+    b[4] += x4; b[5] += x5; b[6] += x6; b[7] += x7;
+    b[8] += x8; b[9] += x9; b[10] += x10; b[11] += x11;
+    b[12] += x12; b[13] += x13; b[14] += x14; b[15] += x15;
+  }
+
+  /**
+   * scryptBlockMix: 2r 64-byte blocks from input to output, evens first then odds
+   * @param {Uint32Array} input - 32r words
+   * @param {Uint32Array} output - 32r words
+   * @param {number} r - Block size parameter
+   * @param {Uint32Array} x - 16-word scratch block
+   */
+  function blockMix(input, output, r, x) {
+    x.set(input.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+    for (let i = 0; i < 2 * r; i++) {
+      for (let k = 0; k < 16; k++) {
+        x[k] ^= input[i * 16 + k];
+      }
+      salsa20_8(x);
+      output.set(x, ((i >> 1) + (i & 1) * r) * 16);
+    }
+  }
+
+  /**
+   * Read little-endian 32-bit words
+   * @param {Uint8Array} bytes - Source
+   * @param {number} offset - Byte offset
+   * @param {Uint32Array} words - Destination
+   */
+  function readWords(bytes, offset, words) {
+    for (let i = 0; i < words.length; i++) {
+      const j = offset + i * 4;
+      words[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+    }
+  }
+
+  /**
+   * Write little-endian 32-bit words
+   * @param {Uint32Array} words - Source
+   * @param {Uint8Array} bytes - Destination
+   * @param {number} offset - Byte offset
+   */
+  function writeWords(words, bytes, offset) {
+    for (let i = 0; i < words.length; i++) {
+      const j = offset + i * 4;
+      bytes[j] = words[i];
+      bytes[j + 1] = words[i] >>> 8;
+      bytes[j + 2] = words[i] >>> 16;
+      bytes[j + 3] = words[i] >>> 24;
+    }
+  }
+
+  /**
+   * Create the error used for cancellation
+   * @returns {Error}
+   */
+  function createAbortError() {
+    const err = new Error('Key derivation cancelled');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  const KDF = {
+    /**
+     * Hash functions supported by PBKDF2 and HKDF
+     * @returns {string[]}
+     */
+    hashes() {
+      return Object.keys(HASH_LENGTHS);
+    },
+
+    /**
+     * PBKDF2 (RFC 8018)
+     * @param {Uint8Array} password - Password bytes
+     * @param {Uint8Array} salt - Salt bytes
+     * @param {Object} options - { hash, iterations, length (bytes) }
+     * @returns {Promise<Uint8Array>}
+     */
+    async pbkdf2(password, salt, options = {}) {
+      const { hash = 'SHA-256', iterations = 600000, length = 32 } = options;
+      validate(hash, length);
+
+      if (!Number.isInteger(iterations) || iterations < 1) {
+        throw new Error('Iterations must be a positive integer');
+      }
+
+      return deriveBits({ name: 'PBKDF2', hash, salt, iterations }, password, length);
+    },
+
+    /**
+     * HKDF (RFC 5869)
+     * @param {Uint8Array} ikm - Input keying material
+     * @param {Uint8Array} salt - Salt bytes (may be empty)
+     * @param {Uint8Array} info - Context info (may be empty)
+     * @param {Object} options - { hash, length (bytes) }
+     * @returns {Promise<Uint8Array>}
+     */
+    async hkdf(ikm, salt, info, options = {}) {
+      const { hash = 'SHA-256', length = 32 } = options;
+      validate(hash, length);
+
+      const maxLength = 255 * HASH_LENGTHS[hash];
+      if (length > maxLength) {
+        throw new Error(`HKDF-${hash} output is limited to ${maxLength} bytes`);
+      }
+
+      return deriveBits({ name: 'HKDF', hash, salt, info }, ikm, length);
+    },
+
+    /**
+     * Memory scrypt needs for its V array
+     * @param {number} N - CPU/memory cost
+     * @param {number} r - Block size
+     * @returns {number} Bytes
+     */
+    scryptMemory(N, r) {
+      return 128 * r * N;
+    },
+
+    /**
+     * scrypt (RFC 7914); yields to the event loop while running
+     * @param {Uint8Array} password - Password bytes
+     * @param {Uint8Array} salt - Salt bytes
+     * @param {Object} options - { N, r, p, length (bytes), onProgress(fraction), isCancelled() }
+     * @returns {Promise<Uint8Array>} Rejects with an AbortError when cancelled
+     */
+    async scrypt(password, salt, options = {}) {
+      const { N = 16384, r = 8, p = 1, length = 32, onProgress = null, isCancelled = null } = options;
+
+      if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+        throw new Error('N must be a power of 2 greater than 1');
+      }
+      if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error('r and p must be positive integers');
+      }
+      if (r * p >= 1 << 30) {
+        throw new Error('r * p must be less than 2^30');
+      }
+      if (this.scryptMemory(N, r) > SCRYPT_MAX_MEMORY) {
+        const mb = Math.round(this.scryptMemory(N, r) / 1024 / 1024);
+        throw new Error(`scrypt would need ${mb} MB of memory (limit ${SCRYPT_MAX_MEMORY / 1024 / 1024} MB)`);
+      }
+      validate('SHA-256', length);
+
+      const blockWords = 32 * r;
+      const blockBytes = 128 * r;
+      const B = await deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: 1 }, password, p * blockBytes);
+
+      const X = new Uint32Array(blockWords);
+      const Y = new Uint32Array(blockWords);
+      const V = new Uint32Array(blockWords * N);
+      const scratch = new Uint32Array(16);
+
+      const totalSteps = 2 * N * p;
+      let steps = 0;
+      let lastYield = performance.now();
+
+      // Checked every 256 steps: report progress, let the page breathe, honour cancel
+      const checkpoint = async () => {
+        if (performance.now() - lastYield < YIELD_INTERVAL) return;
+
+        if (onProgress) onProgress(steps / totalSteps);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (isCancelled && isCancelled()) throw createAbortError();
+        lastYield = performance.now();
+      };
+
+      for (let block = 0; block < p; block++) {
+        readWords(B, block * blockBytes, X);
+
+        // ROMix: fill V, then walk it in a data-dependent order
+        for (let i = 0; i < N; i++) {
+          V.set(X, i * blockWords);
+          blockMix(X, Y, r, scratch);
+          X.set(Y);
+          if ((++steps & 0xff) === 0) await checkpoint();
+        }
+
+        for (let i = 0; i < N; i++) {
+          const j = X[(2 * r - 1) * 16] & (N - 1);
+          for (let k = 0; k < blockWords; k++) {
+            X[k] ^= V[j * blockWords + k];
+          }
+          blockMix(X, Y, r, scratch);
+          X.set(Y);
+          if ((++steps & 0xff) === 0) await checkpoint();
+        }
+
+        writeWords(X, B, block * blockBytes);
+      }
+
+      if (onProgress) onProgress(1);
+
+      return deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: B, iterations: 1 }, password, length);
+    }
+  };
+
+  // Export to global scope
+  window.KDF = KDF;
+
+})();
@@ -0,0 +1,190 @@
+/**
+ * DevTools - Text Preview Component
+ * Virtualized, read-only view of a large text Blob in fixed-width rows.
+ * Only the visible rows are read from the Blob and rendered.
+ */
+
+(function() {
+  'use strict';
+
+  class TextPreview {
+    /**
+     * Create a TextPreview instance
+     * @param {HTMLElement|string} container - Container element or selector
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+      this.container = typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+      if (!this.container) {
+        throw new Error('TextPreview: Container element not found');
+      }
+
+      this.options = {
+        title: options.title || 'Text Preview',
+        charsPerRow: options.charsPerRow || 76,
+        visibleRows: options.visibleRows || 20,
+        rowHeight: options.rowHeight || 20, // px
+        ...options
+      };
+
+      this.blob = null;
+      this.totalRows = 0;
+      this.requestedRow = -1;
+      this.renderToken = 0;
+      this.framePending = false;
+
+      this.init();
+    }
+
+    /**
+     * Initialize the component
+     */
+    init() {
+      this.container.classList.add('text-preview');
+      this.render();
+    }
+
+    /**
+     * Set the text to display
+     * @param {Blob|string} blob - Text Blob (read as UTF-8) or string
+     */
+    setBlob(blob) {
+      this.blob = typeof blob === 'string' ? new Blob([blob], { type: 'text/plain' }) : blob;
+      this.render();
+    }
+
+    /**
+     * Clear the display
+     */
+    clear() {
+      this.blob = null;
+      this.render();
+    }
+
+    /**
+     * Render the frame; rows are filled in by renderRows
+     */
+    render() {
+      this.renderToken++;
+      this.requestedRow = -1;
+
+      if (!this.blob || this.blob.size === 0) {
+        this.totalRows = 0;
+        this.container.innerHTML = `
+          <div class="text-preview-header">
+            <span>${this.options.title}</span>
+            <span>No data</span>
+          </div>
+          <div class="text-preview-empty">No data to display</div>
+        `;
+        return;
+      }
+
+      const { charsPerRow, visibleRows, rowHeight } = this.options;
+      this.totalRows = Math.ceil(this.blob.size / charsPerRow);
+
+      const rows = Math.min(this.totalRows, visibleRows);
+      const spacerHeight = VirtualScroll.spacerHeight(this.totalRows, rowHeight);
+
+      this.container.innerHTML = `
+        <div class="text-preview-header">
+          <span>${this.options.title}</span>
+          <span>${DevTools.Utils.formatFileSize(this.blob.size)} · ${this.totalRows.toLocaleString()} rows</span>
+        </div>
+        <div class="text-preview-viewport" style="height: ${rows * rowHeight}px;">
+          <div class="text-preview-spacer" style="height: ${spacerHeight}px;"></div>
+          <div class="text-preview-rows"></div>
+        </div>
+      `;
+
+      this.viewport = this.container.querySelector('.text-preview-viewport');
+      this.rowsEl = this.container.querySelector('.text-preview-rows');
+
+      this.viewport.addEventListener('scroll', () => this.scheduleRender());
+      this.renderRows();
+    }
+
+    /**
+     * Re-render rows on the next animation frame
+     */
+    scheduleRender() {
+      if (this.framePending) return;
+      this.framePending = true;
+
+      requestAnimationFrame(() => {
+        this.framePending = false;
+        this.renderRows();
+      });
+    }
+
+    /**
+     * First row shown for the current scroll position
+     * @returns {number}
+     */
+    getFirstRow() {
+      return VirtualScroll.firstRow(this.viewport, this.totalRows, this.options.visibleRows);
+    }
+
+    /**
+     * Read and render the visible rows
+     */
+    async renderRows() {
+      if (!this.blob) return;
+
+      const firstRow = this.getFirstRow();
+      this.rowsEl.style.top = `${this.viewport.scrollTop}px`;
+      if (firstRow === this.requestedRow) return;
+
+      this.requestedRow = firstRow;
+      const token = ++this.renderToken;
+      const { charsPerRow, visibleRows, rowHeight } = this.options;
+      const start = firstRow * charsPerRow;
+      const text = await this.readText(this.blob.slice(start, start + visibleRows * charsPerRow));
+
+      // A newer render (scroll or setBlob) started while this slice was read
+      if (token !== this.renderToken) return;
+
+      let html = '';
+      for (let i = 0; i * charsPerRow < text.length; i++) {
+        const offset = (start + i * charsPerRow).toString(16).toUpperCase().padStart(8, '0');
+        const row = text.slice(i * charsPerRow, (i + 1) * charsPerRow).replace(/[\r\n]/g, ' ');
+        html += `
+          <div class="text-preview-row" style="height: ${rowHeight}px; line-height: ${rowHeight}px;">
+            <span class="text-preview-offset">${offset}</span>
+            <span class="text-preview-text">${DevTools.Utils.escapeHtml(row)}</span>
+          </div>
+        `;
+      }
+      this.rowsEl.innerHTML = html;
+    }
+
+    /**
+     * Read a Blob slice as text
+     * @param {Blob} blob - Blob slice
+     * @returns {Promise<string>}
+     */
+    readText(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+      });
+    }
+
+    /**
+     * Get the displayed Blob
+     * @returns {Blob|null}
+     */
+    getBlob() {
+      return this.blob;
+    }
+  }
+
+  // Export to global scope
+  window.TextPreview = TextPreview;
+
+})();
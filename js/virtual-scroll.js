@@ -0,0 +1,74 @@
+/**
+ * DevTools - Virtual Scroll
+ * Row <-> scrollTop mapping for virtualized viewports of fixed-height rows, shared by
+ * HexView, HexDiff and TextPreview. The viewport holds a spacer sized to all rows and
+ * an absolutely positioned block that renders only the visible ones.
+ */
+
+(function() {
+  'use strict';
+
+  // Browsers cap element heights (Firefox at ~17.9M px); beyond this the scrollbar is scaled
+  const MAX_SCROLL_HEIGHT = 8000000;
+
+  const VirtualScroll = {
+    MAX_SCROLL_HEIGHT,
+
+    /**
+     * Height of the spacer that gives the viewport its scroll range
+     * @param {number} totalRows - Number of rows
+     * @param {number} rowHeight - Row height in px
+     * @returns {number}
+     */
+    spacerHeight(totalRows, rowHeight) {
+      return Math.min(totalRows * rowHeight, MAX_SCROLL_HEIGHT);
+    },
+
+    /**
+     * First row shown for the current scroll position
+     * @param {HTMLElement} viewport - Scrolling element
+     * @param {number} totalRows - Number of rows
+     * @param {number} visibleRows - Rows that fit in the viewport
+     * @returns {number}
+     */
+    firstRow(viewport, totalRows, visibleRows) {
+      const maxFirstRow = Math.max(0, totalRows - visibleRows);
+      const maxScroll = viewport.scrollHeight - viewport.clientHeight;
+      if (maxScroll <= 0) return 0;
+
+      return Math.min(maxFirstRow, Math.round(viewport.scrollTop / maxScroll * maxFirstRow));
+    },
+
+    /**
+     * Scroll so a row is the first one shown, the inverse of firstRow()
+     * @param {HTMLElement} viewport - Scrolling element
+     * @param {number} totalRows - Number of rows
+     * @param {number} visibleRows - Rows that fit in the viewport
+     * @param {number} row - Row index
+     */
+    setFirstRow(viewport, totalRows, visibleRows, row) {
+      const maxFirstRow = Math.max(0, totalRows - visibleRows);
+      const maxScroll = viewport.scrollHeight - viewport.clientHeight;
+      const target = Math.min(maxFirstRow, Math.max(0, row));
+      viewport.scrollTop = maxFirstRow > 0 && maxScroll > 0 ? target / maxFirstRow * maxScroll : 0;
+    },
+
+    /**
+     * Scroll so a row is visible, a third of the way down; no move when it already is
+     * @param {HTMLElement} viewport - Scrolling element
+     * @param {number} totalRows - Number of rows
+     * @param {number} visibleRows - Rows that fit in the viewport
+     * @param {number} row - Row index
+     */
+    revealRow(viewport, totalRows, visibleRows, row) {
+      const first = this.firstRow(viewport, totalRows, visibleRows);
+      if (row >= first && row < first + visibleRows) return;
+
+      this.setFirstRow(viewport, totalRows, visibleRows, row - Math.floor(visibleRows / 3));
+    }
+  };
+
+  // Export to global scope
+  window.VirtualScroll = VirtualScroll;
+
+})();
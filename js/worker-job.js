@@ -0,0 +1,215 @@
+/**
+ * DevTools - Worker Job
+ * Runs one cancellable job at a time in a Web Worker, falling back to the main
+ * thread when the worker cannot start. Shared by FileHasher and FileBase64
+ */
+
+(function() {
+  'use strict';
+
+  // Worker scripts sit next to this one, whatever page loads it
+  const SCRIPT_BASE = document.currentScript
+    ? document.currentScript.src.replace(/[^/]*$/, '')
+    : '';
+
+  class WorkerJob {
+    /**
+     * Create a WorkerJob instance
+     * @param {Object} options - Configuration options
+     *   workerUrl: worker script; it posts { type: 'progress' | 'done' | 'error', ... }
+     *   resultKey: field of the 'done' message holding the result
+     *   onProgress: called with each progress message or fallback progress object
+     *   busyMessage, abortMessage, failMessage: error texts
+     */
+    constructor(options = {}) {
+      this.options = {
+        workerUrl: options.workerUrl || '',
+        resultKey: options.resultKey || 'result',
+        onProgress: options.onProgress || null,
+        busyMessage: options.busyMessage || 'WorkerJob: A job is already in progress',
+        abortMessage: options.abortMessage || 'Job cancelled',
+        failMessage: options.failMessage || 'Worker failed',
+        ...options
+      };
+
+      this.worker = null;
+      this.current = null; // { reject } for the run in progress
+    }
+
+    /**
+     * URL of a worker script in the js/ directory
+     * @param {string} name - Script file name, e.g. 'hash-worker.js'
+     * @returns {string}
+     */
+    static scriptUrl(name) {
+      return SCRIPT_BASE + name;
+    }
+
+    /**
+     * Run a job in the worker, or on the main thread when it cannot run there
+     * @param {Object} message - Posted to the worker
+     * @param {Function} fallback - (isCancelled, onProgress) => Promise of the result,
+     *   or of null once isCancelled() turned true
+     * @param {Object} options - { mainThread: true } to skip the worker
+     * @returns {Promise<*>} The result; rejects with an AbortError when cancelled
+     */
+    run(message, fallback, options = {}) {
+      if (this.current) {
+        return Promise.reject(new Error(this.options.busyMessage));
+      }
+
+      const run = { reject: null };
+      this.current = run;
+
+      return new Promise((resolve, reject) => {
+        run.reject = reject;
+
+        if (options.mainThread) {
+          this.runOnMainThread(fallback, run).then(resolve, reject);
+          return;
+        }
+
+        try {
+          this.worker = new Worker(this.options.workerUrl);
+        } catch (err) {
+          // Workers are blocked on file:// in some browsers
+          this.worker = null;
+          this.runOnMainThread(fallback, run).then(resolve, reject);
+          return;
+        }
+
+        let started = false;
+
+        this.worker.onmessage = (e) => {
+          // Ignore messages a cancelled worker sent before it was terminated
+          if (this.current !== run) return;
+
+          const msg = e.data;
+          switch (msg.type) {
+            case 'progress':
+              started = true;
+              this.reportProgress(msg);
+              break;
+            case 'done':
+              this.terminate();
+              resolve(msg[this.options.resultKey]);
+              break;
+            case 'error':
+              this.terminate();
+              reject(this.createError(msg));
+              break;
+          }
+        };
+
+        this.worker.onerror = (e) => {
+          e.preventDefault();
+          if (this.current !== run) return;
+          this.terminate();
+
+          if (started) {
+            reject(new Error(e.message || this.options.failMessage));
+          } else {
+            // Worker script could not load, fall back before any work was lost
+            this.runOnMainThread(fallback, run).then(resolve, reject);
+          }
+        };
+
+        this.worker.postMessage(message);
+      }).finally(() => {
+        // cancel() already released a cancelled run, and a new one may have started since
+        if (this.current === run) this.current = null;
+      });
+    }
+
+    /**
+     * Run the fallback until it finishes or its run is no longer current
+     * @param {Function} fallback - (isCancelled, onProgress) => Promise
+     * @param {Object} run - The run this belongs to
+     * @returns {Promise<*>}
+     */
+    async runOnMainThread(fallback, run) {
+      const result = await fallback(
+        () => this.current !== run,
+        (progress) => {
+          if (this.current === run) this.reportProgress(progress);
+        }
+      );
+
+      if (result === null || this.current !== run) {
+        throw this.createAbortError();
+      }
+      return result;
+    }
+
+    /**
+     * Error for an 'error' message; extra fields such as the offset of an
+     * invalid character are kept on it
+     * @param {Object} msg - { type: 'error', message, ... }
+     * @returns {Error}
+     */
+    createError(msg) {
+      const err = new Error(msg.message);
+      Object.keys(msg).forEach(key => {
+        if (key !== 'type' && key !== 'message' && msg[key] !== undefined) {
+          err[key] = msg[key];
+        }
+      });
+      return err;
+    }
+
+    /**
+     * Forward progress to the onProgress callback
+     * @param {Object} progress - Progress message or object
+     */
+    reportProgress(progress) {
+      if (this.options.onProgress) {
+        this.options.onProgress(progress);
+      }
+    }
+
+    /**
+     * Cancel the running job; the pending promise rejects with an AbortError
+     * and a new job can start right away
+     */
+    cancel() {
+      const run = this.current;
+      if (!run) return;
+
+      this.current = null;
+      this.terminate();
+      run.reject(this.createAbortError());
+    }
+
+    /**
+     * Stop the worker if one is running
+     */
+    terminate() {
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      }
+    }
+
+    /**
+     * Create the error used for cancellation
+     * @returns {Error}
+     */
+    createAbortError() {
+      const err = new Error(this.options.abortMessage);
+      err.name = 'AbortError';
+      return err;
+    }
+
+    /**
+     * Check whether a job is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+      return this.current !== null;
+    }
+  }
+
+  // Export to global scope
+  window.WorkerJob = WorkerJob;
+
+})();